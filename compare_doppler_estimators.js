@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+// Compare position-derived Doppler estimators on captured tar1090 snapshots
+
+import fs from 'fs';
+import path from 'path';
+
+import { lla2ecef, norm, ft2m } from './src/node/geometry.js';
+import { calculateDopplerFromVelocity, calculateWavelength } from './src/node/doppler.js';
+import { smoothedDerivativeUsingMedian, savitzkyGolayDerivative } from './src/node/derivative.js';
+import { BistaticKalman } from './src/node/kalman.js';
+
+// Configuration
+const SNAPSHOTS_DIR = process.argv[2] || './data/adsb_snapshots';
+const SG_WINDOW = parseInt(process.argv[3] || '9');
+const SG_ORDER = parseInt(process.argv[4] || '2');
+const N_HISTORY = 10;
+
+// Radar parameters from blah2 config
+const RX_LAT = 37.7644;
+const RX_LON = -122.3954;
+const RX_ALT = 23;
+
+const TX_LAT = 37.49917;
+const TX_LON = -121.87222;
+const TX_ALT = 783;
+
+const FC = 503;
+
+function compareEstimators() {
+  const ecefRx = lla2ecef(RX_LAT, RX_LON, RX_ALT);
+  const ecefTx = lla2ecef(TX_LAT, TX_LON, TX_ALT);
+  const dRxTx = norm([ecefRx.x - ecefTx.x, ecefRx.y - ecefTx.y, ecefRx.z - ecefTx.z]);
+  const wavelength = calculateWavelength(FC);
+
+  const files = fs.readdirSync(SNAPSHOTS_DIR)
+    .filter(f => f.startsWith('aircraft_') && f.endsWith('.json'))
+    .sort();
+
+  if (files.length === 0) {
+    console.error('No snapshot files found!');
+    process.exit(1);
+  }
+
+  // Per-aircraft range history and estimator state
+  const tracks = {};
+  const errors = { median: [], kalman: [], savgol: [] };
+
+  for (const file of files) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(path.join(SNAPSHOTS_DIR, file), 'utf8'));
+    } catch (err) {
+      console.warn(`Skipping ${file}: ${err.message}`);
+      continue;
+    }
+    if (!data.aircraft) {
+      continue;
+    }
+
+    for (const aircraft of data.aircraft) {
+      if (!aircraft.hex || aircraft.lat === undefined || aircraft.lon === undefined ||
+          aircraft.alt_geom === undefined || aircraft.seen_pos === undefined) {
+        continue;
+      }
+
+      const timestamp = data.now - aircraft.seen_pos;
+      const track = tracks[aircraft.hex] ??= { delays: [], timestamps: [], kalman: new BistaticKalman() };
+      if (track.timestamps.length > 0 && timestamp <= track.timestamps.at(-1)) {
+        continue;
+      }
+
+      const tar = lla2ecef(aircraft.lat, aircraft.lon, ft2m(aircraft.alt_geom));
+      const dRxTar = norm([ecefRx.x - tar.x, ecefRx.y - tar.y, ecefRx.z - tar.z]);
+      const dTxTar = norm([ecefTx.x - tar.x, ecefTx.y - tar.y, ecefTx.z - tar.z]);
+      const delay = dRxTar + dTxTar - dRxTx;
+
+      track.delays.push(delay);
+      track.timestamps.push(timestamp);
+      if (track.delays.length > N_HISTORY) {
+        track.delays.shift();
+        track.timestamps.shift();
+      }
+      const kalman = track.kalman.update(delay, timestamp);
+
+      // Velocity-derived Doppler is the reference
+      const truth = calculateDopplerFromVelocity(aircraft, tar, ecefRx, ecefTx, dRxTar, dTxTar, FC);
+      if (truth === null || track.delays.length < N_HISTORY) {
+        continue;
+      }
+
+      const median = -smoothedDerivativeUsingMedian(track.delays, track.timestamps, N_HISTORY).at(-1) / wavelength;
+      errors.median.push(median - truth);
+      errors.kalman.push(-kalman.rangeRate / wavelength - truth);
+
+      const savgol = savitzkyGolayDerivative(track.delays, track.timestamps, SG_WINDOW, SG_ORDER);
+      if (savgol !== null) {
+        errors.savgol.push(-savgol / wavelength - truth);
+      }
+    }
+  }
+
+  console.log(`Snapshots: ${files.length}, aircraft: ${Object.keys(tracks).length}`);
+  console.log(`Savitzky-Golay window ${SG_WINDOW}, order ${SG_ORDER}\n`);
+  console.log('Doppler error relative to velocity Doppler (Hz):');
+  for (const [name, errs] of Object.entries(errors)) {
+    if (errs.length === 0) {
+      console.log(`  ${name.padEnd(8)} no samples`);
+      continue;
+    }
+    const bias = errs.reduce((a, b) => a + b, 0) / errs.length;
+    const rms = Math.sqrt(errs.reduce((a, b) => a + b * b, 0) / errs.length);
+    console.log(`  ${name.padEnd(8)} n=${errs.length} bias=${bias.toFixed(2)} rms=${rms.toFixed(2)}`);
+  }
+}
+
+// Run
+compareEstimators();
@@ -2,6 +2,8 @@ export default {
   testEnvironment: 'node',
   rootDir: '.',
   testMatch: ['<rootDir>/test/**/*.test.js'],
+  // server dependencies such as ws are installed in src/
+  modulePaths: ['<rootDir>/src/node_modules'],
   transform: {},
   moduleNameMapper: {
     '^(\\.{1,2}/.*)\\.js$': '$1'
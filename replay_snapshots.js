@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+// Serve captured tar1090 snapshots as a fake tar1090 server
+
+import { listSnapshots, SnapshotReplay, createReplayServer } from './src/node/replay.js';
+
+const DEFAULT_CONFIG = {
+  dir: './data/adsb_snapshots',
+  port: 8090,
+  speed: 1,
+  loop: false,
+  start: 0
+};
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const config = { ...DEFAULT_CONFIG };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--port':
+        config.port = parseInt(args[++i]);
+        break;
+      case '--speed':
+        config.speed = parseFloat(args[++i]);
+        break;
+      case '--loop':
+        config.loop = true;
+        break;
+      case '--start':
+        config.start = parseFloat(args[++i]);
+        break;
+      case '--help':
+        printUsage();
+        process.exit(0);
+      default:
+        config.dir = args[i];
+    }
+  }
+
+  return config;
+}
+
+function printUsage() {
+  console.log(`
+Usage: node replay_snapshots.js [directory] [options]
+
+Serve snapshots captured with capture_snapshots.sh at /data/aircraft.json,
+so /api/dd and /api/synthetic-detections can run without a live receiver.
+
+Options:
+  --port PORT            HTTP port (default: 8090)
+  --speed FACTOR         Replay speed, 1 for real time (default: 1)
+  --loop                 Restart from the first snapshot at the end
+  --start SECONDS        Start offset into the recording (default: 0)
+  --help                 Show this help message
+
+Control while running:
+  GET /replay            Replay position and settings
+  GET /replay/seek?t=S   Jump to S seconds into the recording
+  GET /replay/speed?x=F  Change the replay speed
+
+Examples:
+  # Replay the default capture directory in a loop
+  node replay_snapshots.js --loop
+
+  # Replay at 5x speed from 2 minutes in
+  node replay_snapshots.js ./data/adsb_snapshots --speed 5 --start 120
+`);
+}
+
+function main() {
+  const config = parseArgs();
+  if (!Number.isFinite(config.speed) || config.speed <= 0) {
+    console.error('Speed must be a positive number');
+    process.exit(1);
+  }
+
+  const snapshots = listSnapshots(config.dir);
+  if (snapshots.length === 0) {
+    console.error(`No snapshot files found in ${config.dir}`);
+    process.exit(1);
+  }
+
+  const replay = new SnapshotReplay(snapshots, config);
+  const { duration } = replay.status();
+  createReplayServer(replay).listen(config.port, () => {
+    console.log(`Replaying ${snapshots.length} snapshots (${duration.toFixed(0)} s) from ${config.dir}`);
+    console.log(`Speed: ${config.speed}x, loop: ${config.loop ? 'on' : 'off'}`);
+    console.log(`Serving http://localhost:${config.port}/data/aircraft.json`);
+  });
+}
+
+main();
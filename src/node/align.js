@@ -0,0 +1,116 @@
+/// @file Time alignment of delay-Doppler output
+/// @brief Move every aircraft's delay and Doppler to a common instant
+
+/// Largest time (s) an entry is moved, further alignment is not trusted
+export const MAX_ALIGN_EXTRAPOLATION = 15;
+
+/// @brief Parse a time in seconds given as a query string or JSON number.
+/// @param value Query or message value.
+/// @return The time, or NaN if empty, not finite or of another type.
+function parseSeconds(value) {
+  if (typeof value === 'string' && value.trim() !== '') {
+    value = Number(value);
+  }
+  return typeof value === 'number' && Number.isFinite(value) ? value : NaN;
+}
+
+/// @brief Parse and validate the alignment parameters.
+/// @details Output is aligned either to a fixed reference time t_ref, or to
+/// the most recent CPI boundary of a radar with period cpi and an epoch at
+/// which a CPI started (default 0). Both are in seconds, given as strings
+/// over HTTP or numbers over WebSocket.
+/// @param query Object with optional t_ref, cpi and epoch fields.
+/// @return Object with {align} on success, where align is null when no
+/// alignment was requested, or {error} on failure.
+export function parseAlignParams(query) {
+  const { t_ref, cpi, epoch } = query;
+  if (t_ref === undefined && cpi === undefined) {
+    if (epoch !== undefined) {
+      return { error: 'Invalid alignment. epoch requires cpi' };
+    }
+    return { align: null };
+  }
+  if (t_ref !== undefined && (cpi !== undefined || epoch !== undefined)) {
+    return { error: 'Invalid alignment. Expected either t_ref or cpi and epoch' };
+  }
+
+  if (t_ref !== undefined) {
+    const time = parseSeconds(t_ref);
+    if (isNaN(time)) {
+      return { error: 'Invalid t_ref. Expected a time in seconds' };
+    }
+    return { align: { time } };
+  }
+
+  const period = parseSeconds(cpi);
+  const start = epoch === undefined ? 0 : parseSeconds(epoch);
+  if (isNaN(period) || period <= 0) {
+    return { error: 'Invalid cpi. Expected a positive period in seconds' };
+  }
+  if (isNaN(start)) {
+    return { error: 'Invalid epoch. Expected a time in seconds' };
+  }
+  return { align: { period, epoch: start } };
+}
+
+/// @brief Reference time that output is aligned to.
+/// @param align Alignment from parseAlignParams.
+/// @param now Current time (s).
+/// @return The fixed reference time, or the start of the latest CPI
+/// beginning at or before now.
+export function alignTime(align, now) {
+  if (align.time !== undefined) {
+    return align.time;
+  }
+  return align.epoch + Math.floor((now - align.epoch) / align.period) * align.period;
+}
+
+/// @brief Move an output entry to a reference time.
+/// @details Delay is propagated with the range rate given by the Doppler,
+/// and Doppler with its rate of change between the last two samples if
+/// known, i.e. a constant bistatic acceleration model. The same model
+/// interpolates backwards when the reference time is before the sample.
+/// For Kalman sessions the filtered delay and variances are taken from the
+/// filter state predicted to the reference time, so the variances grow with
+/// the extrapolation. The entry gets an extrapolation field with the signed
+/// time moved (s), positive when extrapolated forward. Entries further than
+/// MAX_ALIGN_EXTRAPOLATION from the reference time are not aligned.
+/// @param entry Output entry with timestamp, delay (km) and doppler (Hz).
+/// @param tRef Reference time (s).
+/// @param wavelength Transmitter wavelength (m).
+/// @param dopplerRate Rate of change of Doppler (Hz/s), or null if unknown.
+/// @param kalman BistaticKalman of the aircraft, or null.
+/// @return New aligned entry, or null if too far from the reference time.
+export function alignEntry(entry, tRef, wavelength, dopplerRate, kalman) {
+  const dt = tRef - entry.timestamp;
+  if (!(Math.abs(dt) <= MAX_ALIGN_EXTRAPOLATION)) {
+    return null;
+  }
+  const aligned = { ...entry, timestamp: tRef, extrapolation: Number(dt.toFixed(3)) };
+  if (entry.doppler === undefined) {
+    return aligned;
+  }
+
+  const doppler = parseFloat(entry.doppler);
+  const rate = dopplerRate ?? 0;
+  // range rate is -doppler * wavelength, integrated over dt
+  const delay = parseFloat(entry.delay) * 1000 -
+    wavelength * (doppler * dt + rate * dt * dt / 2);
+  aligned.delay = (delay / 1000).toFixed(5);
+  aligned.doppler = (doppler + rate * dt).toFixed(5);
+  for (const field of ['doppler_vel', 'doppler_pos', 'doppler_sg']) {
+    if (entry[field] !== undefined) {
+      aligned[field] = (parseFloat(entry[field]) + rate * dt).toFixed(5);
+    }
+  }
+
+  if (kalman !== null && kalman.count > 0) {
+    const estimate = kalman.estimateAt(tRef);
+    aligned.delay_filtered = (estimate.range / 1000).toFixed(5);
+    aligned.delay_var = (estimate.rangeVar / 1e6).toFixed(8);
+    if (entry.doppler_var !== undefined) {
+      aligned.doppler_var = (estimate.rangeRateVar / (wavelength * wavelength)).toFixed(5);
+    }
+  }
+  return aligned;
+}
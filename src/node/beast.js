@@ -0,0 +1,439 @@
+/// @file Beast binary input source with Mode S decoding
+/// @brief Decode DF17 extended squitter from a dump1090/readsb port 30005 feed
+
+import {parseFeedUrl, checkFeed, fetchFeed} from './tcpfeed.js';
+
+const BEAST_DEFAULT_PORT = 30005;
+const BEAST_AIRCRAFT_TIMEOUT = 60;   // Drop aircraft not heard for this long (s)
+const CPR_MAX_PAIR_AGE = 10;         // Max time between even/odd frames for global decoding (s)
+const CPR_MAX_LOCAL_AGE = 30;        // Max age of reference position for local decoding (s)
+
+/// Beast frame type to Mode S/AC message length in bytes
+const BEAST_FRAME_LENGTHS = { 0x31: 2, 0x32: 7, 0x33: 14 };
+const BEAST_ESCAPE = 0x1a;
+
+const MODES_GENERATOR = 0xfff409;
+const CALLSIGN_CHARSET =
+  '#ABCDEFGHIJKLMNOPQRSTUVWXYZ##### ###############0123456789######';
+
+/// @brief Parse a beast:// server URL.
+/// @param server URL of the form beast://host[:port].
+/// @return Object with {host, port}, or null if invalid.
+export function parseBeastUrl(server) {
+  return parseFeedUrl(server, 'beast:', BEAST_DEFAULT_PORT);
+}
+
+/// @brief Splits a Beast byte stream into frames.
+/// @details Frames start with 0x1a and a type byte, followed by a 6 byte
+/// MLAT timestamp, a signal level byte and the message. A 0x1a inside a
+/// frame is sent twice. Frames may be split across chunks.
+export class BeastParser {
+
+  /// @brief Constructor.
+  constructor() {
+    this.frame = null;
+    this.escape = false;
+  }
+
+  /// @brief Parse a chunk of the stream.
+  /// @param data Buffer or byte array.
+  /// @return Array of {type, timestamp, signal, message} for complete frames.
+  push(data) {
+    const frames = [];
+    for (const byte of data) {
+      if (this.escape) {
+        this.escape = false;
+        if (byte === BEAST_ESCAPE) {
+          this.append(byte, frames);
+        } else {
+          this.frame = byte in BEAST_FRAME_LENGTHS ? { type: byte, bytes: [] } : null;
+        }
+      } else if (byte === BEAST_ESCAPE) {
+        this.escape = true;
+      } else {
+        this.append(byte, frames);
+      }
+    }
+    return frames;
+  }
+
+  /// @brief Append a byte to the current frame.
+  /// @param byte Unescaped byte.
+  /// @param frames Array to add the frame to once complete.
+  append(byte, frames) {
+    if (this.frame === null) {
+      return;
+    }
+    const bytes = this.frame.bytes;
+    bytes.push(byte);
+    if (bytes.length === 7 + BEAST_FRAME_LENGTHS[this.frame.type]) {
+      frames.push({
+        type: this.frame.type,
+        timestamp: bytes.slice(0, 6).reduce((sum, b) => sum * 256 + b, 0),
+        signal: bytes[6],
+        message: Uint8Array.from(bytes.slice(7))
+      });
+      this.frame = null;
+    }
+  }
+
+}
+
+/// @brief Mode S CRC-24 of a message, excluding its 24 bit parity field.
+/// @param message Byte array of the full message.
+/// @return 24 bit CRC, equal to the parity field for an uncorrupted DF17.
+export function modesCrc(message) {
+  let crc = 0;
+  for (let i = 0; i < message.length - 3; i++) {
+    crc ^= message[i] << 16;
+    for (let b = 0; b < 8; b++) {
+      crc = crc & 0x800000 ? ((crc << 1) ^ MODES_GENERATOR) & 0xffffff :
+        (crc << 1) & 0xffffff;
+    }
+  }
+  return crc;
+}
+
+/// @brief Read a field of a Mode S message.
+/// @param message Byte array.
+/// @param first First bit, 1-indexed from the start of the message.
+/// @param last Last bit (inclusive).
+/// @return Unsigned value of the field.
+function bits(message, first, last) {
+  let value = 0;
+  for (let i = first - 1; i < last; i++) {
+    value = value * 2 + ((message[i >> 3] >> (7 - (i & 7))) & 1);
+  }
+  return value;
+}
+
+/// @brief Decode a 12 bit altitude field.
+/// @details Only the 25 ft increment encoding (Q bit set) is supported.
+/// @param field 12 bit altitude code.
+/// @return Altitude in feet, or undefined if unavailable.
+function decodeAltitude(field) {
+  if (field === 0 || !(field & 0x10)) {
+    return undefined;
+  }
+  const n = ((field & 0xfe0) >> 1) | (field & 0x0f);
+  return n * 25 - 1000;
+}
+
+/// @brief Decode a 12 bit GNSS height field (TC 20-22).
+/// @details The field is an unsigned height in metres above the WGS84
+/// ellipsoid, with no Q bit.
+/// @param field 12 bit height.
+/// @return Height in feet, or undefined if unavailable.
+function decodeGnssHeight(field) {
+  if (field === 0) {
+    return undefined;
+  }
+  return Math.round(field / 0.3048);
+}
+
+/// @brief Decode a DF17 extended squitter message.
+/// @param message Byte array of a 14 byte Mode S message.
+/// @return Object with {hex, kind} and kind-specific fields, or null if the
+/// message is not a valid DF17 identification, position or velocity.
+/// Identification has {flight, category}, position has {altitude,
+/// altitudeGnss, cprOdd, cprLat, cprLon} and velocity has any of
+/// {gs, track, vertRate, vertRateGnss, geomDelta}.
+export function decodeModeS(message) {
+  if (message.length !== 14 || bits(message, 1, 5) !== 17) {
+    return null;
+  }
+  if (modesCrc(message) !== bits(message, 89, 112)) {
+    return null;
+  }
+
+  const hex = bits(message, 9, 32).toString(16).padStart(6, '0');
+  const me = 32;   // Bit offset of the ME field
+  const tc = bits(message, me + 1, me + 5);
+
+  if (tc >= 1 && tc <= 4) {
+    let flight = '';
+    for (let i = 0; i < 8; i++) {
+      const start = me + 9 + 6 * i;
+      flight += CALLSIGN_CHARSET[bits(message, start, start + 5)];
+    }
+    const ca = bits(message, me + 6, me + 8);
+    return {
+      hex: hex,
+      kind: 'identification',
+      flight: flight.replace(/#/g, '').trim(),
+      category: ca === 0 ? undefined : 'DCBA'[tc - 1] + ca
+    };
+  }
+
+  if ((tc >= 9 && tc <= 18) || (tc >= 20 && tc <= 22)) {
+    const altitude = bits(message, me + 9, me + 20);
+    return {
+      hex: hex,
+      kind: 'position',
+      altitude: tc >= 20 ? decodeGnssHeight(altitude) : decodeAltitude(altitude),
+      altitudeGnss: tc >= 20,
+      cprOdd: bits(message, me + 22, me + 22) === 1,
+      cprLat: bits(message, me + 23, me + 39) / 131072,
+      cprLon: bits(message, me + 40, me + 56) / 131072
+    };
+  }
+
+  if (tc === 19) {
+    const subtype = bits(message, me + 6, me + 8);
+    const result = { hex: hex, kind: 'velocity' };
+
+    if (subtype === 1 || subtype === 2) {
+      const vEw = bits(message, me + 15, me + 24);
+      const vNs = bits(message, me + 26, me + 35);
+      if (vEw !== 0 && vNs !== 0) {
+        const scale = subtype === 2 ? 4 : 1;
+        const vx = (bits(message, me + 14, me + 14) ? -1 : 1) * (vEw - 1) * scale;
+        const vy = (bits(message, me + 25, me + 25) ? -1 : 1) * (vNs - 1) * scale;
+        result.gs = Math.hypot(vx, vy);
+        result.track = (Math.atan2(vx, vy) * 180 / Math.PI + 360) % 360;
+      }
+    } else if (subtype !== 3 && subtype !== 4) {
+      return null;
+    }
+
+    const vr = bits(message, me + 38, me + 46);
+    if (vr !== 0) {
+      result.vertRate = (bits(message, me + 37, me + 37) ? -1 : 1) * (vr - 1) * 64;
+      result.vertRateGnss = bits(message, me + 36, me + 36) === 0;
+    }
+    const delta = bits(message, me + 50, me + 56);
+    if (delta !== 0) {
+      result.geomDelta = (bits(message, me + 49, me + 49) ? -1 : 1) * (delta - 1) * 25;
+    }
+    return result;
+  }
+
+  return null;
+}
+
+/// @brief Number of CPR longitude zones at a latitude.
+/// @param lat Latitude in degrees.
+/// @return Number of zones from 1 to 59.
+export function cprNL(lat) {
+  const absLat = Math.abs(lat);
+  if (absLat < 1e-9) {
+    return 59;
+  }
+  if (absLat > 87) {
+    return 1;
+  }
+  if (absLat === 87) {
+    return 2;
+  }
+  const a = 1 - Math.cos(Math.PI / 30);
+  const b = Math.cos(Math.PI / 180 * absLat) ** 2;
+  return Math.floor(2 * Math.PI / Math.acos(1 - a / b));
+}
+
+/// @brief Modulo that is always non-negative.
+function mod(a, b) {
+  return ((a % b) + b) % b;
+}
+
+/// @brief Global airborne CPR decoding from an even and odd frame pair.
+/// @param even Even frame {cprLat, cprLon}.
+/// @param odd Odd frame {cprLat, cprLon}.
+/// @param oddIsLatest True if the odd frame was received last.
+/// @return Object with {lat, lon} of the latest frame, or null if the
+/// frames straddle a latitude zone boundary.
+export function cprGlobal(even, odd, oddIsLatest) {
+  const dLatEven = 360 / 60;
+  const dLatOdd = 360 / 59;
+  const j = Math.floor(59 * even.cprLat - 60 * odd.cprLat + 0.5);
+
+  let latEven = dLatEven * (mod(j, 60) + even.cprLat);
+  let latOdd = dLatOdd * (mod(j, 59) + odd.cprLat);
+  if (latEven >= 270) {
+    latEven -= 360;
+  }
+  if (latOdd >= 270) {
+    latOdd -= 360;
+  }
+  if (cprNL(latEven) !== cprNL(latOdd)) {
+    return null;
+  }
+
+  const lat = oddIsLatest ? latOdd : latEven;
+  const nl = cprNL(lat);
+  const ni = Math.max(nl - (oddIsLatest ? 1 : 0), 1);
+  const m = Math.floor(even.cprLon * (nl - 1) - odd.cprLon * nl + 0.5);
+  let lon = (360 / ni) * (mod(m, ni) + (oddIsLatest ? odd.cprLon : even.cprLon));
+  if (lon >= 180) {
+    lon -= 360;
+  }
+  return { lat: lat, lon: lon };
+}
+
+/// @brief Local airborne CPR decoding relative to a nearby reference.
+/// @details The reference must be within about 180 nm of the aircraft.
+/// @param frame Frame {cprOdd, cprLat, cprLon}.
+/// @param refLat Reference latitude in degrees.
+/// @param refLon Reference longitude in degrees.
+/// @return Object with {lat, lon}.
+export function cprLocal(frame, refLat, refLon) {
+  const dLat = 360 / (frame.cprOdd ? 59 : 60);
+  const j = Math.floor(refLat / dLat) +
+    Math.floor(mod(refLat, dLat) / dLat - frame.cprLat + 0.5);
+  const lat = dLat * (j + frame.cprLat);
+
+  const dLon = 360 / Math.max(cprNL(lat) - (frame.cprOdd ? 1 : 0), 1);
+  const m = Math.floor(refLon / dLon) +
+    Math.floor(mod(refLon, dLon) / dLon - frame.cprLon + 0.5);
+  let lon = dLon * (m + frame.cprLon);
+  if (lon >= 180) {
+    lon -= 360;
+  }
+  return { lat: lat, lon: lon };
+}
+
+/// @brief Aircraft state decoded from a Beast feed.
+export class BeastState {
+
+  /// @brief Constructor.
+  constructor() {
+    this.parser = new BeastParser();
+    this.aircraft = new Map();
+    this.messages = 0;
+  }
+
+  /// @brief Handle received data.
+  /// @param data Chunk of the feed.
+  /// @param now Receive time in seconds.
+  receive(data, now) {
+    for (const frame of this.parser.push(data)) {
+      const message = decodeModeS(frame.message);
+      if (message !== null) {
+        this.update(message, now);
+      }
+    }
+  }
+
+  /// @brief Apply a decoded message to the aircraft state.
+  /// @param message Object from decodeModeS().
+  /// @param now Receive time in seconds.
+  update(message, now) {
+    if (!this.aircraft.has(message.hex)) {
+      this.aircraft.set(message.hex, { hex: message.hex, cpr: [null, null] });
+    }
+    const state = this.aircraft.get(message.hex);
+    this.messages++;
+    state.seen = now;
+
+    if (message.kind === 'identification') {
+      state.flight = message.flight;
+      if (message.category !== undefined) {
+        state.category = message.category;
+      }
+    } else if (message.kind === 'position') {
+      if (message.altitude !== undefined) {
+        state[message.altitudeGnss ? 'altGnss' : 'altBaro'] = message.altitude;
+      }
+      this.updatePosition(state, message, now);
+    } else {
+      for (const field of ['gs', 'track', 'geomDelta']) {
+        if (message[field] !== undefined) {
+          state[field] = message[field];
+        }
+      }
+      if (message.vertRate !== undefined) {
+        state[message.vertRateGnss ? 'geomRate' : 'baroRate'] = message.vertRate;
+      }
+    }
+  }
+
+  /// @brief Decode a CPR position using the other parity or the last position.
+  /// @param state Aircraft state.
+  /// @param message Position message.
+  /// @param now Receive time in seconds.
+  updatePosition(state, message, now) {
+    const parity = message.cprOdd ? 1 : 0;
+    state.cpr[parity] = { cprLat: message.cprLat, cprLon: message.cprLon, time: now };
+    const other = state.cpr[1 - parity];
+
+    let position = null;
+    if (other !== null && now - other.time <= CPR_MAX_PAIR_AGE) {
+      const [even, odd] = message.cprOdd ? [other, message] : [message, other];
+      position = cprGlobal(even, odd, message.cprOdd);
+    }
+    if (position === null && state.seen_pos !== undefined &&
+        now - state.seen_pos <= CPR_MAX_LOCAL_AGE) {
+      position = cprLocal(message, state.lat, state.lon);
+    }
+    if (position !== null) {
+      state.lat = position.lat;
+      state.lon = position.lon;
+      state.seen_pos = now;
+    }
+  }
+
+  /// @brief Snapshot of the current state in tar1090 format.
+  /// @details alt_geom is the GNSS altitude if reported, otherwise the
+  /// barometric altitude corrected by the GNSS difference from velocity
+  /// messages, otherwise the barometric altitude. Likewise geom_rate falls
+  /// back to the barometric vertical rate.
+  /// @param now Current time in seconds.
+  /// @return Object with {now, messages, aircraft}.
+  snapshot(now) {
+    const aircraft = [];
+    for (const [hex, state] of this.aircraft) {
+      if (now - state.seen > BEAST_AIRCRAFT_TIMEOUT) {
+        this.aircraft.delete(hex);
+        continue;
+      }
+      const entry = { hex: hex, seen: now - state.seen };
+      if (state.flight !== undefined) {
+        entry.flight = state.flight;
+      }
+      if (state.category !== undefined) {
+        entry.category = state.category;
+      }
+      if (state.altBaro !== undefined) {
+        entry.alt_baro = state.altBaro;
+      }
+      if (state.altGnss !== undefined) {
+        entry.alt_geom = state.altGnss;
+      } else if (state.altBaro !== undefined) {
+        entry.alt_geom = state.altBaro + (state.geomDelta ?? 0);
+      }
+      if (state.seen_pos !== undefined) {
+        entry.lat = state.lat;
+        entry.lon = state.lon;
+        entry.seen_pos = now - state.seen_pos;
+      }
+      if (state.gs !== undefined) {
+        entry.gs = state.gs;
+      }
+      if (state.track !== undefined) {
+        entry.track = state.track;
+      }
+      if (state.baroRate !== undefined) {
+        entry.baro_rate = state.baroRate;
+      }
+      if (state.geomRate !== undefined || state.baroRate !== undefined) {
+        entry.geom_rate = state.geomRate ?? state.baroRate;
+      }
+      aircraft.push(entry);
+    }
+    return { now: now, messages: this.messages, aircraft: aircraft };
+  }
+
+}
+
+/// @brief Check that the Beast feed accepts connections.
+/// @param server URL of the form beast://host[:port].
+/// @return True if the feed is reachable.
+export async function checkBeast(server) {
+  return checkFeed(server, 'beast:', BEAST_DEFAULT_PORT, () => new BeastState());
+}
+
+/// @brief Get the current aircraft from a Beast feed.
+/// @param server URL of the form beast://host[:port].
+/// @return JSON in tar1090 format, throws if the feed is not connected.
+export async function fetchBeast(server) {
+  return fetchFeed(server, 'beast:', BEAST_DEFAULT_PORT, () => new BeastState());
+}
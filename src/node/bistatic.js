@@ -0,0 +1,142 @@
+import {lla2ecef, ecef2enu, norm, ft2m} from './geometry.js';
+import {isFiniteNumber} from './validate.js';
+import {aircraftVelocityEcef, calculateDopplerFromVelocity,
+  checkVelocityData} from './doppler.js';
+import {bistaticSigma} from './uncertainty.js';
+
+/// @brief Pre-compute ECEF positions and baseline of a bistatic pair.
+/// @param rxLat Receiver latitude in degrees.
+/// @param rxLon Receiver longitude in degrees.
+/// @param rxAlt Receiver altitude in meters.
+/// @param txLat Transmitter latitude in degrees.
+/// @param txLon Transmitter longitude in degrees.
+/// @param txAlt Transmitter altitude in meters.
+/// @return Object with {ecefRx, ecefTx, dRxTx}.
+export function bistaticGeometry(rxLat, rxLon, rxAlt, txLat, txLon, txAlt) {
+  const ecefRx = lla2ecef(rxLat, rxLon, rxAlt);
+  const ecefTx = lla2ecef(txLat, txLon, txAlt);
+  const dRxTx = norm([ecefRx.x - ecefTx.x, ecefRx.y - ecefTx.y,
+    ecefRx.z - ecefTx.z]);
+  return { ecefRx, ecefTx, dRxTx };
+}
+
+/// @brief Compute the bistatic angle at the target.
+/// @param tar Target position in ECEF.
+/// @param ecefRx Receiver position in ECEF.
+/// @param ecefTx Transmitter position in ECEF.
+/// @param dRxTar Distance from receiver to target (meters).
+/// @param dTxTar Distance from transmitter to target (meters).
+/// @return Angle between target-receiver and target-transmitter lines in degrees.
+export function bistaticAngle(tar, ecefRx, ecefTx, dRxTar, dTxTar) {
+  const cosBeta = ((ecefRx.x - tar.x) * (ecefTx.x - tar.x) +
+    (ecefRx.y - tar.y) * (ecefTx.y - tar.y) +
+    (ecefRx.z - tar.z) * (ecefTx.z - tar.z)) / (dRxTar * dTxTar);
+  return Math.acos(Math.min(1, Math.max(-1, cosBeta))) * 180 / Math.PI;
+}
+
+/// Derived geometry quantities selectable with fields
+export const GEOMETRY_FIELDS = ['rx_range', 'tx_range', 'bistatic_angle',
+  'bistatic_range_rate', 'azimuth', 'elevation'];
+
+/// @brief Compute derived geometry quantities of an aircraft.
+/// @details bistatic_range_rate is the signed rate of change of bistatic
+/// range from the ADS-B velocity, i.e. the velocity projected on the bistatic
+/// bisector times 2cos(beta/2). It is positive when the bistatic range is
+/// opening and negative when closing, so it has the opposite sign to the
+/// Doppler shift. Azimuth (clockwise from north) and elevation are the angle
+/// of arrival at the receiver.
+/// @param fields Names from GEOMETRY_FIELDS to compute.
+/// @param aircraft Aircraft object with lat, lon and velocity.
+/// @param tar Aircraft position in ECEF.
+/// @param rx Receiver with {ecefRx, rxLat, rxLon}.
+/// @param ecefTx Transmitter position in ECEF.
+/// @param dRxTar Distance from receiver to aircraft (meters).
+/// @param dTxTar Distance from transmitter to aircraft (meters).
+/// @return Object with each field requested, ranges in km, range rate in m/s
+/// and angles in degrees. bistatic_range_rate is null without usable velocity.
+export function geometryFields(fields, aircraft, tar, rx, ecefTx, dRxTar, dTxTar) {
+  const { ecefRx, rxLat, rxLon } = rx;
+  const result = {};
+  for (const field of fields) {
+    if (field === 'rx_range') {
+      result.rx_range = dRxTar / 1000;
+    } else if (field === 'tx_range') {
+      result.tx_range = dTxTar / 1000;
+    } else if (field === 'bistatic_angle') {
+      result.bistatic_angle = bistaticAngle(tar, ecefRx, ecefTx, dRxTar, dTxTar);
+    } else if (field === 'bistatic_range_rate') {
+      result.bistatic_range_rate = null;
+      if (checkVelocityData(aircraft, dRxTar, dTxTar).length === 0) {
+        const vel = aircraftVelocityEcef(aircraft);
+        result.bistatic_range_rate =
+          (vel.x * (tar.x - ecefRx.x) + vel.y * (tar.y - ecefRx.y) +
+            vel.z * (tar.z - ecefRx.z)) / dRxTar +
+          (vel.x * (tar.x - ecefTx.x) + vel.y * (tar.y - ecefTx.y) +
+            vel.z * (tar.z - ecefTx.z)) / dTxTar;
+      }
+    } else if (field === 'azimuth' || field === 'elevation') {
+      const enu = ecef2enu({ x: tar.x - ecefRx.x, y: tar.y - ecefRx.y,
+        z: tar.z - ecefRx.z }, rxLat, rxLon);
+      if (field === 'azimuth') {
+        result.azimuth = (Math.atan2(enu.east, enu.north) * 180 / Math.PI + 360) % 360;
+      } else {
+        result.elevation = Math.atan2(enu.up, Math.hypot(enu.east, enu.north)) * 180 / Math.PI;
+      }
+    }
+  }
+  return result;
+}
+
+/// @brief Compute bistatic delay, Doppler and angle for a single aircraft.
+/// @details Stateless, so usable on aircraft from any source or log.
+/// @param aircraft tar1090-style aircraft object.
+/// @param geometry Object from bistaticGeometry().
+/// @param fc Carrier frequency in MHz.
+/// @return Object with {hex, flight, delay, doppler, delay_sigma, doppler_sigma,
+/// bistatic_angle, valid, reasons}. Delay is in km and Doppler in Hz, both
+/// null if they cannot be computed, as are their std from NACp and NACv.
+export function computeBistatic(aircraft, geometry, fc) {
+  const result = {
+    hex: aircraft.hex,
+    flight: aircraft.flight,
+    delay: null,
+    doppler: null,
+    delay_sigma: null,
+    doppler_sigma: null,
+    bistatic_angle: null,
+    valid: false,
+    reasons: []
+  };
+
+  // the aircraft may be any client JSON, so only finite numbers are used
+  const hasPosition = ['lat', 'lon', 'alt_geom'].every(
+    field => isFiniteNumber(aircraft[field]));
+  if (!hasPosition) {
+    result.reasons.push('missing lat, lon or alt_geom');
+    return result;
+  }
+  aircraft = { ...aircraft };
+  for (const field of ['gs', 'track', 'geom_rate']) {
+    if (!isFiniteNumber(aircraft[field])) {
+      delete aircraft[field];
+    }
+  }
+
+  const { ecefRx, ecefTx, dRxTx } = geometry;
+  const tar = lla2ecef(aircraft.lat, aircraft.lon, ft2m(aircraft.alt_geom));
+  const dRxTar = norm([ecefRx.x - tar.x, ecefRx.y - tar.y, ecefRx.z - tar.z]);
+  const dTxTar = norm([ecefTx.x - tar.x, ecefTx.y - tar.y, ecefTx.z - tar.z]);
+
+  result.delay = (dRxTar + dTxTar - dRxTx) / 1000;
+  result.bistatic_angle = bistaticAngle(tar, ecefRx, ecefTx, dRxTar, dTxTar);
+  result.reasons = checkVelocityData(aircraft, dRxTar, dTxTar);
+  result.doppler = calculateDopplerFromVelocity(aircraft, tar, ecefRx, ecefTx,
+    dRxTar, dTxTar, fc);
+  result.valid = result.doppler !== null;
+
+  const sigma = bistaticSigma(aircraft, tar, ecefRx, ecefTx, dRxTar, dTxTar, fc);
+  result.delay_sigma = sigma.delay === null ? null : sigma.delay / 1000;
+  result.doppler_sigma = sigma.doppler;
+
+  return result;
+}
@@ -0,0 +1,155 @@
+/// @file Smoothed derivative estimators for bistatic range
+/// @brief Moving median and pseudo-causal Savitzky-Golay derivatives
+
+export const SG_DEFAULT_WINDOW = 9;
+export const SG_DEFAULT_ORDER = 2;
+export const SG_MAX_WINDOW = 19;   // Needs (window+1)/2 samples of retained range history
+
+/// @brief Computes a smoothed derivative of delays with respect to timestamps.
+/// @details Using a moving median method on the last k samples.
+/// If fewer than k samples are given for delays and timestamps, it will use all available samples.
+/// Just a hunch and probably not optimum.
+/// @param delays Array to diff.
+/// @param timestamps Array to diff with respect to.
+/// @param k Maximum number of samples to compute median on.
+/// @return Array containing a smoothed derivative.
+export function smoothedDerivativeUsingMedian(delays, timestamps, k) {
+  if (delays.length !== timestamps.length || delays.length < 2 || k < 2) {
+    throw new Error('Invalid input data for computing the derivative.');
+  }
+
+  const result = [];
+
+  for (let i = 0; i < delays.length; i++) {
+    const startIdx = Math.max(0, i - k + 1);
+    const endIdx = i + 1;
+
+    const lastKDelays = delays.slice(startIdx, endIdx);
+    const lastKTimestamps = timestamps.slice(startIdx, endIdx);
+
+    const deltaDelays = lastKDelays.map((delay, idx) => {
+      if (idx > 0) {
+        const deltaTime = lastKTimestamps[idx] - lastKTimestamps[idx - 1];
+        return (delay - lastKDelays[idx - 1]) / deltaTime;
+      }
+      return 0;
+    });
+
+    const movingMedianDerivative = calculateMovingMedian(deltaDelays);
+
+    result.push(movingMedianDerivative);
+  }
+
+  return result;
+}
+
+/// @brief Helper function to calculate the moving median of an array
+/// @param arr Array to calculate moving median on.
+/// @return Array of moving median.
+export function calculateMovingMedian(arr) {
+  const sortedArr = [...arr].sort((a, b) => a - b);
+  const middle = Math.floor(sortedArr.length / 2);
+
+  if (sortedArr.length % 2 === 0) {
+    return (sortedArr[middle - 1] + sortedArr[middle]) / 2;
+  } else {
+    return sortedArr[middle];
+  }
+}
+
+/// @brief Least-squares polynomial fit.
+/// @details Solves the normal equations with Gaussian elimination, which is
+/// adequate for the low orders and short windows used here.
+/// @param x Array of abscissae.
+/// @param y Array of ordinates.
+/// @param order Polynomial order.
+/// @return Coefficients [c0, c1, ...] of c0 + c1*x + c2*x^2 + ...
+export function polyfit(x, y, order) {
+  const n = order + 1;
+  const A = Array.from({length: n}, () => new Array(n + 1).fill(0));
+
+  for (let i = 0; i < x.length; i++) {
+    const powers = [1];
+    for (let j = 1; j < 2 * n; j++) {
+      powers.push(powers[j - 1] * x[i]);
+    }
+    for (let r = 0; r < n; r++) {
+      for (let c = 0; c < n; c++) {
+        A[r][c] += powers[r + c];
+      }
+      A[r][n] += powers[r] * y[i];
+    }
+  }
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(A[r][col]) > Math.abs(A[pivot][col])) {
+        pivot = r;
+      }
+    }
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    if (A[col][col] === 0) {
+      throw new Error('Singular matrix in polynomial fit.');
+    }
+    for (let r = 0; r < n; r++) {
+      if (r !== col) {
+        const factor = A[r][col] / A[col][col];
+        for (let c = col; c <= n; c++) {
+          A[r][c] -= factor * A[col][c];
+        }
+      }
+    }
+  }
+
+  return A.map((row, i) => row[n] / row[i]);
+}
+
+/// @brief Pseudo-causal Savitzky-Golay derivative at the latest sample.
+/// @details A Savitzky-Golay filter needs samples either side of the point
+/// of interest. The (window-1)/2 future samples are guessed by fitting a
+/// constant acceleration model to all given samples and extrapolating at
+/// the mean sample interval of the window. A polynomial of the given order
+/// is then fit over the full window and differentiated at the latest sample.
+/// @param delays Array of bistatic ranges, at least (window+1)/2 samples.
+/// @param timestamps Array of sample times (s).
+/// @param window Odd window length in samples.
+/// @param order Polynomial order, less than window.
+/// @return Derivative at the latest sample, or null if too few samples or
+/// the window is degenerate, e.g. duplicated or nearly equal timestamps.
+export function savitzkyGolayDerivative(delays, timestamps, window = SG_DEFAULT_WINDOW,
+  order = SG_DEFAULT_ORDER) {
+  if (delays.length !== timestamps.length || window % 2 !== 1 || order >= window) {
+    throw new Error('Invalid input data for computing the derivative.');
+  }
+
+  const half = (window - 1) / 2;
+  if (delays.length < half + 1) {
+    return null;
+  }
+
+  const past = delays.slice(-(half + 1));
+  const tNow = timestamps.at(-1);
+  const tPast = timestamps.slice(-(half + 1)).map(t => t - tNow);
+  const dt = -tPast[0] / (tPast.length - 1);
+  if (!(dt > 0)) {
+    return null;
+  }
+
+  const nDistinct = new Set(tPast).size;
+  if (nDistinct + half < order + 1) {
+    return null;
+  }
+
+  const tAll = timestamps.map(t => t - tNow);
+  const tFuture = Array.from({length: half}, (_, i) => (i + 1) * dt);
+  let coeffs;
+  try {
+    const accel = polyfit(tAll, delays, Math.min(2, new Set(tAll).size - 1));
+    const future = tFuture.map(t => accel.reduce((sum, c, j) => sum + c * t ** j, 0));
+    coeffs = polyfit([...tPast, ...tFuture], [...past, ...future], order);
+  } catch (e) {
+    return null;
+  }
+  return Number.isFinite(coeffs[1]) ? coeffs[1] : null;
+}
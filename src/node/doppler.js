@@ -35,62 +35,83 @@ export function enuToEcef(vel_e, vel_n, vel_u, lat_rad, lon_rad) {
   return {x: vx, y: vy, z: vz};
 }
 
-/// @brief Calculate bistatic Doppler from velocity data
+/// @brief Aircraft velocity in ECEF from ground speed, track and vertical rate
+/// @param aircraft Aircraft object with lat, lon, gs, track, and optionally geom_rate
+/// @return ECEF velocity vector {x, y, z} in m/s
+export function aircraftVelocityEcef(aircraft) {
+  const gs_ms = aircraft.gs * KNOTS_TO_MS;
+  const track_rad = aircraft.track * Math.PI / 180;
+
+  const vel_east = gs_ms * Math.sin(track_rad);
+  const vel_north = gs_ms * Math.cos(track_rad);
+
+  let vel_up = 0;
+  if (aircraft.geom_rate !== undefined && !isNaN(aircraft.geom_rate)) {
+    vel_up = aircraft.geom_rate * FTMIN_TO_MS;
+  }
+
+  const lat_rad = aircraft.lat * Math.PI / 180;
+  const lon_rad = aircraft.lon * Math.PI / 180;
+  return enuToEcef(vel_east, vel_north, vel_up, lat_rad, lon_rad);
+}
+
+/// @brief Check that an aircraft has usable velocity data
 /// @param aircraft Aircraft object with gs, track, and optionally geom_rate
-/// @param aircraft_ecef Aircraft position in ECEF
-/// @param ecefRx Receiver position in ECEF
-/// @param ecefTx Transmitter position in ECEF
 /// @param dRxTar Distance from receiver to aircraft (meters)
 /// @param dTxTar Distance from transmitter to aircraft (meters)
-/// @param fc Carrier frequency in Hz
-/// @return Doppler shift in Hz, or null if velocity data unavailable
-export function calculateDopplerFromVelocity(aircraft, aircraft_ecef, ecefRx, ecefTx, dRxTar, dTxTar, fc) {
+/// @return Array of reasons the velocity data is unusable, empty if valid
+export function checkVelocityData(aircraft, dRxTar, dTxTar) {
+  const reasons = [];
+
   if (aircraft.gs === undefined || aircraft.track === undefined ||
       isNaN(aircraft.gs) || isNaN(aircraft.track)) {
-    return null;
-  }
-
-  if (aircraft.gs < 0 || aircraft.gs > MAX_GROUND_SPEED_KNOTS) {
-    return null;
-  }
-
-  if (aircraft.track < 0 || aircraft.track >= 360) {
-    return null;
+    reasons.push('missing gs or track');
+  } else {
+    if (aircraft.gs < 0 || aircraft.gs > MAX_GROUND_SPEED_KNOTS) {
+      reasons.push('gs out of range');
+    }
+    if (aircraft.track < 0 || aircraft.track >= 360) {
+      reasons.push('track out of range');
+    }
   }
 
   if (dRxTar < MIN_VALID_DISTANCE_M || dTxTar < MIN_VALID_DISTANCE_M) {
-    return null;
+    reasons.push('too close to receiver or transmitter');
   }
 
   if (aircraft.lat < -90 || aircraft.lat > 90 ||
       aircraft.lon < -180 || aircraft.lon > 180) {
-    return null;
+    reasons.push('lat or lon out of range');
   }
 
   if (aircraft.alt_geom !== undefined &&
       (aircraft.alt_geom < MIN_ALTITUDE_FT || aircraft.alt_geom > MAX_ALTITUDE_FT)) {
-    return null;
+    reasons.push('alt_geom out of range');
   }
 
   if (aircraft.geom_rate !== undefined && !isNaN(aircraft.geom_rate) &&
       Math.abs(aircraft.geom_rate) > MAX_VERTICAL_RATE_FTMIN) {
-    return null;
+    reasons.push('geom_rate out of range');
   }
 
-  const gs_ms = aircraft.gs * KNOTS_TO_MS;
-  const track_rad = aircraft.track * Math.PI / 180;
-
-  const vel_east = gs_ms * Math.sin(track_rad);
-  const vel_north = gs_ms * Math.cos(track_rad);
+  return reasons;
+}
 
-  let vel_up = 0;
-  if (aircraft.geom_rate !== undefined && !isNaN(aircraft.geom_rate)) {
-    vel_up = aircraft.geom_rate * FTMIN_TO_MS;
+/// @brief Calculate bistatic Doppler from velocity data
+/// @param aircraft Aircraft object with gs, track, and optionally geom_rate
+/// @param aircraft_ecef Aircraft position in ECEF
+/// @param ecefRx Receiver position in ECEF
+/// @param ecefTx Transmitter position in ECEF
+/// @param dRxTar Distance from receiver to aircraft (meters)
+/// @param dTxTar Distance from transmitter to aircraft (meters)
+/// @param fc Carrier frequency in Hz
+/// @return Doppler shift in Hz, or null if velocity data unavailable
+export function calculateDopplerFromVelocity(aircraft, aircraft_ecef, ecefRx, ecefTx, dRxTar, dTxTar, fc) {
+  if (checkVelocityData(aircraft, dRxTar, dTxTar).length > 0) {
+    return null;
   }
 
-  const lat_rad = aircraft.lat * Math.PI / 180;
-  const lon_rad = aircraft.lon * Math.PI / 180;
-  const vel_ecef = enuToEcef(vel_east, vel_north, vel_up, lat_rad, lon_rad);
+  const vel_ecef = aircraftVelocityEcef(aircraft);
 
   const vec_to_rx = {
     x: (ecefRx.x - aircraft_ecef.x) / dRxTar,
@@ -0,0 +1,63 @@
+/// @file Multi-source fusion of ADS-B snapshots
+/// @brief Merge aircraft from several sources by hex code
+
+import {isValidNumber} from './validate.js';
+
+/// @brief Age of an aircraft position, for choosing between sources.
+/// @param aircraft Aircraft with seen_pos relative to the fused time.
+/// @return Age in seconds, Infinity if the time of the position is unknown,
+/// or NaN if there is no position.
+function positionAge(aircraft) {
+  if (!isValidNumber(aircraft['lat']) || !isValidNumber(aircraft['lon'])) {
+    return NaN;
+  }
+  return isValidNumber(aircraft['seen_pos']) ? aircraft['seen_pos'] : Infinity;
+}
+
+/// @brief Merge snapshots from several sources into one.
+/// @details Each aircraft is taken from the source with the freshest
+/// position, judged by now - seen_pos, and keeps the first source on a tie.
+/// An aircraft without a position is only used if no source has one. The
+/// callsign is filled in from another source if the chosen one has none.
+/// @param snapshots Array of {source, json} with json in tar1090 format.
+/// @return Fused JSON in tar1090 format. now is the latest snapshot time,
+/// seen and seen_pos are relative to it and each aircraft has a source field.
+export function fuseSnapshots(snapshots) {
+  const now = Math.max(...snapshots.map(({ json }) => json.now));
+  const fused = new Map();
+  const flights = new Map();
+  let messages = 0;
+
+  for (const { source, json } of snapshots) {
+    messages += json.messages || 0;
+    const age = now - json.now;
+    for (const aircraft of json.aircraft) {
+      const entry = { ...aircraft, source: source };
+      if (isValidNumber(aircraft['seen'])) {
+        entry['seen'] = aircraft['seen'] + age;
+      }
+      if (isValidNumber(aircraft['seen_pos'])) {
+        entry['seen_pos'] = aircraft['seen_pos'] + age;
+      }
+      if (aircraft['flight'] !== undefined && !flights.has(aircraft.hex)) {
+        flights.set(aircraft.hex, aircraft['flight']);
+      }
+
+      const current = fused.get(aircraft.hex);
+      const entryAge = positionAge(entry);
+      const currentAge = current === undefined ? NaN : positionAge(current);
+      if (current === undefined || (!isNaN(entryAge) &&
+          (isNaN(currentAge) || entryAge < currentAge))) {
+        fused.set(aircraft.hex, entry);
+      }
+    }
+  }
+
+  for (const [hex, entry] of fused) {
+    if (entry['flight'] === undefined && flights.has(hex)) {
+      entry['flight'] = flights.get(hex);
+    }
+  }
+
+  return { now: now, messages: messages, aircraft: [...fused.values()] };
+}
@@ -30,6 +30,25 @@ export function lla2ecef(latitude, longitude, altitude) {
   return { x, y, z };
 }
 
+/// @brief Rotate an ECEF vector into local east/north/up axes.
+/// @param vector ECEF vector {x, y, z}, e.g. a difference of two positions.
+/// @param latitude Latitude of the local origin in degrees.
+/// @param longitude Longitude of the local origin in degrees.
+/// @return ENU east, north, up object.
+export function ecef2enu(vector, latitude, longitude) {
+  const radian = Math.PI / 180.0;
+  const sinLat = Math.sin(latitude * radian);
+  const cosLat = Math.cos(latitude * radian);
+  const sinLon = Math.sin(longitude * radian);
+  const cosLon = Math.cos(longitude * radian);
+
+  const east = -sinLon * vector.x + cosLon * vector.y;
+  const north = -sinLat * cosLon * vector.x - sinLat * sinLon * vector.y + cosLat * vector.z;
+  const up = cosLat * cosLon * vector.x + cosLat * sinLon * vector.y + sinLat * vector.z;
+
+  return { east, north, up };
+}
+
 /// @brief Calculate the Euclidean norm (magnitude) of a 3D vector.
 /// @param vector Array of [x, y, z] components OR object with {x, y, z} fields in meters.
 /// @return Norm (scalar quantity).
@@ -46,3 +65,21 @@ export function norm(vector) {
 export function ft2m(feet) {
   return feet * 0.3048;
 }
+
+/// @brief Great-circle distance between two points on a spherical Earth.
+/// @param lat1 Latitude of first point in degrees.
+/// @param lon1 Longitude of first point in degrees.
+/// @param lat2 Latitude of second point in degrees.
+/// @param lon2 Longitude of second point in degrees.
+/// @return Distance in meters.
+export function haversine(lat1, lon1, lat2, lon2) {
+  const radian = Math.PI / 180.0;
+  const R = 6371008.8; // mean Earth radius in meters
+
+  const dLat = (lat2 - lat1) * radian;
+  const dLon = (lon2 - lon1) * radian;
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * radian) * Math.cos(lat2 * radian) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * R * Math.asin(Math.min(1, Math.sqrt(h)));
+}
@@ -0,0 +1,65 @@
+/// @file Delay-Doppler history of a session
+/// @brief Bounded ring buffer of computed samples for time-window queries
+
+/// @brief Ring buffer of delay-Doppler samples.
+/// @details Holds the most recent samples of every aircraft and transmitter
+/// in the order they were computed. When full, each new sample overwrites
+/// the oldest one.
+export class HistoryBuffer {
+
+  /// @brief Constructor.
+  /// @param capacity Maximum number of samples held.
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.samples = new Array(capacity);
+    this.start = 0;
+    this.size = 0;
+  }
+
+  /// @brief Add a sample.
+  /// @param hex Aircraft hex code.
+  /// @param txId Transmitter id.
+  /// @param sample Output entry with a timestamp in seconds, copied.
+  push(hex, txId, sample) {
+    const index = (this.start + this.size) % this.capacity;
+    this.samples[index] = { hex: hex, txId: txId, sample: { ...sample } };
+    if (this.size < this.capacity) {
+      this.size++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  /// @brief Samples with a timestamp in a window.
+  /// @param from Start of the window in seconds (inclusive).
+  /// @param to End of the window in seconds (inclusive).
+  /// @param isMultistatic Key samples by transmitter id as well as hex code.
+  /// @return Object of hex code to an array of samples sorted by timestamp,
+  /// or of hex code to transmitter id to an array of samples if multistatic.
+  /// The objects have no prototype, so any hex code or id is a safe key.
+  query(from, to, isMultistatic) {
+    const result = Object.create(null);
+    for (let i = 0; i < this.size; i++) {
+      const { hex, txId, sample } = this.samples[(this.start + i) % this.capacity];
+      if (sample.timestamp < from || sample.timestamp > to) {
+        continue;
+      }
+      if (isMultistatic) {
+        ((result[hex] ??= Object.create(null))[txId] ??= []).push(sample);
+      } else {
+        (result[hex] ??= []).push(sample);
+      }
+    }
+
+    const sortSamples = (samples) => samples.sort((a, b) => a.timestamp - b.timestamp);
+    for (const hex of Object.keys(result)) {
+      if (isMultistatic) {
+        Object.values(result[hex]).forEach(sortSamples);
+      } else {
+        sortSamples(result[hex]);
+      }
+    }
+    return result;
+  }
+
+}
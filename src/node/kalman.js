@@ -0,0 +1,103 @@
+/// @file Kalman filter estimator for position-derived Doppler
+/// @brief Constant-velocity model on bistatic range for a single aircraft
+
+export const KALMAN_PROCESS_NOISE = 2.0;       // White acceleration PSD (m^2/s^3)
+export const KALMAN_MEASUREMENT_NOISE = 30.0;  // Bistatic range noise std (m)
+export const KALMAN_INITIAL_RATE_STD = 300.0;  // Initial range-rate std (m/s)
+
+/// @brief Kalman filter on bistatic range with a constant-velocity model
+/// @details State is [range, rangeRate] in meters and m/s. Process noise is
+/// modelled as white acceleration, so manoeuvres show up as growing variance.
+export class BistaticKalman {
+  /// @param q White acceleration power spectral density (m^2/s^3)
+  /// @param sigma Bistatic range measurement noise std (m)
+  constructor(q = KALMAN_PROCESS_NOISE, sigma = KALMAN_MEASUREMENT_NOISE) {
+    this.q = q;
+    this.r = sigma * sigma;
+    this.x = null;
+    this.P = null;
+    this.timestamp = null;
+    this.count = 0;
+  }
+
+  /// @brief Propagate state and covariance in time
+  /// @details A negative step propagates backwards, with process noise
+  /// still added for the magnitude of the step.
+  /// @param dt Time step (s)
+  predict(dt) {
+    const [r, v] = this.x;
+    const [[p00, p01], [p10, p11]] = this.P;
+    const q = this.q;
+    const adt = Math.abs(dt);
+
+    this.x = [r + v * dt, v];
+    this.P = [
+      [p00 + dt * (p10 + p01) + dt * dt * p11 + q * adt ** 3 / 3,
+       p01 + dt * p11 + q * dt * adt / 2],
+      [p10 + dt * p11 + q * dt * adt / 2,
+       p11 + q * adt]
+    ];
+  }
+
+  /// @brief Incorporate a bistatic range measurement
+  /// @param range Measured bistatic range (m)
+  /// @param timestamp Measurement time (s)
+  /// @return Filtered estimate from estimate()
+  update(range, timestamp) {
+    if (this.x === null) {
+      this.x = [range, 0];
+      this.P = [[this.r, 0], [0, KALMAN_INITIAL_RATE_STD ** 2]];
+      this.timestamp = timestamp;
+      this.count = 1;
+      return this.estimate();
+    }
+
+    const dt = timestamp - this.timestamp;
+    if (dt < 0) {
+      // Out-of-order measurement, keep current state
+      return this.estimate();
+    }
+    if (dt > 0) {
+      this.predict(dt);
+    }
+
+    const [[p00, p01], [p10, p11]] = this.P;
+    const s = p00 + this.r;
+    const k0 = p00 / s;
+    const k1 = p10 / s;
+    const innovation = range - this.x[0];
+
+    this.x = [this.x[0] + k0 * innovation, this.x[1] + k1 * innovation];
+    this.P = [
+      [(1 - k0) * p00, (1 - k0) * p01],
+      [p10 - k1 * p00, p11 - k1 * p01]
+    ];
+    this.timestamp = timestamp;
+    this.count++;
+
+    return this.estimate();
+  }
+
+  /// @brief Filtered state predicted to another time, without updating
+  /// @param timestamp Time to predict to (s)
+  /// @return Predicted estimate, as from estimate()
+  estimateAt(timestamp) {
+    const { x, P } = this;
+    this.predict(timestamp - this.timestamp);
+    const estimate = this.estimate();
+    this.x = x;
+    this.P = P;
+    return estimate;
+  }
+
+  /// @brief Current filtered state
+  /// @return Object with {range, rangeRate, rangeVar, rangeRateVar}
+  estimate() {
+    return {
+      range: this.x[0],
+      rangeRate: this.x[1],
+      rangeVar: this.P[0][0],
+      rangeRateVar: this.P[1][1]
+    };
+  }
+}
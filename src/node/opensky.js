@@ -0,0 +1,187 @@
+/// @file OpenSky Network REST input source
+/// @brief Fetch /states/all in a bounding box and normalize to tar1090 format
+
+export const MAX_OPENSKY_RADIUS = 250;
+export const OPENSKY_UPDATE_INTERVAL = 10000;   // Anonymous state vectors have 10 s resolution (ms)
+
+const M_TO_FT = 1 / 0.3048;
+const MS_TO_KNOTS = 3600 / 1852;
+const MS_TO_FTMIN = 60 / 0.3048;
+
+/// OpenSky state vector array indices
+const STATE = {
+  icao24: 0,
+  callsign: 1,
+  timePosition: 3,
+  lastContact: 4,
+  longitude: 5,
+  latitude: 6,
+  baroAltitude: 7,
+  onGround: 8,
+  velocity: 9,
+  trueTrack: 10,
+  verticalRate: 11,
+  geoAltitude: 13,
+  squawk: 14,
+  category: 17
+};
+
+/// @brief Base URL of the OpenSky REST API.
+/// @details Set OPENSKY_API_URL to use a stand-in server.
+/// @return URL without a trailing slash.
+export function openSkyApiUrl() {
+  return (process.env.OPENSKY_API_URL || 'https://opensky-network.org/api').replace(/\/$/, '');
+}
+
+/// @brief Bounding box enclosing a circle.
+/// @param lat Latitude of circle centre in degrees.
+/// @param lon Longitude of circle centre in degrees.
+/// @param radius Radius in nautical miles.
+/// @return Object with {lamin, lamax, lomin, lomax} in degrees.
+export function boundingBox(lat, lon, radius) {
+  const dLat = radius / 60;
+  const dLon = radius / (60 * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+  return {
+    lamin: Math.max(lat - dLat, -90),
+    lamax: Math.min(lat + dLat, 90),
+    lomin: Math.max(lon - dLon, -180),
+    lomax: Math.min(lon + dLon, 180)
+  };
+}
+
+/// @brief Convert an OpenSky category number to an ADS-B emitter category.
+/// @param category OpenSky category (0 to 20).
+/// @return Category such as 'A3', or undefined if unknown.
+function emitterCategory(category) {
+  if (category >= 2 && category <= 8) {
+    return 'A' + (category - 1);
+  }
+  if (category >= 9 && category <= 15) {
+    return 'B' + (category - 8);
+  }
+  if (category >= 16 && category <= 20) {
+    return 'C' + (category - 15);
+  }
+  return undefined;
+}
+
+/// @brief Convert an OpenSky /states/all response to tar1090 format.
+/// @details Altitudes are converted from meters to feet, speed from m/s to
+/// knots and vertical rate from m/s to ft/min. alt_geom is the geometric
+/// altitude if reported, otherwise the barometric altitude.
+/// @param data Response with {time, states}.
+/// @return Object with {now, messages, aircraft}.
+export function normalizeOpenSky(data) {
+  const now = data.time;
+  const aircraft = [];
+
+  for (const state of data.states || []) {
+    if (!Array.isArray(state) || typeof state[STATE.icao24] !== 'string') {
+      continue;
+    }
+    const entry = { hex: state[STATE.icao24].trim().toLowerCase() };
+    const value = (index) => state[index] === null ? undefined : state[index];
+
+    const callsign = value(STATE.callsign);
+    if (typeof callsign === 'string' && callsign.trim() !== '') {
+      entry.flight = callsign.trim();
+    }
+    if (value(STATE.lastContact) !== undefined) {
+      entry.seen = now - state[STATE.lastContact];
+    }
+    if (value(STATE.latitude) !== undefined && value(STATE.longitude) !== undefined) {
+      entry.lat = state[STATE.latitude];
+      entry.lon = state[STATE.longitude];
+      if (value(STATE.timePosition) !== undefined) {
+        entry.seen_pos = now - state[STATE.timePosition];
+      }
+    }
+    if (value(STATE.baroAltitude) !== undefined) {
+      entry.alt_baro = state[STATE.baroAltitude] * M_TO_FT;
+    }
+    const altitude = value(STATE.geoAltitude) ?? value(STATE.baroAltitude);
+    if (altitude !== undefined) {
+      entry.alt_geom = altitude * M_TO_FT;
+    }
+    if (value(STATE.velocity) !== undefined) {
+      entry.gs = state[STATE.velocity] * MS_TO_KNOTS;
+    }
+    if (value(STATE.trueTrack) !== undefined) {
+      entry.track = state[STATE.trueTrack];
+    }
+    if (value(STATE.verticalRate) !== undefined) {
+      entry.geom_rate = state[STATE.verticalRate] * MS_TO_FTMIN;
+    }
+    if (value(STATE.squawk) !== undefined) {
+      entry.squawk = state[STATE.squawk];
+    }
+    const category = emitterCategory(value(STATE.category));
+    if (category !== undefined) {
+      entry.category = category;
+    }
+    if (state[STATE.onGround] === true) {
+      entry.alt_baro = 'ground';
+    }
+    aircraft.push(entry);
+  }
+
+  return { now: now, messages: aircraft.length, aircraft: aircraft };
+}
+
+/// @brief Validate the centre and radius of an OpenSky query.
+/// @param lat Latitude
+/// @param lon Longitude
+/// @param radius Radius in nautical miles
+/// @return Error message, or null if all parameters are valid
+export function validateOpenSkyQuery(lat, lon, radius) {
+  const isValid = typeof lat === 'number' && lat >= -90 && lat <= 90 &&
+    typeof lon === 'number' && lon >= -180 && lon <= 180 &&
+    typeof radius === 'number' && radius > 0 && radius <= MAX_OPENSKY_RADIUS;
+  return isValid ? null : 'Invalid OpenSky query parameters';
+}
+
+/// @brief Build the /states/all URL for a circle query.
+/// @param apiUrl Base URL of the API.
+/// @param lat Latitude of query center.
+/// @param lon Longitude of query center.
+/// @param radius Radius in nautical miles.
+/// @return Query URL for the bounding box of the circle.
+export function openSkyUrl(apiUrl, lat, lon, radius) {
+  const box = boundingBox(lat, lon, radius);
+  const query = new URLSearchParams({
+    lamin: box.lamin.toFixed(4),
+    lomin: box.lomin.toFixed(4),
+    lamax: box.lamax.toFixed(4),
+    lomax: box.lomax.toFixed(4)
+  });
+  return `${apiUrl}/states/all?${query}`;
+}
+
+/// @brief Fetch a /states/all query and normalize to tar1090 format.
+/// @param url Query URL from openSkyUrl().
+/// @return Normalized JSON response matching tar1090 format, throws on failure.
+export async function fetchOpenSkyStates(url) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 5000);
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch data. Status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (!data || typeof data.time !== 'number' || isNaN(data.time)) {
+      throw new Error('Invalid or missing timestamp in the "time" key.');
+    }
+    return normalizeOpenSky(data);
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error('Request timeout fetching OpenSky data');
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
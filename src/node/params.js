@@ -0,0 +1,179 @@
+import {isValidNumber} from './validate.js';
+import {getSource, resolveSource} from './sources.js';
+import {SG_DEFAULT_WINDOW, SG_DEFAULT_ORDER, SG_MAX_WINDOW} from './derivative.js';
+import {GEOMETRY_FIELDS} from './bistatic.js';
+
+/// Position-derived Doppler estimators selectable with doppler_filter
+export const DOPPLER_FILTERS = ['median', 'kalman'];
+
+/// Optional session parameters, in the order they appear in a session key
+export const OPTIONAL_SESSION_PARAMS = ['source', 'tx_id', 'doppler_filter', 'sg_window',
+  'sg_order', 'fields'];
+
+/// Transmitter ids, which are used as object keys in the output, so names
+/// of Object.prototype properties are also rejected
+export const TX_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+/// Parameters selecting the returned data rather than the session
+export const VIEW_PARAMS = ['from', 'to', 't_ref', 'cpi', 'epoch'];
+
+/// @brief Parse and validate the receiver, transmitter and frequency.
+/// @param query Object with rx, tx and fc fields.
+/// @return Object with {rxLat, rxLon, rxAlt, txLat, txLon, txAlt, fc}, or null if invalid.
+export function parseGeometryParams(query) {
+  if (typeof query.rx !== 'string' || typeof query.tx !== 'string' ||
+      typeof query.fc !== 'string') {
+    return null;
+  }
+  const rxParams = query.rx?.split(',').map(parseFloat);
+  const txParams = query.tx?.split(',').map(parseFloat);
+  const fc = parseFloat(query.fc);
+  if (!rxParams || !txParams || !rxParams.every(isValidNumber) || !txParams.every(isValidNumber) || isNaN(fc) || fc <= 0) {
+    return null;
+  }
+  const [rxLat, rxLon, rxAlt] = rxParams;
+  const [txLat, txLon, txAlt] = txParams;
+  return { rxLat, rxLon, rxAlt, txLat, txLon, txAlt, fc };
+}
+
+/// @brief Parse and validate the delay-Doppler session parameters.
+/// @details Shared by every endpoint that creates a session so the
+/// validation rules stay identical to /api/dd. Several transmitters may be
+/// given as tx=lat,lon,alt;lat,lon,alt with one fc each (or one shared fc)
+/// and optional tx_id=id;id, defaulting to tx0, tx1, ... Several ADS-B
+/// sources may be given as server=url;url, each with its adapter chosen by
+/// the optional source=name;name or detected from the URL if empty. Extra
+/// geometry quantities may be requested with fields=name,name.
+/// @param query Object with server, rx, tx and fc fields.
+/// @return Object with {params} on success or {error} on failure.
+export function parseDdParams(query) {
+  for (const param of ['server', 'rx', 'tx', 'fc', ...OPTIONAL_SESSION_PARAMS]) {
+    if (query[param] !== undefined && typeof query[param] !== 'string') {
+      return { error: `Invalid ${param}. Expected a single value` };
+    }
+  }
+
+  const server = typeof query.server === 'string' ? query.server : undefined;
+  const txList = query.tx?.split(';');
+  const fcList = query.fc?.split(';');
+  if (!server || !txList || !fcList ||
+      (fcList.length !== 1 && fcList.length !== txList.length)) {
+    return { error: 'Invalid parameters. Required: server, rx, tx, fc' };
+  }
+
+  const txIds = query.tx_id !== undefined ? query.tx_id.split(';') :
+    txList.map((tx, i) => `tx${i}`);
+  if (txIds.length !== txList.length || new Set(txIds).size !== txIds.length) {
+    return { error: 'Invalid tx_id. Expected one unique id per transmitter' };
+  }
+  if (txIds.some(id => !TX_ID_PATTERN.test(id) || id in Object.prototype)) {
+    return { error: 'Invalid tx_id. Expected letters, digits, _ or - (at most 32)' };
+  }
+
+  const transmitters = [];
+  let rxLat, rxLon, rxAlt;
+  for (let i = 0; i < txList.length; i++) {
+    const geometry = parseGeometryParams({
+      rx: query.rx,
+      tx: txList[i],
+      fc: fcList.length === 1 ? fcList[0] : fcList[i]
+    });
+    if (!geometry) {
+      return { error: 'Invalid parameters. Required: server, rx, tx, fc' };
+    }
+    ({ rxLat, rxLon, rxAlt } = geometry);
+    transmitters.push({
+      id: txIds[i],
+      txLat: geometry.txLat,
+      txLon: geometry.txLon,
+      txAlt: geometry.txAlt,
+      fc: geometry.fc
+    });
+  }
+
+  const serverList = server.split(';');
+  const sourceList = query.source !== undefined ? query.source.split(';') :
+    serverList.map(() => '');
+  if (sourceList.length !== serverList.length) {
+    return { error: 'Invalid source. Expected one source per server' };
+  }
+
+  const sources = [];
+  for (let i = 0; i < serverList.length; i++) {
+    const { source, error } = resolveSource(serverList[i],
+      sourceList[i] === '' ? undefined : sourceList[i]);
+    if (error) {
+      return { error: error };
+    }
+    sources.push({ server: serverList[i], source: source });
+  }
+
+  // servers that normalise to the same query would share one fusion slot
+  const queries = sources.map(({ server, source }) =>
+    `${source} ${getSource(source).apiUrl(server)}`);
+  if (new Set(queries).size !== queries.length) {
+    return { error: 'Invalid server. Each server may only be given once' };
+  }
+
+  const dopplerFilter = query.doppler_filter ?? 'median';
+  if (!DOPPLER_FILTERS.includes(dopplerFilter)) {
+    return { error: `Invalid doppler_filter. Expected one of: ${DOPPLER_FILTERS.join(', ')}` };
+  }
+
+  const sgWindow = query.sg_window !== undefined ? Number(query.sg_window) : SG_DEFAULT_WINDOW;
+  if (!Number.isInteger(sgWindow) || sgWindow < 3 || sgWindow > SG_MAX_WINDOW || sgWindow % 2 !== 1) {
+    return { error: `Invalid sg_window. Expected an odd integer from 3 to ${SG_MAX_WINDOW}` };
+  }
+
+  const sgOrder = query.sg_order !== undefined ? Number(query.sg_order) : SG_DEFAULT_ORDER;
+  if (!Number.isInteger(sgOrder) || sgOrder < 1 || sgOrder >= sgWindow) {
+    return { error: 'Invalid sg_order. Expected an integer from 1 to sg_window - 1' };
+  }
+
+  const fields = query.fields !== undefined ? query.fields.split(',') : [];
+  if (fields.some(field => !GEOMETRY_FIELDS.includes(field)) ||
+      new Set(fields).size !== fields.length) {
+    return { error: `Invalid fields. Expected any of: ${GEOMETRY_FIELDS.join(', ')}` };
+  }
+
+  return {
+    params: { server, sources, rxLat, rxLon, rxAlt, transmitters, dopplerFilter,
+      sgWindow, sgOrder, fields }
+  };
+}
+
+/// @brief Get the dict key of the session addressed by a request URL.
+/// @details Sessions are keyed by their /api/dd URL, so other endpoints
+/// carrying the same query string (e.g. /api/dd/stream) map onto it.
+/// Parameters in VIEW_PARAMS only select what is returned and are dropped.
+/// @param originalUrl Request URL including the query string.
+/// @return Session key in dict.
+export function sessionKey(originalUrl) {
+  const idx = originalUrl.indexOf('?');
+  if (idx < 0) {
+    return '/api/dd';
+  }
+  const query = originalUrl.slice(idx + 1).split('&')
+    .filter(pair => !VIEW_PARAMS.includes(pair.split('=')[0]))
+    .join('&');
+  return '/api/dd' + (query === '' ? '' : '?' + query);
+}
+
+/// @brief Build the session key for parameters given without a request URL.
+/// @details Matches the /api/dd URL generated by the web front-end, so
+/// WebSocket subscribers share sessions with equivalent HTTP clients.
+/// Optional parameters are appended in OPTIONAL_SESSION_PARAMS order.
+/// @param query Object with server, rx, tx, fc and optional fields.
+/// @return Session key in dict.
+export function sessionKeyFromQuery(query) {
+  let key = `/api/dd?rx=${encodeURIComponent(query.rx)}` +
+    `&tx=${encodeURIComponent(query.tx)}` +
+    `&fc=${encodeURIComponent(query.fc)}` +
+    `&server=${encodeURIComponent(query.server)}`;
+  for (const param of OPTIONAL_SESSION_PARAMS) {
+    if (query[param] !== undefined) {
+      key += `&${param}=${encodeURIComponent(query[param])}`;
+    }
+  }
+  return key;
+}
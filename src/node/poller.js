@@ -0,0 +1,267 @@
+/// @file Shared polling of ADS-B sources
+/// @brief Fetch each distinct source once per interval for all sessions using it
+
+import {getSource, sourceUrl} from './sources.js';
+import {haversine} from './geometry.js';
+import {isValidNumber} from './validate.js';
+
+const NM_TO_M = 1852;
+
+/// @brief Query circle of a session on an area source.
+/// @details Centred on the bounding box of the receiver and transmitters,
+/// with a radius that covers a circle of the given radius around every
+/// rx-tx midpoint. With one transmitter this is the circle around the rx-tx
+/// midpoint.
+/// @param rxLat Receiver latitude in degrees.
+/// @param rxLon Receiver longitude in degrees.
+/// @param transmitters Array of {txLat, txLon}.
+/// @param radius Radius around each rx-tx midpoint in nautical miles.
+/// @return Object with {lat, lon, radius (nm)}.
+export function sessionArea(rxLat, rxLon, transmitters, radius) {
+  const lats = [rxLat, ...transmitters.map(tx => tx.txLat)];
+  const lons = [rxLon, ...transmitters.map(tx => tx.txLon)];
+  const lat = (Math.min(...lats) + Math.max(...lats)) / 2;
+  const lon = (Math.min(...lons) + Math.max(...lons)) / 2;
+  const maxDist = Math.max(...transmitters.map(tx =>
+    haversine(lat, lon, (rxLat + tx.txLat) / 2, (rxLon + tx.txLon) / 2)));
+  return { lat: lat, lon: lon, radius: Math.ceil(maxDist / NM_TO_M + radius) };
+}
+
+/// @brief Group sessions by the ADS-B query that can serve them.
+/// @details Sessions on URL sources (tar1090, SBS, Beast) are grouped by
+/// apiUrl. Sessions on the same area source (adsb.lol, OpenSky, readsb v2)
+/// whose query circles overlap are merged into one query with a circle
+/// enclosing them all, as long as it stays within the maximum radius of
+/// that source. A session using several sources is in the group of each.
+/// @param sessions Object of session key to session (sources as an array of
+/// {source, apiUrl}, midLat, midLon and optionally radius).
+/// @param radius Area query radius of sessions without their own, in
+/// nautical miles.
+/// @return Array of {source, keys}. Source is {type, apiUrl} for URL
+/// sources, or {type, apiUrl, lat, lon, radius} for area sources.
+export function groupSessionsBySource(sessions, radius) {
+  const groups = [];
+  const byUrl = new Map();
+  const areas = [];
+
+  /// Add a session to the group of one of its sources
+  const addSession = (key, session, type, apiUrl) => {
+    if (!getSource(type).area) {
+      if (!byUrl.has(apiUrl)) {
+        const group = { source: { type: type, apiUrl: apiUrl }, keys: [] };
+        byUrl.set(apiUrl, group);
+        groups.push(group);
+      }
+      byUrl.get(apiUrl).keys.push(key);
+      return;
+    }
+
+    const centre = { lat: session['midLat'], lon: session['midLon'],
+      radius: session['radius'] ?? radius };
+    let merged = false;
+    for (const group of areas) {
+      const overlaps = group.centres.some(c => haversine(c.lat, c.lon, centre.lat,
+        centre.lon) < (c.radius + centre.radius) * NM_TO_M);
+      if (group.source.type !== type || group.source.apiUrl !== apiUrl || !overlaps) {
+        continue;
+      }
+      const source = enclosingQuery(type, apiUrl, [...group.centres, centre]);
+      if (source.radius <= getSource(type).maxRadius) {
+        group.centres.push(centre);
+        group.source = source;
+        group.keys.push(key);
+        merged = true;
+        break;
+      }
+    }
+    if (!merged) {
+      const group = {
+        source: { type: type, apiUrl: apiUrl, lat: centre.lat, lon: centre.lon,
+          radius: centre.radius },
+        keys: [key],
+        centres: [centre]
+      };
+      areas.push(group);
+      groups.push(group);
+    }
+  };
+
+  for (const [key, session] of Object.entries(sessions)) {
+    for (const { source: type, apiUrl } of session['sources']) {
+      addSession(key, session, type, apiUrl);
+    }
+  }
+
+  return groups.map(({ source, keys }) => ({ source, keys }));
+}
+
+/// @brief Compute an area query covering several query circles.
+/// @param type Area source type.
+/// @param apiUrl Base URL of the source.
+/// @param centres Array of {lat, lon, radius} circles, radius in nautical miles.
+/// @return Query {type, apiUrl, lat, lon, radius}.
+function enclosingQuery(type, apiUrl, centres) {
+  const lat = centres.reduce((sum, c) => sum + c.lat, 0) / centres.length;
+  const lon = centres.reduce((sum, c) => sum + c.lon, 0) / centres.length;
+  const maxReach = Math.max(...centres.map(c =>
+    haversine(lat, lon, c.lat, c.lon) / NM_TO_M + c.radius));
+  return {
+    type: type,
+    apiUrl: apiUrl,
+    lat: lat,
+    lon: lon,
+    radius: Math.ceil(maxReach)
+  };
+}
+
+/// @brief Keep only aircraft within a circle.
+/// @param json tar1090-format JSON.
+/// @param lat Latitude of circle centre in degrees.
+/// @param lon Longitude of circle centre in degrees.
+/// @param radius Radius in nautical miles.
+/// @return Copy of json with filtered aircraft.
+export function filterByDistance(json, lat, lon, radius) {
+  return {
+    ...json,
+    aircraft: json.aircraft.filter(aircraft =>
+      isValidNumber(aircraft['lat']) && isValidNumber(aircraft['lon']) &&
+      haversine(lat, lon, aircraft['lat'], aircraft['lon']) <= radius * NM_TO_M)
+  };
+}
+
+/// @brief Unique identifier of a source query.
+/// @param source Source from groupSessionsBySource().
+/// @return The URL fetched for the query.
+export function sourceId(source) {
+  return sourceUrl(source.type, source.apiUrl, source.lat, source.lon, source.radius);
+}
+
+/// @brief Polls each ADS-B source on its own schedule.
+/// @details Every source is fetched at most once per interval, and a slow
+/// source only delays the sessions it serves. At most maxConcurrent fetches
+/// are in flight at once. The latency and error count of each source are
+/// tracked for reporting.
+export class SourceScheduler {
+
+  /// @brief Constructor.
+  /// @param getSessions Function returning the current object of sessions.
+  /// @param onSnapshot Function (key, json, source) called for each session
+  /// served by a fetch, with source from groupSessionsBySource().
+  /// @param options Optional {interval (ms), intervals (ms by source type,
+  /// overriding the adapter interval), maxConcurrent, radius (nm, for sessions
+  /// without their own), fetchers
+  /// (by source type, overriding the adapter fetch)}.
+  constructor(getSessions, onSnapshot, options = {}) {
+    this.getSessions = getSessions;
+    this.onSnapshot = onSnapshot;
+    this.interval = options.interval ?? 1000;
+    this.intervals = options.intervals ?? {};
+    this.maxConcurrent = options.maxConcurrent ?? 4;
+    this.radius = options.radius ?? 40;
+    this.fetchers = options.fetchers ?? {};
+    this.sources = new Map();
+    this.active = 0;
+  }
+
+  /// @brief Regroup sessions by source and start any fetches that are due.
+  /// @param now Current time in ms.
+  tick(now = Date.now()) {
+    const seen = new Set();
+    for (const { source, keys } of groupSessionsBySource(this.getSessions(), this.radius)) {
+      const id = sourceId(source);
+      seen.add(id);
+      if (!this.sources.has(id)) {
+        this.sources.set(id, {
+          id: id,
+          source: source,
+          keys: keys,
+          inFlight: false,
+          nextFetch: now,
+          lastFetch: null,
+          latency: null,
+          errors: 0,
+          lastError: null
+        });
+      }
+      this.sources.get(id).keys = keys;
+    }
+
+    for (const [id, state] of this.sources) {
+      if (!seen.has(id) && !state.inFlight) {
+        this.sources.delete(id);
+      }
+    }
+
+    const due = [...this.sources.values()]
+      .filter(state => seen.has(state.id) && !state.inFlight && state.nextFetch <= now)
+      .sort((a, b) => a.nextFetch - b.nextFetch);
+    for (const state of due) {
+      if (this.active >= this.maxConcurrent) {
+        break;
+      }
+      this.poll(state, now).catch(error =>
+        console.error(`Error processing ${state.id}:`, error.message));
+    }
+  }
+
+  /// @brief Fetch a source and pass the snapshot to its sessions.
+  /// @details A failed fetch is counted and its sessions receive an empty
+  /// aircraft list, as if the source had no aircraft.
+  /// @param state Source state.
+  /// @param now Current time in ms.
+  /// @return Promise resolving when the sessions have been updated.
+  async poll(state, now = Date.now()) {
+    state.inFlight = true;
+    const adapter = getSource(state.source.type);
+    state.nextFetch = now + (this.intervals[state.source.type] ?? adapter.interval ??
+      this.interval);
+    this.active++;
+
+    const start = Date.now();
+    let json;
+    try {
+      json = await (this.fetchers[state.source.type] ?? adapter.fetch)(state.id);
+      state.lastError = null;
+    } catch (error) {
+      console.error(`Error fetching ${state.id}:`, error.message);
+      state.errors++;
+      state.lastError = error.message;
+      json = { now: Date.now() / 1000, messages: 0, aircraft: [] };
+    } finally {
+      state.latency = Date.now() - start;
+      state.lastFetch = Date.now();
+      state.inFlight = false;
+      this.active--;
+    }
+
+    const sessions = this.getSessions();
+    for (const key of state.keys) {
+      if (!(key in sessions)) {
+        continue;
+      }
+      if (adapter.area) {
+        this.onSnapshot(key, filterByDistance(json, sessions[key]['midLat'],
+          sessions[key]['midLon'], sessions[key]['radius'] ?? this.radius), state.source);
+      } else {
+        this.onSnapshot(key, json, state.source);
+      }
+    }
+  }
+
+  /// @brief Report the state of every source.
+  /// @return Array of {id, type, sessions, inFlight, lastFetch, latency, errors, lastError}.
+  /// Times are in seconds, latency in ms.
+  status() {
+    return [...this.sources.values()].map(state => ({
+      id: state.id,
+      type: state.source.type,
+      sessions: state.keys,
+      inFlight: state.inFlight,
+      lastFetch: state.lastFetch === null ? null : state.lastFetch / 1000,
+      latency: state.latency,
+      errors: state.errors,
+      lastError: state.lastError
+    }));
+  }
+
+}
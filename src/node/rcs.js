@@ -0,0 +1,87 @@
+/// @file Aircraft radar cross section
+/// @brief Per-aircraft RCS by emitter category or local database, with fluctuation
+
+import fs from 'fs';
+
+/// Typical bistatic RCS (m^2) by ADS-B emitter category
+export const CATEGORY_RCS = {
+  A1: 1,     // Light (< 15500 lb)
+  A2: 3,     // Small (15500 to 75000 lb)
+  A3: 10,    // Large (75000 to 300000 lb)
+  A4: 20,    // High vortex large (e.g. B757)
+  A5: 50,    // Heavy (> 300000 lb)
+  A6: 5,     // High performance
+  A7: 3      // Rotorcraft
+};
+
+/// RCS models selectable with rcs_model
+export const RCS_MODELS = ['fixed', 'category'];
+
+/// Swerling cases selectable with swerling
+export const SWERLING_CASES = [0, 1, 3];
+
+/// @brief Load an aircraft database file.
+/// @details The file is a JSON object keyed by hex code, each entry with an
+/// optional rcs (m^2) and/or category, e.g.
+/// {"7c6b2d": {"type": "B738", "category": "A3"}, "7c1234": {"rcs": 2}}.
+/// @param file Path to the JSON file.
+/// @return Object of lower case hex code to entry.
+export function loadAircraftDb(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Aircraft database must be a JSON object keyed by hex');
+  }
+  const db = {};
+  for (const [hex, entry] of Object.entries(data)) {
+    db[hex.toLowerCase()] = entry;
+  }
+  return db;
+}
+
+let cachedFile = null;
+let cachedDb = {};
+
+/// @brief Aircraft database set by the AIRCRAFT_DB environment variable.
+/// @details Loaded on first use and whenever the path changes.
+/// @return Object from loadAircraftDb(), empty if AIRCRAFT_DB is not set.
+export function aircraftDb() {
+  const file = process.env.AIRCRAFT_DB || null;
+  if (file !== cachedFile) {
+    cachedDb = file === null ? {} : loadAircraftDb(file);
+    cachedFile = file;
+  }
+  return cachedDb;
+}
+
+/// @brief Mean RCS of an aircraft.
+/// @details A database entry rcs takes precedence, then the database entry
+/// category, then the category reported over ADS-B.
+/// @param aircraft Aircraft object with hex and optionally category.
+/// @param db Aircraft database from loadAircraftDb().
+/// @param defaultRcs RCS (m^2) for aircraft with no known category.
+/// @return RCS in m^2.
+export function aircraftRcs(aircraft, db, defaultRcs) {
+  const entry = db[aircraft.hex?.toLowerCase()];
+  if (entry?.rcs > 0) {
+    return entry.rcs;
+  }
+  return CATEGORY_RCS[entry?.category ?? aircraft.category] ?? defaultRcs;
+}
+
+/// @brief Draw the RCS fluctuation of one frame.
+/// @details Swerling I has an exponential RCS (chi-square with 2 degrees of
+/// freedom) and Swerling III a chi-square with 4 degrees of freedom, both
+/// with unit mean and independent from frame to frame. Case 0 is a steady
+/// target and draws nothing.
+/// @param swerling Swerling case 0, 1 or 3.
+/// @param rng SyntheticRNG.
+/// @return Multiplier on the mean RCS.
+export function rcsFluctuation(swerling, rng) {
+  if (swerling === 1) {
+    return rng.exponential(1);
+  }
+  if (swerling === 3) {
+    return (rng.exponential(1) + rng.exponential(1)) / 2;
+  }
+  return 1;
+}
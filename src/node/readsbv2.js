@@ -0,0 +1,111 @@
+/// @file readsb v2 JSON API input source
+/// @brief Area queries against adsb.lol, airplanes.live, ADSBExchange and
+/// other aggregators serving the readsb v2 API
+
+export const MAX_READSB_V2_RADIUS = 250;
+
+/// @brief Validate the centre and radius of a v2 API circle query.
+/// @param lat Latitude
+/// @param lon Longitude
+/// @param radius Radius in nautical miles
+/// @param name Source name used in the error message.
+/// @return Error message, or null if all parameters are valid
+export function validateReadsbV2Query(lat, lon, radius, name = 'readsb v2') {
+  if (typeof lat !== 'number' || !(lat >= -90 && lat <= 90)) {
+    return `Invalid ${name} query latitude`;
+  }
+  if (typeof lon !== 'number' || !(lon >= -180 && lon <= 180)) {
+    return `Invalid ${name} query longitude`;
+  }
+  if (typeof radius !== 'number' || !(radius > 0 && radius <= MAX_READSB_V2_RADIUS)) {
+    return `Invalid ${name} query radius`;
+  }
+  return null;
+}
+
+/// @brief Build the URL of a circle query.
+/// @details A base URL ending in /point uses the /point/{lat}/{lon}/{radius}
+/// form (airplanes.live), any other base URL the
+/// /lat/{lat}/lon/{lon}/dist/{radius} form (adsb.lol, ADSBExchange, adsb.fi).
+/// @param apiUrl Base URL of the v2 API, e.g. https://api.adsb.lol/v2.
+/// @param lat Latitude of query center.
+/// @param lon Longitude of query center.
+/// @param radius Radius in nautical miles.
+/// @return Query URL.
+export function readsbV2Url(apiUrl, lat, lon, radius) {
+  const base = apiUrl.replace(/\/$/, '');
+  if (base.endsWith('/point')) {
+    return `${base}/${lat}/${lon}/${radius}`;
+  }
+  return `${base}/lat/${lat}/lon/${lon}/dist/${radius}`;
+}
+
+/// @brief Convert a v2 API response to tar1090 format.
+/// @param data Response with {now, total, ac}.
+/// @return Object with {now, messages, aircraft}, throws on an invalid timestamp.
+export function normalizeReadsbV2(data) {
+  if (!data || typeof data.now !== 'number' || isNaN(data.now)) {
+    throw new Error('Invalid or missing timestamp in the "now" key.');
+  }
+
+  // v2 APIs return the timestamp in milliseconds
+  // convert to seconds to match tar1090 format
+  // use simple heuristic: if > 1e12, treat as milliseconds
+  const timestamp = data.now;
+  const nowInSeconds = timestamp > 1e12 ? timestamp / 1000 : timestamp;
+
+  // validate result is within reasonable range (±1 year)
+  const currentTime = Date.now() / 1000;
+  const oneYear = 365 * 24 * 60 * 60;
+  if (Math.abs(nowInSeconds - currentTime) > oneYear) {
+    throw new Error(`Timestamp out of reasonable range: ${timestamp}`);
+  }
+
+  return {
+    now: nowInSeconds,
+    messages: data.total || 0,
+    aircraft: data.ac || []
+  };
+}
+
+/// @brief Build the request headers of a v2 API query.
+/// @details The READSB_V2_API_KEY api-auth header, as needed by the
+/// ADSBExchange API, is only sent when the query host matches the
+/// operator's READSB_V2_API_HOST. Server URLs come from clients, so the key
+/// is never sent to any other host.
+/// @param url Query URL from readsbV2Url().
+/// @return Object of request headers.
+export function readsbV2Headers(url) {
+  const key = process.env.READSB_V2_API_KEY;
+  const host = process.env.READSB_V2_API_HOST;
+  if (!key || !host || new URL(url).host !== host) {
+    return {};
+  }
+  return { 'api-auth': key };
+}
+
+/// @brief Fetch a v2 API query and normalize to tar1090 format.
+/// @param url Query URL from readsbV2Url().
+/// @return Normalized JSON response matching tar1090 format, throws on failure.
+export async function fetchReadsbV2(url) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 5000);
+  const headers = readsbV2Headers(url);
+
+  try {
+    const response = await fetch(url, { signal: controller.signal, headers: headers });
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch data. Status: ${response.status}`);
+    }
+
+    return normalizeReadsbV2(await response.json());
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error('Request timeout fetching readsb v2 data');
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
@@ -0,0 +1,122 @@
+/// @file Session recorder
+/// @brief Archive raw snapshots and computed output to rotating NDJSON files
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+export const RECORD_MAX_BYTES = 50 * 1024 * 1024;
+export const RECORD_MAX_FILES = 10;
+export const RECORD_MAX_DURATION = 3600;
+
+/// @brief Directory that recordings are written to.
+/// @details Set RECORD_DIR to change it.
+/// @return Directory path.
+export function recordDir() {
+  return process.env.RECORD_DIR || './recordings';
+}
+
+/// @brief Upper bounds on the recording options a client may request.
+/// @details Set RECORD_LIMIT_BYTES, RECORD_LIMIT_FILES and
+/// RECORD_LIMIT_DURATION (s) to change them. They default to
+/// RECORD_MAX_BYTES, RECORD_MAX_FILES and RECORD_MAX_DURATION.
+/// @return Object with {maxBytes, maxFiles, maxDuration}.
+export function recordLimits() {
+  const limit = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && value > 0 ? value : fallback;
+  };
+  return {
+    maxBytes: limit('RECORD_LIMIT_BYTES', RECORD_MAX_BYTES),
+    maxFiles: limit('RECORD_LIMIT_FILES', RECORD_MAX_FILES),
+    maxDuration: limit('RECORD_LIMIT_DURATION', RECORD_MAX_DURATION)
+  };
+}
+
+/// @brief Records one session to newline-delimited JSON files.
+/// @details Every file starts with a {type: 'session', key, time} line
+/// followed by one record per line. A new file is started when the current
+/// one would exceed maxBytes, and the oldest files are deleted to keep at
+/// most maxFiles. Writes are synchronous so records stay in order across
+/// rotation. The recording expires maxDuration seconds after it started.
+export class SessionRecorder {
+
+  /// @brief Constructor.
+  /// @param dir Directory for the recording files, created if needed.
+  /// @param key Session key, recorded in each file header.
+  /// @param options Optional {maxBytes, maxFiles, maxDuration (s)}.
+  constructor(dir, key, options = {}) {
+    this.dir = dir;
+    this.key = key;
+    this.maxBytes = options.maxBytes ?? RECORD_MAX_BYTES;
+    this.maxFiles = options.maxFiles ?? RECORD_MAX_FILES;
+    this.maxDuration = options.maxDuration ?? RECORD_MAX_DURATION;
+    const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 12);
+    this.name = `session_${hash}_${Date.now()}`;
+    this.started = Date.now() / 1000;
+    this.files = [];
+    this.fileCount = 0;
+    this.records = 0;
+    this.fd = null;
+    this.bytes = 0;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  /// @brief Append a record.
+  /// @param record JSON-serializable object.
+  write(record) {
+    const line = JSON.stringify(record) + '\n';
+    const size = Buffer.byteLength(line);
+    if (this.fd === null || this.bytes + size > this.maxBytes) {
+      this.rotate();
+    }
+    fs.writeSync(this.fd, line);
+    this.bytes += size;
+    this.records++;
+  }
+
+  /// @brief Start a new file and delete the oldest beyond maxFiles.
+  rotate() {
+    this.close();
+    const file = path.join(this.dir,
+      `${this.name}_${String(this.fileCount++).padStart(4, '0')}.ndjson`);
+    this.fd = fs.openSync(file, 'a');
+    this.files.push(file);
+    while (this.files.length > this.maxFiles) {
+      fs.rmSync(this.files.shift(), { force: true });
+    }
+    const header = JSON.stringify({ type: 'session', key: this.key,
+      time: Date.now() / 1000 }) + '\n';
+    fs.writeSync(this.fd, header);
+    this.bytes = Buffer.byteLength(header);
+  }
+
+  /// @brief Close the current file.
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+
+  /// @brief Whether the recording has run for its maximum duration.
+  /// @param now Current time (s).
+  /// @return True if the recording should be stopped.
+  expired(now) {
+    return now - this.started >= this.maxDuration;
+  }
+
+  /// @brief Report the recording state.
+  /// @return Object with {started (s), expires (s), records, file, files},
+  /// where files lists the files still on disk.
+  status() {
+    return {
+      started: this.started,
+      expires: this.started + this.maxDuration,
+      records: this.records,
+      file: this.files.at(-1) ?? null,
+      files: [...this.files]
+    };
+  }
+
+}
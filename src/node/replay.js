@@ -0,0 +1,180 @@
+/// @file Replay of recorded tar1090 snapshots
+/// @brief Serve a capture_snapshots.sh directory as a fake /data/aircraft.json
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+
+/// @brief List the snapshots in a directory.
+/// @param dir Directory of aircraft_<ms>.json files.
+/// @return Array of {time (ms), file} sorted by time.
+export function listSnapshots(dir) {
+  return fs.readdirSync(dir)
+    .map(name => ({ name, match: name.match(/^aircraft_(\d+)\.json$/) }))
+    .filter(({ match }) => match !== null)
+    .map(({ name, match }) => ({ time: Number(match[1]), file: path.join(dir, name) }))
+    .sort((a, b) => a.time - b.time);
+}
+
+/// @brief Replay clock over a list of snapshots.
+/// @details The replay position advances with the wall clock multiplied by
+/// the speed. At the end it either wraps to the first snapshot (loop) or
+/// holds the last one. All methods take the wall clock time so the replay
+/// can be driven deterministically.
+export class SnapshotReplay {
+
+  /// @brief Constructor.
+  /// @param snapshots Array of {time, file} from listSnapshots().
+  /// @param options Optional {speed (default 1), loop (default false),
+  /// start (offset in s, default 0)}.
+  /// @param now Wall clock time in ms.
+  constructor(snapshots, options = {}, now = Date.now()) {
+    if (snapshots.length === 0) {
+      throw new Error('No snapshots to replay');
+    }
+    this.snapshots = snapshots;
+    this.speed = options.speed ?? 1;
+    this.loop = options.loop ?? false;
+    this.duration = snapshots.at(-1).time - snapshots[0].time;
+    this.period = snapshots.length > 1 ?
+      this.duration * snapshots.length / (snapshots.length - 1) : 0;
+    this.anchorWall = now;
+    this.anchorOffset = this.clamp((options.start ?? 0) * 1000);
+  }
+
+  /// @brief Limit an offset to the recording.
+  /// @param offset Offset from the first snapshot in ms.
+  /// @return Offset in the recording in ms.
+  clamp(offset) {
+    return Math.min(Math.max(offset, 0), this.duration);
+  }
+
+  /// @brief Replay position before limiting to the recording.
+  /// @details When looping, the last snapshot is shown for one average
+  /// snapshot interval before wrapping to the first.
+  /// @param now Wall clock time in ms.
+  /// @return Offset from the first snapshot in ms.
+  position(now) {
+    const elapsed = this.anchorOffset + (now - this.anchorWall) * this.speed;
+    return this.loop && this.period > 0 ? elapsed % this.period : elapsed;
+  }
+
+  /// @brief Current replay position.
+  /// @param now Wall clock time in ms.
+  /// @return Offset from the first snapshot in ms.
+  offset(now = Date.now()) {
+    return this.clamp(this.position(now));
+  }
+
+  /// @brief Index of the snapshot current at a time.
+  /// @param now Wall clock time in ms.
+  /// @return Index of the last snapshot at or before the replay position.
+  index(now = Date.now()) {
+    const time = this.snapshots[0].time + this.offset(now);
+    let lo = 0;
+    let hi = this.snapshots.length - 1;
+    while (lo < hi) {
+      const mid = Math.ceil((lo + hi) / 2);
+      if (this.snapshots[mid].time <= time) {
+        lo = mid;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return lo;
+  }
+
+  /// @brief Jump to a position.
+  /// @param seconds Offset from the first snapshot in s.
+  /// @param now Wall clock time in ms.
+  seek(seconds, now = Date.now()) {
+    this.anchorOffset = this.clamp(seconds * 1000);
+    this.anchorWall = now;
+  }
+
+  /// @brief Change the replay speed from the current position.
+  /// @param speed Replay speed, 1 for real time.
+  /// @param now Wall clock time in ms.
+  setSpeed(speed, now = Date.now()) {
+    this.anchorOffset = this.offset(now);
+    this.anchorWall = now;
+    this.speed = speed;
+  }
+
+  /// @brief Current snapshot with its time moved to the wall clock.
+  /// @details now is the wall clock time at which the snapshot became
+  /// current, so it stays constant until the next snapshot and the aircraft
+  /// are not treated as stale by /api/dd. At the end of a replay without
+  /// looping, the last snapshot ages like a receiver that has gone quiet.
+  /// @param now Wall clock time in ms.
+  /// @return JSON in tar1090 format.
+  snapshot(now = Date.now()) {
+    const index = this.index(now);
+    const json = JSON.parse(fs.readFileSync(this.snapshots[index].file, 'utf8'));
+    const sinceSnapshot = this.position(now) -
+      (this.snapshots[index].time - this.snapshots[0].time);
+    json.now = (now - sinceSnapshot / this.speed) / 1000;
+    return json;
+  }
+
+  /// @brief Report the replay state.
+  /// @param now Wall clock time in ms.
+  /// @return Object with {offset (s), duration (s), speed, loop, index, count, time (ms)}.
+  status(now = Date.now()) {
+    const index = this.index(now);
+    return {
+      offset: this.offset(now) / 1000,
+      duration: this.duration / 1000,
+      speed: this.speed,
+      loop: this.loop,
+      index: index,
+      count: this.snapshots.length,
+      time: this.snapshots[index].time
+    };
+  }
+
+}
+
+/// @brief Create an HTTP server for a replay.
+/// @details Serves GET /data/aircraft.json like tar1090, plus
+/// GET /replay for the state, /replay/seek?t=<s> and /replay/speed?x=<speed>.
+/// @param replay SnapshotReplay to serve.
+/// @return http.Server, not yet listening.
+export function createReplayServer(replay) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const send = (status, body) => {
+      res.statusCode = status;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(body));
+    };
+
+    try {
+      if (url.pathname === '/data/aircraft.json') {
+        return send(200, replay.snapshot());
+      }
+      if (url.pathname === '/replay/seek') {
+        const seconds = Number(url.searchParams.get('t'));
+        if (url.searchParams.get('t') === null || !Number.isFinite(seconds)) {
+          return send(400, { error: 'Invalid t. Expected an offset in seconds' });
+        }
+        replay.seek(seconds);
+        return send(200, replay.status());
+      }
+      if (url.pathname === '/replay/speed') {
+        const speed = Number(url.searchParams.get('x'));
+        if (!Number.isFinite(speed) || speed <= 0) {
+          return send(400, { error: 'Invalid x. Expected a positive speed' });
+        }
+        replay.setSpeed(speed);
+        return send(200, replay.status());
+      }
+      if (url.pathname === '/replay') {
+        return send(200, replay.status());
+      }
+      return send(404, { error: 'Not found' });
+    } catch (error) {
+      return send(500, { error: error.message });
+    }
+  });
+}
@@ -0,0 +1,178 @@
+/// @file SBS-1 / BaseStation input source
+/// @brief Assemble aircraft state from a dump1090/readsb port 30003 feed
+
+import {parseFeedUrl, checkFeed, fetchFeed} from './tcpfeed.js';
+
+const SBS_DEFAULT_PORT = 30003;
+const SBS_AIRCRAFT_TIMEOUT = 60;   // Drop aircraft not heard for this long (s)
+export const SBS_MAX_LINE = 1024;  // Longest partial line kept between chunks
+
+/// @brief Parse an sbs:// server URL.
+/// @param server URL of the form sbs://host[:port].
+/// @return Object with {host, port}, or null if invalid.
+export function parseSbsUrl(server) {
+  return parseFeedUrl(server, 'sbs:', SBS_DEFAULT_PORT);
+}
+
+/// @brief Parse a single BaseStation CSV line.
+/// @details Only MSG types 1 (identification), 3 (airborne position) and
+/// 4 (airborne velocity) are used. Empty fields are omitted.
+/// @param line CSV line without the line terminator.
+/// @return Object with {type, hex} and any of {flight, altitude, lat, lon,
+/// gs, track, vertRate}, or null if the line is not a usable message.
+export function parseSbsLine(line) {
+  const fields = line.trim().split(',');
+  if (fields.length < 11 || fields[0] !== 'MSG') {
+    return null;
+  }
+
+  const type = Number(fields[1]);
+  const hex = fields[4].trim().toLowerCase();
+  if (![1, 3, 4].includes(type) || !/^~?[0-9a-f]{6}$/.test(hex)) {
+    return null;
+  }
+
+  const number = (i) => {
+    if (fields[i] === undefined || fields[i].trim() === '') {
+      return undefined;
+    }
+    const value = Number(fields[i]);
+    return isNaN(value) ? undefined : value;
+  };
+
+  const message = { type: type, hex: hex };
+  if (type === 1) {
+    const flight = fields[10].trim();
+    if (flight === '') {
+      return null;
+    }
+    message.flight = flight;
+  } else if (type === 3) {
+    message.altitude = number(11);
+    message.lat = number(14);
+    message.lon = number(15);
+  } else {
+    message.gs = number(12);
+    message.track = number(13);
+    message.vertRate = number(16);
+  }
+  return message;
+}
+
+/// @brief Aircraft state assembled from a BaseStation feed.
+export class SbsState {
+
+  /// @brief Constructor.
+  constructor() {
+    this.aircraft = new Map();
+    this.messages = 0;
+    this.buffer = '';
+  }
+
+  /// @brief Handle received data, which may split lines across chunks.
+  /// @details At most SBS_MAX_LINE characters of an unterminated line are kept.
+  /// @param data Chunk of the feed.
+  /// @param now Receive time in seconds.
+  receive(data, now) {
+    this.buffer += data.toString('latin1');
+    const lines = this.buffer.split('\n');
+    this.buffer = lines.pop();
+    // a feed that never ends its line is not BaseStation, so drop the data
+    // rather than hold it, the rest of the line is then rejected as malformed
+    if (this.buffer.length > SBS_MAX_LINE) {
+      this.buffer = '';
+    }
+    for (const line of lines) {
+      const message = parseSbsLine(line);
+      if (message !== null) {
+        this.update(message, now);
+      }
+    }
+  }
+
+  /// @brief Apply a parsed message to the aircraft state.
+  /// @param message Object from parseSbsLine().
+  /// @param now Receive time in seconds.
+  update(message, now) {
+    if (!this.aircraft.has(message.hex)) {
+      this.aircraft.set(message.hex, { hex: message.hex });
+    }
+    const state = this.aircraft.get(message.hex);
+    this.messages++;
+    state.seen = now;
+
+    if (message.type === 1) {
+      state.flight = message.flight;
+    } else if (message.type === 3) {
+      if (message.altitude !== undefined) {
+        state.altitude = message.altitude;
+      }
+      if (message.lat !== undefined && message.lon !== undefined) {
+        state.lat = message.lat;
+        state.lon = message.lon;
+        state.seen_pos = now;
+      }
+    } else {
+      for (const field of ['gs', 'track', 'vertRate']) {
+        if (message[field] !== undefined) {
+          state[field] = message[field];
+        }
+      }
+    }
+  }
+
+  /// @brief Snapshot of the current state in tar1090 format.
+  /// @details The BaseStation feed only carries barometric altitude and
+  /// vertical rate, which are also reported as alt_geom and geom_rate.
+  /// @param now Current time in seconds.
+  /// @return Object with {now, messages, aircraft}.
+  snapshot(now) {
+    const aircraft = [];
+    for (const [hex, state] of this.aircraft) {
+      if (now - state.seen > SBS_AIRCRAFT_TIMEOUT) {
+        this.aircraft.delete(hex);
+        continue;
+      }
+      const entry = { hex: hex, seen: now - state.seen };
+      if (state.flight !== undefined) {
+        entry.flight = state.flight;
+      }
+      if (state.altitude !== undefined) {
+        entry.alt_baro = state.altitude;
+        entry.alt_geom = state.altitude;
+      }
+      if (state.seen_pos !== undefined) {
+        entry.lat = state.lat;
+        entry.lon = state.lon;
+        entry.seen_pos = now - state.seen_pos;
+      }
+      if (state.gs !== undefined) {
+        entry.gs = state.gs;
+      }
+      if (state.track !== undefined) {
+        entry.track = state.track;
+      }
+      if (state.vertRate !== undefined) {
+        entry.baro_rate = state.vertRate;
+        entry.geom_rate = state.vertRate;
+      }
+      aircraft.push(entry);
+    }
+    return { now: now, messages: this.messages, aircraft: aircraft };
+  }
+
+}
+
+/// @brief Check that the BaseStation feed accepts connections.
+/// @param server URL of the form sbs://host[:port].
+/// @return True if the feed is reachable.
+export async function checkSbs(server) {
+  return checkFeed(server, 'sbs:', SBS_DEFAULT_PORT, () => new SbsState());
+}
+
+/// @brief Get the current aircraft from a BaseStation feed.
+/// @param server URL of the form sbs://host[:port].
+/// @return JSON in tar1090 format, throws if the feed is not connected.
+export async function fetchSbs(server) {
+  return fetchFeed(server, 'sbs:', SBS_DEFAULT_PORT, () => new SbsState());
+}
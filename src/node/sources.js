@@ -0,0 +1,197 @@
+/// @file ADS-B source adapter registry
+/// @brief Select how a server URL is validated, queried and health-checked
+/// @details Each adapter is an object with:
+/// - area: true if queried by circle around the rx-tx midpoint, false if
+///   fetched from a single URL.
+/// - maxRadius: maximum query radius in nautical miles (area only).
+/// - interval: optional poll interval in ms, overriding the default.
+/// - detect(serverUrl): optional, true if a server URL without source=
+///   should use this adapter.
+/// - validate(server, serverUrl): error message, or null if valid.
+/// - apiUrl(server): URL stored for each session using the adapter.
+/// - url(apiUrl, lat, lon, radius): query URL of a circle (area only).
+/// - validateArea(lat, lon, radius): optional, error message for an invalid
+///   query circle, or null if valid (area only).
+/// - fetch(url): fetch a URL and normalize to tar1090 format, throws on failure.
+/// - check(url): true if the URL is a valid and active source.
+
+import {checkTar1090, fetchTar1090} from './tar1090.js';
+import {readsbV2Url, fetchReadsbV2, validateReadsbV2Query,
+        MAX_READSB_V2_RADIUS} from './readsbv2.js';
+import {ADSB_LOL_API_URL, MAX_ADSB_LOL_RADIUS, validateAdsbLolQuery} from './adsblol.js';
+import {openSkyApiUrl, openSkyUrl, fetchOpenSkyStates, validateOpenSkyQuery,
+        MAX_OPENSKY_RADIUS, OPENSKY_UPDATE_INTERVAL} from './opensky.js';
+import {parseSbsUrl, checkSbs, fetchSbs} from './sbs.js';
+import {parseBeastUrl, checkBeast, fetchBeast} from './beast.js';
+
+/// Adapters by source name, detected in insertion order
+const registry = new Map();
+
+/// @brief Build a check function that tries a fetch.
+/// @param name Source name used in log messages.
+/// @param fetchUrl Function fetching a URL, throws on failure.
+/// @return Async function (url) returning true if the fetch succeeds.
+function checkByFetching(name, fetchUrl) {
+  return async (url) => {
+    try {
+      await fetchUrl(url);
+      return true;
+    } catch (error) {
+      console.error(`Error checking ${name}:`, error.message);
+      return false;
+    }
+  };
+}
+
+/// @brief Build a validate function for an HTTP API.
+/// @param name Source name used in the error message.
+/// @param expected Description of the expected URL.
+/// @return Function (server, serverUrl) returning an error or null.
+function validateHttp(name, expected) {
+  return (server, serverUrl) => ['http:', 'https:'].includes(serverUrl.protocol) ?
+    null : `Invalid ${name} URL. Expected ${expected}`;
+}
+
+/// @brief Build a validate function for a hosted API with a fixed URL.
+/// @param name Source name used in the error message.
+/// @param url The only accepted server URL.
+/// @return Function (server) returning an error or null.
+function validateHosted(name, url) {
+  return (server) => server === url ? null : `Invalid ${name} URL`;
+}
+
+/// @brief Add an adapter to the registry.
+/// @details Adapters with a detect function are tried in registration
+/// order. The built-in tar1090 adapter claims any http(s) URL, so an adapter
+/// added later is only detected for other protocols and otherwise needs source=.
+/// @param name Source name selected with source=.
+/// @param adapter Adapter object, see file comment.
+export function registerSource(name, adapter) {
+  registry.set(name, adapter);
+}
+
+/// @brief Get a registered adapter.
+/// @param name Source name.
+/// @return Adapter object, or undefined if unknown.
+export function getSource(name) {
+  return registry.get(name);
+}
+
+/// @brief Names of all registered sources.
+/// @return Array of source names.
+export function sourceNames() {
+  return [...registry.keys()];
+}
+
+/// @brief URL fetched for a source query.
+/// @param name Source name.
+/// @param apiUrl URL from the adapter's apiUrl().
+/// @param lat Latitude of query center (area sources).
+/// @param lon Longitude of query center (area sources).
+/// @param radius Radius in nautical miles (area sources).
+/// @return Query URL.
+export function sourceUrl(name, apiUrl, lat, lon, radius) {
+  const adapter = registry.get(name);
+  return adapter.area ? adapter.url(apiUrl, lat, lon, radius) : apiUrl;
+}
+
+/// @brief Validate the query circle of a source.
+/// @param name Source name.
+/// @param lat Latitude of query center.
+/// @param lon Longitude of query center.
+/// @param radius Radius in nautical miles.
+/// @return Error message, or null if valid or the source is not an area source.
+export function validateSourceArea(name, lat, lon, radius) {
+  const adapter = registry.get(name);
+  return adapter.area ? adapter.validateArea?.(lat, lon, radius) ?? null : null;
+}
+
+/// @brief Select and validate the adapter for a server URL.
+/// @param server Server URL.
+/// @param name Source name from source=, or undefined to detect from the URL.
+/// @return Object with {source} (the source name) on success or {error}.
+export function resolveSource(server, name) {
+  let serverUrl;
+  try {
+    serverUrl = new URL(server);
+  } catch (e) {
+    return { error: 'Invalid server URL format' };
+  }
+
+  if (name === undefined) {
+    name = sourceNames().find(n => registry.get(n).detect?.(serverUrl));
+    if (name === undefined) {
+      return { error: 'Server URL must use http, https, sbs or beast protocol' };
+    }
+  } else if (!registry.has(name)) {
+    return { error: `Invalid source. Expected one of: ${sourceNames().join(', ')}` };
+  }
+
+  const error = registry.get(name).validate(server, serverUrl);
+  return error ? { error: error } : { source: name };
+}
+
+registerSource('adsblol', {
+  area: true,
+  maxRadius: MAX_ADSB_LOL_RADIUS,
+  detect: (serverUrl) => serverUrl.hostname === 'api.adsb.lol',
+  validate: validateHosted('adsb.lol', 'https://api.adsb.lol'),
+  apiUrl: () => ADSB_LOL_API_URL,
+  url: readsbV2Url,
+  validateArea: validateAdsbLolQuery,
+  fetch: fetchReadsbV2,
+  check: checkByFetching('adsb.lol', fetchReadsbV2)
+});
+
+registerSource('opensky', {
+  area: true,
+  maxRadius: MAX_OPENSKY_RADIUS,
+  interval: OPENSKY_UPDATE_INTERVAL,
+  detect: (serverUrl) => serverUrl.hostname === 'opensky-network.org',
+  validate: validateHosted('OpenSky', 'https://opensky-network.org'),
+  apiUrl: () => openSkyApiUrl(),
+  url: openSkyUrl,
+  validateArea: validateOpenSkyQuery,
+  fetch: fetchOpenSkyStates,
+  check: checkByFetching('OpenSky', fetchOpenSkyStates)
+});
+
+registerSource('sbs', {
+  area: false,
+  detect: (serverUrl) => serverUrl.protocol === 'sbs:',
+  validate: (server) => parseSbsUrl(server) === null ?
+    'Invalid SBS URL. Expected sbs://host[:port]' : null,
+  apiUrl: (server) => server,
+  fetch: fetchSbs,
+  check: checkSbs
+});
+
+registerSource('beast', {
+  area: false,
+  detect: (serverUrl) => serverUrl.protocol === 'beast:',
+  validate: (server) => parseBeastUrl(server) === null ?
+    'Invalid Beast URL. Expected beast://host[:port]' : null,
+  apiUrl: (server) => server,
+  fetch: fetchBeast,
+  check: checkBeast
+});
+
+registerSource('readsb-v2', {
+  area: true,
+  maxRadius: MAX_READSB_V2_RADIUS,
+  validate: validateHttp('readsb-v2', 'http(s)://host/path/to/v2'),
+  apiUrl: (server) => server.replace(/\/$/, ''),
+  url: readsbV2Url,
+  validateArea: validateReadsbV2Query,
+  fetch: fetchReadsbV2,
+  check: checkByFetching('readsb-v2', fetchReadsbV2)
+});
+
+registerSource('tar1090', {
+  area: false,
+  detect: (serverUrl) => ['http:', 'https:'].includes(serverUrl.protocol),
+  validate: validateHttp('tar1090', 'http(s)://host[:port]'),
+  apiUrl: (server) => new URL('/data/aircraft.json', server).href,
+  fetch: fetchTar1090,
+  check: checkTar1090
+});
@@ -2,6 +2,9 @@
 /// @brief Utilities for generating realistic radar detections with noise/imperfections
 
 import seedrandom from 'seedrandom';
+import {detectionProbability, db2lin, lin2db} from './radar.js';
+import {SPEED_OF_LIGHT} from './doppler.js';
+import {RCS_MODELS, SWERLING_CASES, rcsFluctuation} from './rcs.js';
 
 /// @brief Random number generator with various distributions
 export class SyntheticRNG {
@@ -43,6 +46,23 @@ export class SyntheticRNG {
     return k - 1;
   }
 
+  /// @brief Generate exponential random variable
+  /// @param mean Mean of distribution
+  /// @return Random number from Exp(1/mean)
+  exponential(mean = 1) {
+    return -mean * Math.log(1 - this.rng());
+  }
+
+  /// @brief Generate exponential random variable truncated to an interval
+  /// @param scale Scale (mean) of the untruncated distribution
+  /// @param min Lower bound, where the density is highest
+  /// @param max Upper bound
+  /// @return Random number in [min, max] with density proportional to exp(-(x - min) / scale)
+  truncatedExponential(scale, min, max) {
+    const tail = Math.exp(-(max - min) / scale);
+    return min - scale * Math.log(1 - this.rng() * (1 - tail));
+  }
+
   /// @brief Bernoulli trial (coin flip with probability p)
   /// @param p Probability of success [0-1]
   /// @return true with probability p
@@ -64,9 +84,32 @@ export const DEFAULT_SYNTHETIC_CONFIG = {
   delay_min: 0,               // Min delay for false alarms (km)
   delay_max: 400,             // Max delay for false alarms (km)
   doppler_min: -200,          // Min Doppler for false alarms (Hz)
-  doppler_max: 200            // Max Doppler for false alarms (Hz)
+  doppler_max: 200,           // Max Doppler for false alarms (Hz)
+  snr_model: 'uniform',       // SNR model, uniform or radar
+  erp: 10000,                 // Transmitter ERP (W)
+  rx_gain: 0,                 // Receiver antenna gain (dBi)
+  noise_figure: 5,            // Receiver noise figure (dB)
+  bandwidth: 1536000,         // Signal bandwidth (Hz)
+  integration_time: 0.5,      // Coherent integration time (s)
+  rcs: 10,                    // Bistatic RCS (m^2)
+  rcs_model: 'fixed',         // RCS model, fixed or category
+  swerling: 0,                // Swerling case 0, 1 or 3
+  threshold: 13,              // Detection threshold above noise (dB)
+  ridge_rate: 0,              // Zero-Doppler ridge detections per frame
+  ridge_delay: 20,            // Ridge density scale in delay (km)
+  ridge_doppler: 1.0,         // Ridge Doppler std (Hz)
+  range_clutter_rate: 0,      // Range-dependent clutter detections per frame
+  range_clutter_scale: 50,    // Range-dependent clutter density scale (km)
+  direct_prob: 0,             // Probability of direct-signal residue per frame [0-1]
+  clutter_points: [],         // Point clutter locations [{delay (km), doppler (Hz)}]
+  point_prob: 0.9,            // Probability of detecting each point clutter per frame [0-1]
+  range_resolution: 0,        // Delay bin size (km), 'auto' for c / bandwidth, 0 for none
+  doppler_resolution: 0       // Doppler bin size (Hz), 'auto' for 1 / integration_time, 0 for none
 };
 
+/// SNR models selectable with snr_model
+export const SNR_MODELS = ['uniform', 'radar'];
+
 export const MAX_FRAMES = 1000;
 export const MAX_DURATION_SECONDS = 300;
 
@@ -129,6 +172,41 @@ export function parseSyntheticConfig(query) {
     const val = parseAndValidate(query.doppler_max);
     if (val !== null) config.doppler_max = val;
   }
+  for (const param of ['erp', 'rx_gain', 'noise_figure', 'bandwidth',
+    'integration_time', 'rcs', 'threshold']) {
+    if (query[param] !== undefined) {
+      const val = parseAndValidate(query[param]);
+      if (val !== null) config[param] = val;
+    }
+  }
+  if (query.snr_model !== undefined) {
+    config.snr_model = query.snr_model;
+  }
+  if (query.rcs_model !== undefined) {
+    config.rcs_model = query.rcs_model;
+  }
+  if (query.swerling !== undefined) {
+    const val = parseAndValidate(query.swerling, 'int');
+    if (val !== null) config.swerling = val;
+  }
+  for (const param of ['ridge_rate', 'ridge_delay', 'ridge_doppler', 'range_clutter_rate',
+    'range_clutter_scale', 'direct_prob', 'point_prob']) {
+    if (query[param] !== undefined) {
+      const val = parseAndValidate(query[param]);
+      if (val !== null) config[param] = val;
+    }
+  }
+  for (const param of ['range_resolution', 'doppler_resolution']) {
+    if (query[param] === 'auto') {
+      config[param] = 'auto';
+    } else if (query[param] !== undefined) {
+      const val = parseAndValidate(query[param]);
+      if (val !== null) config[param] = val;
+    }
+  }
+  if (query.clutter_points !== undefined) {
+    config.clutter_points = parseClutterPoints(query.clutter_points);
+  }
   if (query.seed !== undefined) {
     config.seed = query.seed;
   }
@@ -136,6 +214,27 @@ export function parseSyntheticConfig(query) {
   return config;
 }
 
+/// @brief Parse point clutter locations
+/// @param value String of delay,doppler pairs separated by ';'
+/// @return Array of {delay, doppler}, or null if invalid
+function parseClutterPoints(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  if (value === '') {
+    return [];
+  }
+  const points = value.split(';').map((pair) => {
+    const fields = pair.split(',');
+    if (fields.length !== 2 || fields.some(field => field.trim() === '')) {
+      return null;
+    }
+    const [delay, doppler] = fields.map(Number);
+    return isFinite(delay) && isFinite(doppler) ? { delay, doppler } : null;
+  });
+  return points.includes(null) ? null : points;
+}
+
 /// @brief Validate synthetic configuration
 /// @param config Configuration object
 /// @return Object with {valid: boolean, errors: string[]}
@@ -173,6 +272,53 @@ export function validateSyntheticConfig(config) {
     errors.push('doppler_min must be < doppler_max');
   }
 
+  if (!SNR_MODELS.includes(config.snr_model)) {
+    errors.push(`snr_model must be one of: ${SNR_MODELS.join(', ')}`);
+  }
+  if (config.erp <= 0) {
+    errors.push('erp must be positive');
+  }
+  if (config.noise_figure < 0) {
+    errors.push('noise_figure must be non-negative');
+  }
+  if (config.bandwidth <= 0) {
+    errors.push('bandwidth must be positive');
+  }
+  if (config.integration_time <= 0) {
+    errors.push('integration_time must be positive');
+  }
+  if (config.rcs <= 0) {
+    errors.push('rcs must be positive');
+  }
+  if (!RCS_MODELS.includes(config.rcs_model)) {
+    errors.push(`rcs_model must be one of: ${RCS_MODELS.join(', ')}`);
+  }
+  if (!SWERLING_CASES.includes(config.swerling)) {
+    errors.push(`swerling must be one of: ${SWERLING_CASES.join(', ')}`);
+  }
+
+  if (config.ridge_rate < 0 || config.range_clutter_rate < 0) {
+    errors.push('ridge_rate and range_clutter_rate must be non-negative');
+  }
+  if (config.ridge_delay <= 0 || config.range_clutter_scale <= 0) {
+    errors.push('ridge_delay and range_clutter_scale must be positive');
+  }
+  if (config.ridge_doppler < 0) {
+    errors.push('ridge_doppler must be non-negative');
+  }
+  if (config.direct_prob < 0 || config.direct_prob > 1 ||
+      config.point_prob < 0 || config.point_prob > 1) {
+    errors.push('direct_prob and point_prob must be in [0, 1]');
+  }
+  if (config.clutter_points === null) {
+    errors.push('clutter_points must be delay,doppler pairs separated by ;');
+  }
+  for (const param of ['range_resolution', 'doppler_resolution']) {
+    if (config[param] !== 'auto' && !(config[param] >= 0)) {
+      errors.push(`${param} must be non-negative or auto`);
+    }
+  }
+
   const nFrames = Math.ceil((config.duration * 1000) / config.frame_interval);
   if (nFrames > MAX_FRAMES) {
     errors.push(`Requested ${nFrames} frames exceeds maximum of ${MAX_FRAMES}`);
@@ -184,17 +330,153 @@ export function validateSyntheticConfig(config) {
   };
 }
 
+/// @brief Generate the false alarms of one frame
+/// @details Each false alarm is labelled with its type:
+/// - noise: uniform over the delay-Doppler box, false_alarm_rate per frame.
+/// - ridge: zero-Doppler clutter ridge, ridge_rate per frame, with Gaussian
+///   Doppler spread ridge_doppler and density falling exponentially with
+///   delay over ridge_delay.
+/// - range: range_clutter_rate per frame, uniform in Doppler with density
+///   falling exponentially with delay over range_clutter_scale.
+/// - direct: direct-signal residue at zero delay and Doppler, present with
+///   probability direct_prob.
+/// - point: clutter at each of clutter_points, present with probability
+///   point_prob.
+/// Fixed locations are measured with the delay and Doppler noise of targets.
+/// A model that is off draws nothing from the generator, so seeded output
+/// without it is unchanged.
+/// @param config Synthetic configuration
+/// @param rng Random number generator
+/// @return Array of {delay, doppler, snr, type}
+export function generateClutter(config, rng) {
+  const clutter = [];
+  const snr = () => rng.uniform(config.snr_min, config.snr_max * 0.7);
+
+  const nFalseAlarms = rng.poisson(config.false_alarm_rate);
+  for (let i = 0; i < nFalseAlarms; i++) {
+    clutter.push({
+      delay: rng.uniform(config.delay_min, config.delay_max),
+      doppler: rng.uniform(config.doppler_min, config.doppler_max),
+      // Lower SNR for clutter (typically weaker)
+      snr: snr(),
+      type: 'noise'
+    });
+  }
+
+  const nRidge = rng.poisson(config.ridge_rate);
+  for (let i = 0; i < nRidge; i++) {
+    clutter.push({
+      delay: rng.truncatedExponential(config.ridge_delay, config.delay_min, config.delay_max),
+      doppler: rng.gaussian(0, config.ridge_doppler),
+      snr: snr(),
+      type: 'ridge'
+    });
+  }
+
+  const nRange = rng.poisson(config.range_clutter_rate);
+  for (let i = 0; i < nRange; i++) {
+    clutter.push({
+      delay: rng.truncatedExponential(config.range_clutter_scale, config.delay_min,
+        config.delay_max),
+      doppler: rng.uniform(config.doppler_min, config.doppler_max),
+      snr: snr(),
+      type: 'range'
+    });
+  }
+
+  const fixed = [];
+  if (config.direct_prob > 0) {
+    fixed.push({ delay: 0, doppler: 0, prob: config.direct_prob, type: 'direct' });
+  }
+  for (const point of config.clutter_points) {
+    fixed.push({ ...point, prob: config.point_prob, type: 'point' });
+  }
+  for (const { delay, doppler, prob, type } of fixed) {
+    if (rng.bernoulli(prob)) {
+      clutter.push({
+        delay: delay + rng.gaussian(0, config.noise_delay),
+        doppler: doppler + rng.gaussian(0, config.noise_doppler),
+        snr: snr(),
+        type: type
+      });
+    }
+  }
+
+  return clutter;
+}
+
+/// @brief Resolution cell size of the detector
+/// @details 'auto' derives the delay resolution c / bandwidth (bistatic
+/// range, km) and the Doppler resolution 1 / integration_time (Hz).
+/// @param config Synthetic configuration
+/// @return Object with {delay (km), doppler (Hz)}, 0 where not quantized
+export function resolutionCell(config) {
+  return {
+    delay: config.range_resolution === 'auto' ?
+      SPEED_OF_LIGHT / config.bandwidth / 1000 : config.range_resolution,
+    doppler: config.doppler_resolution === 'auto' ?
+      1 / config.integration_time : config.doppler_resolution
+  };
+}
+
+/// @brief Snap a value to the centre of its bin
+/// @param value Value to quantize
+/// @param resolution Bin size, 0 to leave the value unchanged
+/// @return Bin-centred value
+function quantize(value, resolution) {
+  return resolution > 0 ? Math.round(value / resolution) * resolution : value;
+}
+
+/// @brief Quantize target detections and merge those in the same cell
+/// @details A merged detection reports the power sum of the SNRs, and the
+/// ADS-B data of its strongest target with a hexes array listing every
+/// contributing hex, strongest first.
+/// @param detections Array of {delay, doppler, snr, adsb}
+/// @param cell Resolution cell from resolutionCell()
+/// @return Array of bin-centred detections, one per occupied cell
+export function mergeDetections(detections, cell) {
+  const cells = new Map();
+  for (const detection of detections) {
+    const delay = quantize(detection.delay, cell.delay);
+    const doppler = quantize(detection.doppler, cell.doppler);
+    const key = `${delay},${doppler}`;
+    if (!cells.has(key)) {
+      cells.set(key, { delay, doppler, targets: [] });
+    }
+    cells.get(key).targets.push(detection);
+  }
+
+  return [...cells.values()].map(({ delay, doppler, targets }) => {
+    targets.sort((a, b) => b.snr - a.snr);
+    const merged = { delay, doppler, snr: targets[0].snr, adsb: targets[0].adsb };
+    if (targets.length > 1) {
+      merged.snr = lin2db(targets.reduce((sum, t) => sum + db2lin(t.snr), 0));
+      merged.adsb = { ...targets[0].adsb, hexes: targets.map(t => t.adsb.hex) };
+    }
+    return merged;
+  });
+}
+
 /// @brief Generate a single synthetic detection frame from aircraft data
+/// @details With the radar SNR model each aircraft needs an snr (dB) from
+/// bistaticSnr() for its mean RCS. The RCS fluctuation of the Swerling case
+/// is drawn for each frame, and the aircraft is detected with the
+/// probability given by the resulting SNR and the threshold instead of
+/// detection_prob. With a range or Doppler resolution, detections are
+/// snapped to bin centres and aircraft in the same cell merged.
 /// @param aircraftDict Per-aircraft delay-Doppler data from adsb2dd
 /// @param timestamp Frame timestamp (ms)
 /// @param config Synthetic configuration
 /// @param rng Random number generator
-/// @return Frame object with {timestamp, delay, doppler, snr, adsb}
+/// @return Frame object with {timestamp, delay, doppler, snr, adsb, clutter},
+/// where clutter gives the type of each false alarm and is null for aircraft
 export function generateSyntheticFrame(aircraftDict, timestamp, config, rng) {
   const delays = [];
   const dopplers = [];
   const snrs = [];
   const adsb = [];
+  const clutterTypes = [];
+  let targets = [];
 
   // Process each aircraft
   for (const [hex, data] of Object.entries(aircraftDict)) {
@@ -204,7 +486,12 @@ export function generateSyntheticFrame(aircraftDict, timestamp, config, rng) {
     }
 
     // Simulate missed detection
-    if (!rng.bernoulli(config.detection_prob)) {
+    const isRadarModel = config.snr_model === 'radar';
+    const radarSnr = isRadarModel ?
+      data.snr + lin2db(rcsFluctuation(config.swerling, rng)) : null;
+    const pd = isRadarModel ? detectionProbability(radarSnr, config.threshold) :
+      config.detection_prob;
+    if (!rng.bernoulli(pd)) {
       continue;
     }
 
@@ -217,30 +504,46 @@ export function generateSyntheticFrame(aircraftDict, timestamp, config, rng) {
     const noisyDoppler = trueDoppler + rng.gaussian(0, config.noise_doppler);
 
     // Generate realistic SNR
-    const snr = rng.uniform(config.snr_min, config.snr_max);
-
-    delays.push(noisyDelay);
-    dopplers.push(noisyDoppler);
-    snrs.push(snr);
-
-    // Include ADS-B data for validation
-    // Note: Need to get original aircraft data (lat/lon/alt/gs/track)
-    // This will be populated by the endpoint logic
-    adsb.push({
-      hex: hex,
-      flight: data.flight
-      // lat, lon, alt_baro, gs, track will be added by endpoint
+    const snr = isRadarModel ? radarSnr : rng.uniform(config.snr_min, config.snr_max);
+
+    targets.push({
+      delay: noisyDelay,
+      doppler: noisyDoppler,
+      snr: snr,
+      // Include ADS-B data for validation
+      adsb: {
+        hex: hex,
+        lat: data.lat,
+        lon: data.lon,
+        alt_baro: data.alt_baro,
+        gs: data.gs,
+        track: data.track,
+        flight: data.flight
+      }
     });
   }
 
+  // Snap to resolution cells, merging co-located aircraft
+  const cell = resolutionCell(config);
+  if (cell.delay > 0 || cell.doppler > 0) {
+    targets = mergeDetections(targets, cell);
+  }
+
+  for (const target of targets) {
+    delays.push(target.delay);
+    dopplers.push(target.doppler);
+    snrs.push(target.snr);
+    adsb.push(target.adsb);
+    clutterTypes.push(null);
+  }
+
   // Add false alarms (clutter)
-  const nFalseAlarms = rng.poisson(config.false_alarm_rate);
-  for (let i = 0; i < nFalseAlarms; i++) {
-    delays.push(rng.uniform(config.delay_min, config.delay_max));
-    dopplers.push(rng.uniform(config.doppler_min, config.doppler_max));
-    // Lower SNR for clutter (typically weaker)
-    snrs.push(rng.uniform(config.snr_min, config.snr_max * 0.7));
+  for (const falseAlarm of generateClutter(config, rng)) {
+    delays.push(quantize(falseAlarm.delay, cell.delay));
+    dopplers.push(quantize(falseAlarm.doppler, cell.doppler));
+    snrs.push(falseAlarm.snr);
     adsb.push(null);  // No ADS-B match for clutter
+    clutterTypes.push(falseAlarm.type);
   }
 
   return {
@@ -248,7 +551,8 @@ export function generateSyntheticFrame(aircraftDict, timestamp, config, rng) {
     delay: delays,
     doppler: dopplers,
     snr: snrs,
-    adsb: adsb
+    adsb: adsb,
+    clutter: clutterTypes
   };
 }
 
@@ -279,6 +583,51 @@ export async function generateSyntheticDataset(getAircraftData, config) {
   return frames;
 }
 
+/// @brief Empty detection frame, for when no aircraft data is available
+/// @param timestamp Frame timestamp
+/// @return Frame object with empty arrays
+export function emptyFrame(timestamp) {
+  return {
+    timestamp: timestamp,
+    delay: [],
+    doppler: [],
+    snr: [],
+    adsb: [],
+    clutter: []
+  };
+}
+
+/// @brief Generate synthetic detections paced in real time
+/// @details Frame i is due frame_interval * i ms after the first, and the
+/// aircraft data is fetched when it is due, so each frame is built from live
+/// truth and timestamped with the wall-clock time. If a fetch runs late the
+/// next frame follows immediately rather than drifting. A fetch returning
+/// null gives an empty frame.
+/// @param getAircraftData Async function to fetch aircraft data
+/// @param config Synthetic configuration
+/// @param clock Object with now() in ms and async sleep(ms)
+/// @return Async iterator of detection frames
+export async function* streamSyntheticDataset(getAircraftData, config, clock = {
+  now: Date.now,
+  sleep: ms => new Promise(resolve => setTimeout(resolve, ms))
+}) {
+  const rng = new SyntheticRNG(config.seed);
+  const nFrames = Math.ceil((config.duration * 1000) / config.frame_interval);
+  const start = clock.now();
+
+  for (let i = 0; i < nFrames; i++) {
+    const wait = start + i * config.frame_interval - clock.now();
+    if (wait > 0) {
+      await clock.sleep(wait);
+    }
+    const timestamp = clock.now();
+
+    const aircraftDict = await getAircraftData();
+    yield aircraftDict === null ? emptyFrame(timestamp) :
+      generateSyntheticFrame(aircraftDict, timestamp, config, rng);
+  }
+}
+
 /// @brief Convert per-aircraft dict to frame-based arrays
 /// @param aircraftDict Per-aircraft data from adsb2dd
 /// @param aircraftRawData Raw aircraft data from tar1090/adsblol
@@ -31,10 +31,10 @@ export async function checkTar1090(apiUrl) {
   }
 }
 
-/// @brief Get JSON response from tar1090 server.
+/// @brief Fetch JSON response from tar1090 server.
 /// @param apiUrl Full path to aircraft.json.
-/// @return JSON response.
-export async function getTar1090(apiUrl) {
+/// @return JSON response, throws on failure or timeout.
+export async function fetchTar1090(apiUrl) {
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), 5000);
 
@@ -46,20 +46,16 @@ export async function getTar1090(apiUrl) {
     }
 
     const data = await response.json();
+    if (!data || !Array.isArray(data.aircraft)) {
+      throw new Error('Invalid or missing aircraft array.');
+    }
     return data;
   } catch (error) {
     if (error.name === 'AbortError') {
-      console.error('Request timeout fetching tar1090 data');
-    } else {
-      console.error('Error fetching tar1090:', error.message);
+      throw new Error('Request timeout fetching tar1090 data');
     }
-    return {
-      now: Date.now() / 1000,
-      messages: 0,
-      aircraft: []
-    };
+    throw error;
   } finally {
     clearTimeout(timeout);
   }
 }
-
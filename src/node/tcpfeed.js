@@ -0,0 +1,191 @@
+/// @file Persistent TCP feed connections
+/// @brief Shared connection handling for the SBS and Beast input sources
+
+import net from 'net';
+
+const FEED_RECONNECT_MS = 5000;
+const FEED_IDLE_TIMEOUT = 60;   // Close connections not polled for this long (s)
+const FEED_SWEEP_MS = 10000;    // Interval between idle connection sweeps
+
+const clients = new Map();
+let sweepTimer = null;
+
+/// @brief Parse a feed URL of the form protocol://host[:port].
+/// @param server Feed URL.
+/// @param protocol Expected protocol including the colon, e.g. 'sbs:'.
+/// @param defaultPort Port used when the URL has none.
+/// @return Object with {host, port}, or null if invalid.
+export function parseFeedUrl(server, protocol, defaultPort) {
+  let url;
+  try {
+    url = new URL(server);
+  } catch (e) {
+    return null;
+  }
+  if (url.protocol !== protocol || !url.hostname ||
+      (url.pathname !== '' && url.pathname !== '/')) {
+    return null;
+  }
+  const port = url.port === '' ? defaultPort : Number(url.port);
+  return { host: url.hostname.replace(/^\[|\]$/g, ''), port: port };
+}
+
+/// @brief Persistent TCP connection to an aircraft feed.
+/// @details Received data is passed to a state object with receive(data, now)
+/// and snapshot(now) methods. Reconnects after a delay if the connection drops.
+class FeedClient {
+
+  /// @brief Constructor.
+  /// @param host Hostname of the feed.
+  /// @param port TCP port of the feed.
+  /// @param state Decoder state for the feed format.
+  constructor(host, port, state) {
+    this.host = host;
+    this.port = port;
+    this.state = state;
+    this.connected = false;
+    this.closed = false;
+    this.lastUsed = Date.now() / 1000;
+    this.socket = null;
+    this.reconnectTimer = null;
+    this.connect();
+  }
+
+  /// @brief Open the TCP connection.
+  connect() {
+    this.socket = net.createConnection({ host: this.host, port: this.port });
+    this.socket.on('connect', () => {
+      this.connected = true;
+    });
+    this.socket.on('data', (data) => this.state.receive(data, Date.now() / 1000));
+    this.socket.on('error', (error) => {
+      console.error(`Error on feed ${this.host}:${this.port}:`, error.message);
+    });
+    this.socket.on('close', () => {
+      this.connected = false;
+      if (!this.closed) {
+        this.reconnectTimer = setTimeout(() => this.connect(), FEED_RECONNECT_MS);
+      }
+    });
+  }
+
+  /// @brief Wait until the connection is open.
+  /// @param timeout Maximum wait in ms.
+  /// @return True if connected within the timeout, false on timeout or error.
+  waitConnected(timeout) {
+    if (this.connected) {
+      return Promise.resolve(true);
+    }
+    return new Promise((resolve) => {
+      const done = (isConnected) => {
+        clearTimeout(timer);
+        this.socket.off('connect', onConnect);
+        this.socket.off('close', onClose);
+        resolve(isConnected);
+      };
+      const onConnect = () => done(true);
+      const onClose = () => done(false);
+      const timer = setTimeout(() => done(false), timeout);
+      this.socket.once('connect', onConnect);
+      this.socket.once('close', onClose);
+    });
+  }
+
+  /// @brief Close the connection and stop reconnecting.
+  close() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    this.socket.destroy();
+  }
+
+}
+
+/// @brief Close clients that have not been polled recently.
+/// @details Runs from a timer while any client is open, so a feed is closed
+/// once the last session using it is dropped.
+/// @param now Current time (s).
+export function closeIdleFeeds(now) {
+  for (const [key, client] of clients) {
+    if (now - client.lastUsed > FEED_IDLE_TIMEOUT) {
+      client.close();
+      clients.delete(key);
+    }
+  }
+  if (clients.size === 0) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
+
+/// @brief Get the shared client for a feed, creating it if needed.
+/// @param server Feed URL.
+/// @param protocol Expected protocol including the colon.
+/// @param defaultPort Port used when the URL has none.
+/// @param createState Function returning a new decoder state.
+/// @return FeedClient, or null if the URL is invalid.
+function getClient(server, protocol, defaultPort, createState) {
+  const address = parseFeedUrl(server, protocol, defaultPort);
+  if (address === null) {
+    return null;
+  }
+  const key = `${protocol}//${address.host}:${address.port}`;
+  if (!clients.has(key)) {
+    clients.set(key, new FeedClient(address.host, address.port, createState()));
+  }
+  if (sweepTimer === null) {
+    sweepTimer = setInterval(() => closeIdleFeeds(Date.now() / 1000), FEED_SWEEP_MS);
+    sweepTimer.unref();
+  }
+  const client = clients.get(key);
+  client.lastUsed = Date.now() / 1000;
+  return client;
+}
+
+/// @brief Check that a feed accepts connections.
+/// @details A feed that cannot be reached is not kept open.
+/// @param server Feed URL.
+/// @param protocol Expected protocol including the colon.
+/// @param defaultPort Port used when the URL has none.
+/// @param createState Function returning a new decoder state.
+/// @return True if the feed is reachable.
+export async function checkFeed(server, protocol, defaultPort, createState) {
+  const client = getClient(server, protocol, defaultPort, createState);
+  if (client === null) {
+    console.error('Invalid feed URL:', server);
+    return false;
+  }
+  const isConnected = await client.waitConnected(5000);
+  if (!isConnected) {
+    console.error(`Error checking feed ${client.host}:${client.port}`);
+    client.close();
+    clients.delete(`${protocol}//${client.host}:${client.port}`);
+  }
+  return isConnected;
+}
+
+/// @brief Get the current aircraft from a feed.
+/// @param server Feed URL.
+/// @param protocol Expected protocol including the colon.
+/// @param defaultPort Port used when the URL has none.
+/// @param createState Function returning a new decoder state.
+/// @return JSON in tar1090 format, throws if the feed is not connected.
+export async function fetchFeed(server, protocol, defaultPort, createState) {
+  const client = getClient(server, protocol, defaultPort, createState);
+  if (client === null) {
+    throw new Error('Invalid feed URL');
+  }
+  if (!client.connected) {
+    throw new Error(`Not connected to feed ${client.host}:${client.port}`);
+  }
+  return client.state.snapshot(Date.now() / 1000);
+}
+
+/// @brief Close all feed connections.
+export function closeAllFeeds() {
+  for (const client of clients.values()) {
+    client.close();
+  }
+  clients.clear();
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+}
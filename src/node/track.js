@@ -0,0 +1,42 @@
+/// @file Retained track of an aircraft
+/// @brief Position and delay-Doppler series returned by /api/dd/track
+
+/// Updates kept per aircraft
+export const TRACK_MAX = 600;
+
+/// @brief Append a sample to a retained track series.
+/// @details Every series of the track is trimmed to the latest max samples,
+/// so series appended together stay aligned.
+/// @param track Object of named arrays.
+/// @param sample Object with one value per array.
+/// @param max Number of samples kept (default TRACK_MAX).
+export function appendTrack(track, sample, max = TRACK_MAX) {
+  for (const name in sample) {
+    track[name].push(sample[name]);
+    if (track[name].length > max) {
+      track[name].shift();
+    }
+  }
+}
+
+/// @brief Track of an aircraft as returned to a client.
+/// @details The position series are shared by every transmitter. For a
+/// single transmitter its delay and Doppler series are merged in, and for
+/// several they are keyed by transmitter id under tx.
+/// @param hexCode Aircraft hex code.
+/// @param proc Processing state of the aircraft with flight, track and a
+/// track per transmitter id under tx.
+/// @param transmitters Transmitters of the session, each with an id.
+/// @return Track object.
+export function trackView(hexCode, proc, transmitters) {
+  const track = { hex: hexCode, flight: proc['flight'], ...proc['track'] };
+  if (transmitters.length > 1) {
+    track['tx'] = Object.create(null);
+    for (const tx of transmitters) {
+      track['tx'][tx.id] = proc['tx'][tx.id]['track'];
+    }
+  } else {
+    Object.assign(track, proc['tx'][transmitters[0].id]['track']);
+  }
+  return track;
+}
@@ -0,0 +1,134 @@
+/// @file Measurement uncertainty of delay-Doppler
+/// @brief Propagate ADS-B accuracy categories through the bistatic geometry
+
+import {aircraftVelocityEcef, calculateWavelength, checkVelocityData} from './doppler.js';
+
+/// Ratio of the 95% radius to the per-axis std of a circular Gaussian
+const HORIZONTAL_95 = Math.sqrt(-2 * Math.log(0.05));
+/// Ratio of the 95% bound to the std of a Gaussian
+const VERTICAL_95 = 1.96;
+
+/// Estimated position uncertainty (95% horizontal, m) for NACp 1 to 11
+export const NACP_EPU = [null, 18520, 7408, 3704, 1852, 926, 555.6, 185.2, 92.6,
+  30, 10, 3];
+
+/// Horizontal velocity error (95%, m/s) for NACv 1 to 4
+export const NACV_HFOM = [null, 10, 3, 1, 0.3];
+
+/// Vertical velocity error (95%, m/s) for NACv 1 to 4
+export const NACV_VFOM = [null, 15.24, 4.57, 1.52, 0.46];
+
+/// Geometric vertical accuracy (95%, m) for GVA 1 and 2
+export const GVA_VEPU = [null, 150, 45];
+
+/// @brief Look up a 95% bound by accuracy category.
+/// @param table Table indexed by category, null for unknown.
+/// @param category Category from the ADS-B message.
+/// @return Bound, or null if the category is missing or unknown.
+function categoryBound(table, category) {
+  if (!Number.isInteger(category) || category < 0 || category >= table.length) {
+    return null;
+  }
+  return table[category];
+}
+
+/// @brief Position std of an aircraft from its NACp.
+/// @details The vertical std is taken from GVA if given, else it is
+/// assumed equal to the horizontal std per axis.
+/// @param aircraft Aircraft object with nac_p and optionally gva.
+/// @return Object with {horizontal, vertical} std per axis (m), or null
+/// if the accuracy is unknown.
+export function positionSigma(aircraft) {
+  const epu = categoryBound(NACP_EPU, aircraft.nac_p);
+  if (epu === null) {
+    return null;
+  }
+  const horizontal = epu / HORIZONTAL_95;
+  const vepu = categoryBound(GVA_VEPU, aircraft.gva);
+  return {
+    horizontal,
+    vertical: vepu === null ? horizontal : vepu / VERTICAL_95
+  };
+}
+
+/// @brief Velocity std of an aircraft from its NACv.
+/// @param aircraft Aircraft object with nac_v.
+/// @return Object with {horizontal, vertical} std per axis (m/s), or null
+/// if the accuracy is unknown.
+export function velocitySigma(aircraft) {
+  const hfom = categoryBound(NACV_HFOM, aircraft.nac_v);
+  if (hfom === null) {
+    return null;
+  }
+  return {
+    horizontal: hfom / HORIZONTAL_95,
+    vertical: NACV_VFOM[aircraft.nac_v] / VERTICAL_95
+  };
+}
+
+/// @brief Variance of a linear function of a local ENU vector.
+/// @param gradient Gradient of the function in ECEF.
+/// @param up Local up unit vector in ECEF.
+/// @param sigma Object with {horizontal, vertical} std per axis.
+/// @return Variance of the function.
+function projectedVariance(gradient, up, sigma) {
+  const gUp = gradient.x * up.x + gradient.y * up.y + gradient.z * up.z;
+  const g2 = gradient.x ** 2 + gradient.y ** 2 + gradient.z ** 2;
+  return sigma.horizontal ** 2 * (g2 - gUp * gUp) + sigma.vertical ** 2 * gUp * gUp;
+}
+
+/// @brief Propagate position and velocity accuracy to delay and Doppler.
+/// @details First-order propagation with independent position errors per
+/// axis. Delay depends on position through the sum of the unit vectors from
+/// the receiver and transmitter to the aircraft. Doppler depends on velocity
+/// through the same vector, and on position through the change in the
+/// line-of-sight directions. NIC and SIL describe integrity containment
+/// rather than accuracy, so are not used.
+/// @param aircraft Aircraft object with lat, lon, nac_p, nac_v and velocity.
+/// @param tar Aircraft position in ECEF.
+/// @param ecefRx Receiver position in ECEF.
+/// @param ecefTx Transmitter position in ECEF.
+/// @param dRxTar Distance from receiver to aircraft (meters).
+/// @param dTxTar Distance from transmitter to aircraft (meters).
+/// @param fc Carrier frequency in MHz.
+/// @return Object with {delay (m), doppler (Hz)} std, each null if the
+/// accuracy is unknown. Doppler std is only given when the velocity-derived
+/// Doppler can be computed.
+export function bistaticSigma(aircraft, tar, ecefRx, ecefTx, dRxTar, dTxTar, fc) {
+  const uRx = { x: (tar.x - ecefRx.x) / dRxTar, y: (tar.y - ecefRx.y) / dRxTar,
+    z: (tar.z - ecefRx.z) / dRxTar };
+  const uTx = { x: (tar.x - ecefTx.x) / dTxTar, y: (tar.y - ecefTx.y) / dTxTar,
+    z: (tar.z - ecefTx.z) / dTxTar };
+  const lat = aircraft.lat * Math.PI / 180;
+  const lon = aircraft.lon * Math.PI / 180;
+  const up = { x: Math.cos(lat) * Math.cos(lon), y: Math.cos(lat) * Math.sin(lon),
+    z: Math.sin(lat) };
+  const gradient = { x: uRx.x + uTx.x, y: uRx.y + uTx.y, z: uRx.z + uTx.z };
+
+  const sigmaPos = positionSigma(aircraft);
+  const sigmaVel = velocitySigma(aircraft);
+  const result = {
+    delay: sigmaPos === null ? null : Math.sqrt(projectedVariance(gradient, up, sigmaPos)),
+    doppler: null
+  };
+
+  if (sigmaPos === null || sigmaVel === null ||
+      checkVelocityData(aircraft, dRxTar, dTxTar).length > 0) {
+    return result;
+  }
+
+  // gradient of v.u with respect to position is (v - (v.u)u) / d
+  const vel = aircraftVelocityEcef(aircraft);
+  const losRate = (u, d) => {
+    const vu = vel.x * u.x + vel.y * u.y + vel.z * u.z;
+    return { x: (vel.x - vu * u.x) / d, y: (vel.y - vu * u.y) / d, z: (vel.z - vu * u.z) / d };
+  };
+  const hRx = losRate(uRx, dRxTar);
+  const hTx = losRate(uTx, dTxTar);
+  const positionGradient = { x: hRx.x + hTx.x, y: hRx.y + hTx.y, z: hRx.z + hTx.z };
+
+  const rangeRateVar = projectedVariance(gradient, up, sigmaVel) +
+    projectedVariance(positionGradient, up, sigmaPos);
+  result.doppler = Math.sqrt(rangeRateVar) / calculateWavelength(fc);
+  return result;
+}
@@ -5,3 +5,11 @@ export function isValidNumber(value) {
   return !isNaN(value);
 }
 
+
+/// @brief Helper to check if a value is a finite number, not a string or
+/// other value that converts to one.
+/// @param value Value to check.
+/// @return True if value is a finite number.
+export function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
@@ -12,8 +12,13 @@
   function toggleDataSource() {
     const dataSource = document.getElementById('dataSource').value;
     const serverUrlField = document.getElementById('serverUrlField');
+    const serverNameLabel = document.getElementById('serverNameLabel');
 
     if (dataSource === 'tar1090') {
+      serverNameLabel.textContent = 'tar1090 Server URL:';
+      serverUrlField.style.display = 'block';
+    } else if (dataSource === 'readsb-v2') {
+      serverNameLabel.textContent = 'v2 API Base URL (e.g. https://api.airplanes.live/v2/point):';
       serverUrlField.style.display = 'block';
     } else {
       serverUrlField.style.display = 'none';
@@ -55,6 +60,8 @@
     let server;
     if (dataSource === 'adsblol') {
       server = 'https://api.adsb.lol';
+    } else if (dataSource === 'opensky') {
+      server = 'https://opensky-network.org';
     } else {
       server = serverName;
     }
@@ -67,6 +74,10 @@
       alert('Please provide tar1090 server URL.');
       return;
     }
+    if (dataSource === 'readsb-v2' && !serverName) {
+      alert('Please provide v2 API base URL.');
+      return;
+    }
     if (!validateLatLonAlt(rx, 'Receiver Location') ||
       !validateLatLonAlt(tx, 'Transmitter Location')) {
         return;
@@ -82,6 +93,9 @@
     const encodedServer = encodeURIComponent(server);
 
     var url = window.location.href + `api/dd?rx=${encodedRx}&tx=${encodedTx}&fc=${encodedFc}&server=${encodedServer}`;
+    if (dataSource === 'readsb-v2') {
+      url += '&source=readsb-v2';
+    }
 
     if (url) {
       window.open(url, '_blank');
@@ -1,20 +1,38 @@
 import express from 'express';
 import cors from 'cors';
-
-import {checkTar1090, getTar1090} from './node/tar1090.js';
-import {checkAdsbLol, getAdsbLol} from './node/adsblol.js';
+import {WebSocketServer, WebSocket} from 'ws';
+
+import {getSource, resolveSource, sourceUrl, validateSourceArea} from './node/sources.js';
+import {SourceScheduler, sessionArea} from './node/poller.js';
+import {fuseSnapshots} from './node/fusion.js';
+import {HistoryBuffer} from './node/history.js';
+import {appendTrack, trackView} from './node/track.js';
+import {parseAlignParams, alignTime, alignEntry} from './node/align.js';
+import {SessionRecorder, recordDir, recordLimits} from './node/recorder.js';
 import {lla2ecef, norm, ft2m} from './node/geometry.js';
 import {isValidNumber} from './node/validate.js';
+import {parseDdParams, parseGeometryParams, sessionKey, sessionKeyFromQuery,
+        OPTIONAL_SESSION_PARAMS} from './node/params.js';
 import {calculateDopplerFromVelocity, calculateWavelength} from './node/doppler.js';
+import {bistaticSigma} from './node/uncertainty.js';
+import {BistaticKalman} from './node/kalman.js';
+import {bistaticGeometry, computeBistatic, geometryFields} from './node/bistatic.js';
+import {smoothedDerivativeUsingMedian, savitzkyGolayDerivative} from './node/derivative.js';
+import {bistaticSnr} from './node/radar.js';
+import {aircraftDb, aircraftRcs} from './node/rcs.js';
 import {SyntheticRNG, parseSyntheticConfig, validateSyntheticConfig,
-        generateSyntheticFrame, convertToFrameFormat} from './node/synthetic.js';
+        generateSyntheticFrame, streamSyntheticDataset, emptyFrame,
+        convertToFrameFormat} from './node/synthetic.js';
 
 const app = express();
 app.use(cors());
 const port = process.env.PORT || 49155;
 
 var dict = {};
+const pendingSessions = new Map();
 const tUpdate = 1000;
+const tTick = 100;
+const nFetchConcurrent = 4;
 const nApiMax = 10;
 const tDelete = 30;
 const tDeletePlane = 5;
@@ -22,188 +40,589 @@ const tMaxStaleness = 10;
 const nMaxDelayArray = 10;
 const nDopplerSmooth = 10;
 const adsbLolRadius = 40;
+const nComputeMax = 5000;
+const nHistoryMax = 50000;
+const tKeepalive = 15000;
 
 app.use(express.static('public'));
 
-app.get('/api/dd', async (req, res) => {
+app.get('/api/dd', asyncRoute(async (req, res) => {
 
-  if (req.originalUrl in dict) {
-    dict[req.originalUrl]['timestamp'] = Date.now()/1000;
-    return res.json(dict[req.originalUrl]['out']);
+  const { align, error } = parseAlignParams(req.query);
+  if (error) {
+    return res.status(400).json({ error: error });
   }
 
-  if (Object.keys(dict).length > nApiMax) {
-    return res.status(400).json({ error: 'Exceeded max API requests.' });
+  const key = sessionKey(req.originalUrl);
+  if (key in dict) {
+    dict[key]['timestamp'] = Date.now()/1000;
+    return res.json(viewOutput(key, align));
   }
 
-  const server = req.query.server;
-  const rxParams = req.query.rx?.split(',').map(parseFloat);
-  const txParams = req.query.tx?.split(',').map(parseFloat);
-  const fc = parseFloat(req.query.fc);
-  if (!server || !rxParams || !txParams || !rxParams.every(isValidNumber) || !txParams.every(isValidNumber) || isNaN(fc) || fc <= 0) {
-    return res.status(400).json({ error: 'Invalid parameters. Required: server, rx, tx, fc' });
+  const result = await registerSession(key, req.query);
+  if (result) {
+    return res.status(result.status).json({ error: result.error });
   }
-  const [rxLat, rxLon, rxAlt] = rxParams;
-  const [txLat, txLon, txAlt] = txParams;
+  return res.json(viewOutput(key, align));
 
-  let serverUrl;
-  try {
-    serverUrl = new URL(server);
-  } catch (e) {
-    return res.status(400).json({ error: 'Invalid server URL format' });
+}));
+
+app.get('/api/dd/stream', asyncRoute(async (req, res) => {
+
+  const { align, error } = parseAlignParams(req.query);
+  if (error) {
+    return res.status(400).json({ error: error });
   }
 
-  if (!['http:', 'https:'].includes(serverUrl.protocol)) {
-    return res.status(400).json({ error: 'Server URL must use http or https protocol' });
+  const key = sessionKey(req.originalUrl);
+  if (!(key in dict)) {
+    const result = await registerSession(key, req.query);
+    if (result) {
+      return res.status(result.status).json({ error: result.error });
+    }
   }
 
-  const isAdsbLol = serverUrl.hostname === 'api.adsb.lol';
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const listener = () =>
+    res.write(`data: ${JSON.stringify(viewOutput(key, align))}\n\n`);
+  dict[key]['listeners'].add(listener);
+  listener();
+  sseKeepalive(res);
+
+  req.on('close', () => {
+    if (key in dict) {
+      dict[key]['listeners'].delete(listener);
+      dict[key]['timestamp'] = Date.now()/1000;
+    }
+  });
+
+}));
 
-  if (isAdsbLol) {
-    if (server !== 'https://api.adsb.lol' || serverUrl.protocol !== 'https:') {
-      return res.status(400).json({ error: 'Invalid adsb.lol URL' });
+app.get('/api/dd/history', asyncRoute(async (req, res) => {
+
+  const from = req.query.from === undefined ? -Infinity : Number(req.query.from);
+  const to = req.query.to === undefined ? Infinity : Number(req.query.to);
+  if (isNaN(from) || isNaN(to) || from > to) {
+    return res.status(400).json({
+      error: 'Invalid time window. Expected numeric from <= to in seconds'
+    });
+  }
+
+  const key = sessionKey(req.originalUrl);
+  if (!(key in dict)) {
+    const result = await registerSession(key, req.query);
+    if (result) {
+      return res.status(result.status).json({ error: result.error });
     }
   }
 
-  let isServerValid;
-  let midLat, midLon;
+  dict[key]['timestamp'] = Date.now()/1000;
+  const isMultistatic = dict[key]['transmitters'].length > 1;
+  return res.json(dict[key]['history'].query(from, to, isMultistatic));
 
-  if (isAdsbLol) {
-    midLat = (rxLat + txLat) / 2;
-    midLon = (rxLon + txLon) / 2;
-    if (isNaN(midLat) || isNaN(midLon)) {
-      return res.status(400).json({ error: 'Invalid coordinates' });
+}));
+
+app.get('/api/dd/track/:hex', (req, res) => {
+
+  const key = sessionKey(req.originalUrl);
+  if (!(key in dict)) {
+    return res.status(404).json({ error: 'Session not found.' });
+  }
+  dict[key]['timestamp'] = Date.now()/1000;
+
+  const hexCode = req.params.hex.toLowerCase();
+  const proc = dict[key]['proc'][hexCode];
+  if (proc === undefined) {
+    return res.status(404).json({ error: 'Aircraft not found in session.' });
+  }
+
+  return res.json(trackView(hexCode, proc, dict[key]['transmitters']));
+
+});
+
+app.post('/api/dd/record/start', express.json(), asyncRoute(async (req, res) => {
+
+  const key = sessionKey(req.originalUrl);
+  const body = req.body ?? {};
+  const limits = recordLimits();
+  const maxBytes = body.max_bytes ?? limits.maxBytes;
+  const maxFiles = body.max_files ?? limits.maxFiles;
+  const maxDuration = body.max_duration ?? limits.maxDuration;
+  if (!Number.isInteger(maxBytes) || maxBytes <= 0 ||
+      !Number.isInteger(maxFiles) || maxFiles <= 0 ||
+      typeof maxDuration !== 'number' || !isValidNumber(maxDuration) || maxDuration <= 0) {
+    return res.status(400).json({
+      error: 'Invalid recording options. Expected positive integers max_bytes, ' +
+        'max_files and positive max_duration'
+    });
+  }
+
+  if (!(key in dict)) {
+    const result = await registerSession(key, req.query);
+    if (result) {
+      return res.status(result.status).json({ error: result.error });
     }
-    isServerValid = await checkAdsbLol(midLat, midLon, adsbLolRadius);
-  } else {
-    const apiUrl = new URL('/data/aircraft.json', server).href;
-    isServerValid = await checkTar1090(apiUrl);
-  }
-
-  if (isServerValid) {
-    dict[req.originalUrl] = {};
-    dict[req.originalUrl]['rxLat'] = rxLat;
-    dict[req.originalUrl]['rxLon'] = rxLon;
-    dict[req.originalUrl]['rxAlt'] = rxAlt;
-    dict[req.originalUrl]['txLat'] = txLat;
-    dict[req.originalUrl]['txLon'] = txLon;
-    dict[req.originalUrl]['txAlt'] = txAlt;
-    dict[req.originalUrl]['fc'] = fc;
-    dict[req.originalUrl]['server'] = server;
-    dict[req.originalUrl]['isAdsbLol'] = isAdsbLol;
-    if (isAdsbLol) {
-      dict[req.originalUrl]['midLat'] = midLat;
-      dict[req.originalUrl]['midLon'] = midLon;
-    } else {
-      dict[req.originalUrl]['apiUrl'] = new URL('/data/aircraft.json', server).href;
-    }
-    dict[req.originalUrl]['out'] = {};
-    dict[req.originalUrl]['timestamp'] = Date.now()/1000;
-    dict[req.originalUrl]['lastProcessed'] = 0;
-    dict[req.originalUrl]['lastProcessedTime'] = 0;
-    dict[req.originalUrl]['proc'] = {};
-    const ecefRx = lla2ecef(rxLat, rxLon, rxAlt);
-    const ecefTx = lla2ecef(txLat, txLon, txAlt);
-    dict[req.originalUrl]['ecefRx'] = ecefRx;
-    dict[req.originalUrl]['ecefTx'] = ecefTx;
-    dict[req.originalUrl]['dRxTx'] = norm([ecefRx.x - ecefTx.x,
-      ecefRx.y - ecefTx.y, ecefRx.z - ecefTx.z]);
-    return res.json(dict[req.originalUrl]['out']);
-  } else {
-    return res.status(500).json({ error: 'Error checking data source validity.' });
   }
 
+  if (dict[key]['recorder'] === null) {
+    try {
+      dict[key]['recorder'] = new SessionRecorder(recordDir(), key, {
+        maxBytes: Math.min(maxBytes, limits.maxBytes),
+        maxFiles: Math.min(maxFiles, limits.maxFiles),
+        maxDuration: Math.min(maxDuration, limits.maxDuration)
+      });
+    } catch (error) {
+      return res.status(500).json({ error: `Error starting recording: ${error.message}` });
+    }
+  }
+  return res.json(dict[key]['recorder'].status());
+
+}));
+
+app.post('/api/dd/record/stop', (req, res) => {
+
+  const key = sessionKey(req.originalUrl);
+  if (!(key in dict) || dict[key]['recorder'] === null) {
+    return res.status(404).json({ error: 'Session is not recording.' });
+  }
+
+  const recorder = dict[key]['recorder'];
+  recorder.close();
+  dict[key]['recorder'] = null;
+  dict[key]['timestamp'] = Date.now()/1000;
+  return res.json(recorder.status());
+
+});
+
+app.post('/api/dd/compute', express.json({ limit: '1mb' }), (req, res) => {
+
+  const body = req.body ?? {};
+  const query = {};
+  for (const param of ['rx', 'tx', 'fc']) {
+    if (body[param] !== undefined) {
+      query[param] = String(body[param]);
+    }
+  }
+  const geometry = parseGeometryParams(query);
+  if (!geometry || !Array.isArray(body.aircraft)) {
+    return res.status(400).json({ error: 'Invalid parameters. Required: rx, tx, fc, aircraft' });
+  }
+  if (body.aircraft.length > nComputeMax) {
+    return res.status(400).json({ error: `Exceeded max of ${nComputeMax} aircraft.` });
+  }
+
+  const { rxLat, rxLon, rxAlt, txLat, txLon, txAlt, fc } = geometry;
+  const bistatic = bistaticGeometry(rxLat, rxLon, rxAlt, txLat, txLon, txAlt);
+  const results = body.aircraft.map((aircraft) => {
+    if (aircraft === null || typeof aircraft !== 'object') {
+      return { valid: false, reasons: ['not an aircraft object'] };
+    }
+    return computeBistatic(aircraft, bistatic, fc);
+  });
+  return res.json(results);
+
+});
+
+app.get('/api/status', (req, res) => {
+  const sessions = Object.entries(dict).map(([key, session]) => ({
+    key: key,
+    lastProcessed: session['lastProcessed'],
+    lastProcessedTime: session['lastProcessedTime'],
+    aircraft: Object.keys(session['out']).length,
+    listeners: session['listeners'].size,
+    recording: session['recorder']?.status() ?? null
+  }));
+  res.json({ sources: scheduler.status(), sessions: sessions });
+});
+
+app.get('/api/synthetic-detections', asyncRoute(async (req, res) => {
+  const synthetic = await prepareSynthetic(req.query);
+  if (synthetic.status) {
+    return res.status(synthetic.status).json(synthetic.body);
+  }
+  const { config, getAircraftData } = synthetic;
+
+  // Initialize RNG
+  const rng = new SyntheticRNG(config.seed);
+
+  // Generate frames
+  const frames = [];
+  const nFrames = Math.ceil((config.duration * 1000) / config.frame_interval);
+
+  for (let i = 0; i < nFrames; i++) {
+    const timestamp = Date.now() + i * config.frame_interval;
+
+    // Fetch aircraft data, generating an empty frame if unavailable
+    const aircraftDict = await getAircraftData();
+    if (aircraftDict === null) {
+      frames.push(emptyFrame(timestamp));
+      continue;
+    }
+
+    // Generate synthetic frame with noise
+    frames.push(generateSyntheticFrame(aircraftDict, timestamp, config, rng));
+  }
+
+  return res.json(frames);
+}));
+
+app.get('/api/synthetic-detections/stream', asyncRoute(async (req, res) => {
+  const synthetic = await prepareSynthetic(req.query);
+  if (synthetic.status) {
+    return res.status(synthetic.status).json(synthetic.body);
+  }
+  const { config, getAircraftData } = synthetic;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+  });
+  sseKeepalive(res);
+
+  for await (const frame of streamSyntheticDataset(getAircraftData, config)) {
+    if (closed) {
+      return;
+    }
+    res.write(`data: ${JSON.stringify(frame)}\n\n`);
+  }
+  res.write('event: end\ndata: {}\n\n');
+  res.end();
+}));
+
+/// @brief Return errors from parsing request bodies as JSON.
+/// @details Keeps the API's {error} format and does not send the stack trace
+/// of Express's default error page to clients.
+app.use((error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Invalid JSON body' });
+  }
+  if (error.expose) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`Error handling ${req.path}:`, error.message);
+  return res.status(500).json({ error: 'Internal error.' });
+});
+
+// Use '::' for IPv6 dual-stack to support mDNS .local access from IPv6 clients
+const host = process.env.HOST || '::';
+const httpServer = app.listen(port, host, () => {
+  console.log(`Server is running at http://${host}:${port}`);
 });
 
-app.get('/api/synthetic-detections', async (req, res) => {
+/// @brief WebSocket API to subscribe to several sessions on one connection.
+/// @details Clients send JSON messages of the form
+/// {"action": "subscribe", "id": <id>, "server", "rx", "tx", "fc"} and
+/// {"action": "unsubscribe", "id": <id>}. Subscribing with an existing id
+/// replaces that subscription. Updates are sent as
+/// {"type": "update", "id": <id>, "data": <out>}.
+const wss = new WebSocketServer({ server: httpServer, path: '/api/ws' });
+wss.on('connection', (ws) => {
+
+  const subscriptions = new Map();
+
+  const send = (msg) => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(msg));
+    }
+  };
+
+  const unsubscribe = (id) => {
+    const sub = subscriptions.get(id);
+    if (!sub) {
+      return false;
+    }
+    subscriptions.delete(id);
+    if (sub.key in dict) {
+      dict[sub.key]['listeners'].delete(sub.listener);
+      dict[sub.key]['timestamp'] = Date.now()/1000;
+    }
+    return true;
+  };
+
+  ws.on('message', async (raw) => {
+
+    let msg;
+    try {
+      msg = JSON.parse(raw);
+    } catch (e) {
+      return send({ type: 'error', error: 'Invalid JSON message' });
+    }
+
+    if (msg === null || typeof msg !== 'object' || Array.isArray(msg) ||
+        typeof msg.action !== 'string') {
+      return send({ type: 'error', error: 'Expected a JSON object with an action' });
+    }
+
+    try {
+      if (msg.action === 'unsubscribe') {
+        if (!unsubscribe(msg.id)) {
+          return send({ type: 'error', id: msg.id, error: 'Unknown subscription id' });
+        }
+        return send({ type: 'unsubscribed', id: msg.id });
+      }
+
+      if (msg.action !== 'subscribe') {
+        return send({ type: 'error', id: msg.id, error: 'Unknown action' });
+      }
+
+      const query = {};
+      for (const param of ['server', 'rx', 'tx', 'fc', ...OPTIONAL_SESSION_PARAMS]) {
+        if (msg[param] !== undefined) {
+          query[param] = String(msg[param]);
+        }
+      }
+      const { error } = parseDdParams(query);
+      if (error) {
+        return send({ type: 'error', id: msg.id, error: error });
+      }
+      const { align, error: alignError } = parseAlignParams(msg);
+      if (alignError) {
+        return send({ type: 'error', id: msg.id, error: alignError });
+      }
+
+      const key = sessionKeyFromQuery(query);
+      const id = msg.id !== undefined ? msg.id : key;
+      unsubscribe(id);
+
+      if (!(key in dict)) {
+        const result = await registerSession(key, query);
+        if (result) {
+          return send({ type: 'error', id: id, error: result.error });
+        }
+      }
+      if (ws.readyState !== WebSocket.OPEN || subscriptions.has(id) || !(key in dict)) {
+        return;
+      }
+
+      const listener = () => send({ type: 'update', id: id, data: viewOutput(key, align) });
+      subscriptions.set(id, { key: key, listener: listener });
+      dict[key]['listeners'].add(listener);
+      send({ type: 'subscribed', id: id });
+      listener();
+    } catch (e) {
+      console.error('Error handling WebSocket message:', e.message);
+      send({ type: 'error', id: msg.id, error: 'Internal error' });
+    }
+
+  });
+
+  ws.on('close', () => {
+    for (const id of [...subscriptions.keys()]) {
+      unsubscribe(id);
+    }
+  });
+
+});
+
+/// @brief Wrap an async route handler so that an error becomes a 500
+/// response rather than an unhandled rejection, which would end the process.
+/// @param handler Async Express handler.
+/// @return Express handler.
+function asyncRoute(handler) {
+  return (req, res, next) => handler(req, res, next).catch((error) => {
+    console.error(`Error handling ${req.path}:`, error.message);
+    if (res.headersSent) {
+      res.end();
+    } else {
+      res.status(500).json({ error: 'Internal error.' });
+    }
+  });
+}
+
+/// @brief Register a session, sharing one registration per key.
+/// @details Concurrent first requests for the same key await the same
+/// in-flight registration, so dict[key] is only created once.
+/// @param key Key in dict for the new session.
+/// @param query Request query parameters (server, rx, tx, fc).
+/// @return Null on success, else object with HTTP status and error message.
+function registerSession(key, query) {
+  if (key in dict) {
+    return Promise.resolve(null);
+  }
+  if (!pendingSessions.has(key)) {
+    pendingSessions.set(key, addSession(key, query)
+      .finally(() => pendingSessions.delete(key)));
+  }
+  return pendingSessions.get(key);
+}
+
+/// @brief Send periodic SSE comments so proxies keep an idle stream open.
+/// @param res Express response for the event stream, the timer stops when it closes.
+function sseKeepalive(res) {
+  const timer = setInterval(() => res.write(': keepalive\n\n'), tKeepalive);
+  res.on('close', () => clearInterval(timer));
+}
+
+/// @brief Validate parameters and add a new session to dict.
+/// @param key Key in dict for the new session.
+/// @param query Request query parameters (server, rx, tx, fc).
+/// @return Null on success, else object with HTTP status and error message.
+async function addSession(key, query) {
+
+  if (Object.keys(dict).length > nApiMax) {
+    return { status: 400, error: 'Exceeded max API requests.' };
+  }
+
+  const { params, error } = parseDdParams(query);
+  if (error) {
+    return { status: 400, error: error };
+  }
+  const { server, rxLat, rxLon, rxAlt, transmitters, dopplerFilter,
+    sgWindow, sgOrder, fields } = params;
+
+  const sources = params.sources.map(({ server, source }) =>
+    ({ server, source, apiUrl: getSource(source).apiUrl(server) }));
+  const isArea = sources.some(({ source }) => getSource(source).area);
+  let midLat, midLon, radius;
+  if (isArea) {
+    ({ lat: midLat, lon: midLon, radius } = sessionArea(rxLat, rxLon, transmitters,
+      adsbLolRadius));
+    if (isNaN(midLat) || isNaN(midLon)) {
+      return { status: 400, error: 'Invalid coordinates' };
+    }
+    for (const { source } of sources) {
+      const areaError = validateSourceArea(source, midLat, midLon, radius);
+      if (areaError) {
+        return { status: 400, error: areaError };
+      }
+    }
+  }
+
+  // a fused session only needs one source up, the others may recover later
+  const isValid = await Promise.all(sources.map(({ source, apiUrl }) =>
+    getSource(source).check(sourceUrl(source, apiUrl, midLat, midLon, radius))));
+  const isServerValid = isValid.some(Boolean);
+
+  if (!isServerValid) {
+    return { status: 500, error: 'Error checking data source validity.' };
+  }
+
+  dict[key] = {};
+  dict[key]['rxLat'] = rxLat;
+  dict[key]['rxLon'] = rxLon;
+  dict[key]['rxAlt'] = rxAlt;
+  dict[key]['dopplerFilter'] = dopplerFilter;
+  dict[key]['sgWindow'] = sgWindow;
+  dict[key]['sgOrder'] = sgOrder;
+  dict[key]['fields'] = fields;
+  dict[key]['server'] = server;
+  dict[key]['sources'] = sources;
+  dict[key]['snapshots'] = new Map();
+  if (isArea) {
+    dict[key]['midLat'] = midLat;
+    dict[key]['midLon'] = midLon;
+    dict[key]['radius'] = radius;
+  }
+  dict[key]['out'] = Object.create(null);
+  dict[key]['timestamp'] = Date.now()/1000;
+  dict[key]['lastProcessed'] = 0;
+  dict[key]['lastProcessedTime'] = 0;
+  dict[key]['proc'] = Object.create(null);
+  dict[key]['listeners'] = new Set();
+  dict[key]['recorder'] = null;
+  dict[key]['history'] = new HistoryBuffer(nHistoryMax);
+  dict[key]['ecefRx'] = lla2ecef(rxLat, rxLon, rxAlt);
+  dict[key]['transmitters'] = transmitters.map((tx) => {
+    const { ecefTx, dRxTx } = bistaticGeometry(rxLat, rxLon, rxAlt,
+      tx.txLat, tx.txLon, tx.txAlt);
+    return { ...tx, ecefTx, dRxTx };
+  });
+  return null;
+
+}
+
+/// @brief Validate a synthetic detection request and prepare its data source.
+/// @param query Request query parameters (server, rx, tx, fc and synthetic
+/// configuration).
+/// @return Object with HTTP status and response body on error, else with
+/// {config, getAircraftData}, where getAircraftData() fetches live aircraft
+/// and resolves to their truth delay-Doppler keyed by hex, or null if the
+/// fetch failed.
+async function prepareSynthetic(query) {
   // Parse synthetic configuration
-  const syntheticConfig = parseSyntheticConfig(req.query);
+  const syntheticConfig = parseSyntheticConfig(query);
 
   // Validate configuration
   const validation = validateSyntheticConfig(syntheticConfig);
   if (!validation.valid) {
-    return res.status(400).json({
+    return { status: 400, body: {
       error: 'Invalid synthetic configuration',
       details: validation.errors
-    });
+    } };
   }
 
   // Validate regular parameters (same as /api/dd)
-  const server = req.query.server;
-  const rxParams = req.query.rx?.split(',').map(parseFloat);
-  const txParams = req.query.tx?.split(',').map(parseFloat);
-  const fc = parseFloat(req.query.fc);
-
-  if (!server || !rxParams || !txParams || !rxParams.every(isValidNumber) ||
-      !txParams.every(isValidNumber) || isNaN(fc) || fc <= 0) {
-    return res.status(400).json({
+  const server = query.server;
+  const geometry = parseGeometryParams(query);
+  if (typeof server !== 'string' || server === '' || !geometry ||
+      (query.source !== undefined && typeof query.source !== 'string')) {
+    return { status: 400, body: {
       error: 'Invalid parameters. Required: server, rx, tx, fc'
-    });
+    } };
   }
 
-  const [rxLat, rxLon, rxAlt] = rxParams;
-  const [txLat, txLon, txAlt] = txParams;
+  const { rxLat, rxLon, rxAlt, txLat, txLon, txAlt, fc } = geometry;
 
   // Validate server URL (same as /api/dd)
-  let serverUrl;
-  try {
-    serverUrl = new URL(server);
-  } catch (e) {
-    return res.status(400).json({ error: 'Invalid server URL format' });
+  const { source, error } = resolveSource(server, query.source);
+  if (error) {
+    return { status: 400, body: { error: error } };
   }
 
-  if (!['http:', 'https:'].includes(serverUrl.protocol)) {
-    return res.status(400).json({
-      error: 'Server URL must use http or https protocol'
-    });
+  const adapter = getSource(source);
+  const areaError = validateSourceArea(source, (rxLat + txLat) / 2,
+    (rxLon + txLon) / 2, adsbLolRadius);
+  if (areaError) {
+    return { status: 400, body: { error: areaError } };
+  }
+  const queryUrl = sourceUrl(source, adapter.apiUrl(server),
+    (rxLat + txLat) / 2, (rxLon + txLon) / 2, adsbLolRadius);
+  if (!await adapter.check(queryUrl)) {
+    return { status: 500, body: { error: 'Error checking data source validity.' } };
   }
 
-  const isAdsbLol = serverUrl.hostname === 'api.adsb.lol';
-
-  if (isAdsbLol) {
-    if (server !== 'https://api.adsb.lol' || serverUrl.protocol !== 'https:') {
-      return res.status(400).json({ error: 'Invalid adsb.lol URL' });
+  let db = {};
+  if (syntheticConfig.rcs_model === 'category') {
+    try {
+      db = aircraftDb();
+    } catch (error) {
+      console.error('Error loading aircraft database:', error.message);
+      return { status: 500, body: { error: 'Error loading aircraft database.' } };
     }
   }
 
-  // Initialize RNG
-  const rng = new SyntheticRNG(syntheticConfig.seed);
-
   // Pre-compute ECEF coordinates
   const ecefRx = lla2ecef(rxLat, rxLon, rxAlt);
   const ecefTx = lla2ecef(txLat, txLon, txAlt);
   const dRxTx = norm([ecefRx.x - ecefTx.x, ecefRx.y - ecefTx.y,
                       ecefRx.z - ecefTx.z]);
 
-  // Generate frames
-  const frames = [];
-  const nFrames = Math.ceil((syntheticConfig.duration * 1000) /
-                             syntheticConfig.frame_interval);
-
-  for (let i = 0; i < nFrames; i++) {
-    const timestamp = Date.now() + i * syntheticConfig.frame_interval;
-
-    // Fetch aircraft data
+  const getAircraftData = async () => {
     let json;
-    if (isAdsbLol) {
-      const midLat = (rxLat + txLat) / 2;
-      const midLon = (rxLon + txLon) / 2;
-      json = await getAdsbLol(midLat, midLon, adsbLolRadius);
-    } else {
-      const apiUrl = new URL('/data/aircraft.json', server).href;
-      json = await getTar1090(apiUrl);
+    try {
+      json = await adapter.fetch(queryUrl);
+    } catch (error) {
+      console.error(`Error fetching ${queryUrl}:`, error.message);
     }
 
     if (!json || !json.aircraft || !Array.isArray(json.aircraft)) {
-      // No aircraft data - generate empty frame or skip
-      frames.push({
-        timestamp: timestamp,
-        delay: [],
-        doppler: [],
-        snr: [],
-        adsb: []
-      });
-      continue;
+      return null;
     }
 
     // Compute delay-Doppler for all aircraft
@@ -234,9 +653,13 @@ app.get('/api/synthetic-detections', async (req, res) => {
         );
 
         if (doppler !== null) {
+          const rcs = syntheticConfig.rcs_model === 'category' ?
+            aircraftRcs(aircraft, db, syntheticConfig.rcs) : syntheticConfig.rcs;
           aircraftDict[hexCode] = {
             delay: delay,
             doppler: doppler,
+            snr: syntheticConfig.snr_model === 'radar' ?
+              bistaticSnr(syntheticConfig, rcs, dRxTar, dTxTar, fc) : undefined,
             flight: aircraft.flight,
             lat: aircraft.lat,
             lon: aircraft.lon,
@@ -251,123 +674,130 @@ app.get('/api/synthetic-detections', async (req, res) => {
       }
     }
 
-    // Generate synthetic frame with noise
-    const delays = [];
-    const dopplers = [];
-    const snrs = [];
-    const adsb = [];
-
-    // Add detections for each aircraft
-    for (const [hex, data] of Object.entries(aircraftDict)) {
-      // Simulate missed detection
-      if (!rng.bernoulli(syntheticConfig.detection_prob)) {
-        continue;
-      }
+    return aircraftDict;
+  };
 
-      // Add Gaussian noise
-      const noisyDelay = data.delay + rng.gaussian(0, syntheticConfig.noise_delay);
-      const noisyDoppler = data.doppler + rng.gaussian(0, syntheticConfig.noise_doppler);
-      const snr = rng.uniform(syntheticConfig.snr_min, syntheticConfig.snr_max);
-
-      delays.push(noisyDelay);
-      dopplers.push(noisyDoppler);
-      snrs.push(snr);
-      adsb.push({
-        hex: hex,
-        lat: data.lat,
-        lon: data.lon,
-        alt_baro: data.alt_baro,
-        gs: data.gs,
-        track: data.track,
-        flight: data.flight
-      });
-    }
+  return { config: syntheticConfig, getAircraftData: getAircraftData };
+}
 
-    // Add false alarms (clutter)
-    const nFalseAlarms = rng.poisson(syntheticConfig.false_alarm_rate);
-    for (let j = 0; j < nFalseAlarms; j++) {
-      delays.push(rng.uniform(syntheticConfig.delay_min, syntheticConfig.delay_max));
-      dopplers.push(rng.uniform(syntheticConfig.doppler_min, syntheticConfig.doppler_max));
-      snrs.push(rng.uniform(syntheticConfig.snr_min, syntheticConfig.snr_max * 0.7));
-      adsb.push(null);
-    }
+/// @brief Update a session with a new snapshot from its source.
+/// @param key Current key in dict (API endpoint).
+/// @param json Current JSON from the ADS-B source.
+function processSession(key, json) {
 
-    frames.push({
-      timestamp: timestamp,
-      delay: delays,
-      doppler: dopplers,
-      snr: snrs,
-      adsb: adsb
-    });
+  const currentTime = Date.now() / 1000;
+  const timeSinceProcessed = currentTime - dict[key]['lastProcessedTime'];
+  if (json.now === dict[key]['lastProcessed'] && timeSinceProcessed < tMaxStaleness) {
+    return;
   }
 
-  return res.json(frames);
-});
+  adsb2dd(key, json);
+  record(key, { type: 'out', now: json.now, out: dict[key]['out'] });
 
-// Use '::' for IPv6 dual-stack to support mDNS .local access from IPv6 clients
-const host = process.env.HOST || '::';
-app.listen(port, host, () => {
-  console.log(`Server is running at http://${host}:${port}`);
-});
+  dict[key]['lastProcessed'] = json.now;
+  dict[key]['lastProcessedTime'] = currentTime;
 
-/// @brief Main event loop to update dict data.
-/// @details Loops over each request URL and updates dict data.
-/// This means multiple geometries/frequencies/servers can be used simultaneously.
-/// Removes dict entry if API not called for some time.
-/// Recursive setTimeout call ensures no function overlapping.
-/// @return Void.
-const process_adsb2dd = async () => {
+  for (const listener of dict[key]['listeners']) {
+    listener(dict[key]['out']);
+  }
 
-  for (const [key, value] of Object.entries(dict)) {
+}
 
-    let json;
-    if (dict[key]['isAdsbLol']) {
-      json = await getAdsbLol(dict[key]['midLat'], dict[key]['midLon'], adsbLolRadius);
-    } else {
-      json = await getTar1090(dict[key]['apiUrl']);
-    }
+/// @brief Write a record if the session is recording.
+/// @details Recording stops if a write fails, e.g. when the disk is full.
+/// @param key Current key in dict (API endpoint).
+/// @param entry Record to write, stamped with the current time.
+function record(key, entry) {
 
-    if (!json || !json.aircraft || !Array.isArray(json.aircraft)) {
-      continue;
-    }
+  const recorder = dict[key]['recorder'];
+  if (recorder === null) {
+    return;
+  }
+  try {
+    recorder.write({ time: Date.now()/1000, ...entry });
+  } catch (error) {
+    console.error(`Error recording ${key}:`, error.message);
+    recorder.close();
+    dict[key]['recorder'] = null;
+  }
 
-    const currentTime = Date.now() / 1000;
-    const timeSinceProcessed = currentTime - dict[key]['lastProcessedTime'];
-    if (json.now === dict[key]['lastProcessed'] && timeSinceProcessed < tMaxStaleness) {
-      continue;
-    }
+}
 
-    adsb2dd(key, json);
+/// @brief Receive a snapshot from one of the sources of a session.
+/// @details A session with several sources keeps the latest snapshot of
+/// each and processes their fusion, so a source that is down only loses the
+/// aircraft that no other source sees.
+/// @param key Current key in dict (API endpoint).
+/// @param json Current JSON from the ADS-B source.
+/// @param source Source query from the scheduler.
+function receiveSnapshot(key, json, source) {
+
+  const sources = dict[key]['sources'];
+  const { server } = sources.find((s) =>
+    s.source === source.type && s.apiUrl === source.apiUrl);
+  record(key, { type: 'snapshot', source: server, json: json });
+  if (sources.length === 1) {
+    return processSession(key, json);
+  }
 
-    dict[key]['lastProcessed'] = json.now;
-    dict[key]['lastProcessedTime'] = currentTime;
+  dict[key]['snapshots'].set(server, json);
+  processSession(key, fuseSnapshots(sources
+    .filter((s) => dict[key]['snapshots'].has(s.server))
+    .map((s) => ({ source: s.server, json: dict[key]['snapshots'].get(s.server) }))));
 
-    if (Date.now()/1000 - dict[key]['timestamp'] > tDelete) {
-      delete(dict[key]);
+}
+
+const scheduler = new SourceScheduler(() => dict, receiveSnapshot, {
+  interval: tUpdate,
+  maxConcurrent: nFetchConcurrent,
+  radius: adsbLolRadius
+});
+
+/// @brief Start due source fetches and drop idle sessions.
+/// @details Each source is fetched on its own schedule by the scheduler,
+/// so a slow source does not hold up sessions on other sources. Expired
+/// recordings are stopped, after which the session is dropped once idle.
+const process_adsb2dd = () => {
+
+  for (const key of Object.keys(dict)) {
+    const recorder = dict[key]['recorder'];
+    if (recorder !== null && recorder.expired(Date.now()/1000)) {
+      recorder.close();
+      dict[key]['recorder'] = null;
+      dict[key]['timestamp'] = Date.now()/1000;
     }
 
+    if (dict[key]['listeners'].size === 0 && dict[key]['recorder'] === null &&
+      Date.now()/1000 - dict[key]['timestamp'] > tDelete) {
+      delete(dict[key]);
+    }
   }
 
-  setTimeout(process_adsb2dd, tUpdate);
+  scheduler.tick();
+
+  setTimeout(process_adsb2dd, tTick);
 };
-setTimeout(process_adsb2dd, tUpdate);
+setTimeout(process_adsb2dd, tTick);
 
 
 /// @brief Convert ADS-B coordinates to delay-Doppler coordinates.
 /// @details Implements core functionality of this program.
 /// Compute bistatic delay and Doppler using rx/tx locations.
 /// Apply coefficient to convert m/s to Hz.
+/// With several transmitters the output is keyed by hex then transmitter id.
 /// @param key Current key in dict (API endpoint).
 /// @param json Current JSON from tar1090 server.
 function adsb2dd(key, json) {
 
-  for (const aircraft in dict[key]['out']) {
-    if (Date.now()/1000 - dict[key]['out'][aircraft]['timestamp'] > tDeletePlane) {
+  for (const aircraft in dict[key]['proc']) {
+    if (Date.now()/1000 - dict[key]['proc'][aircraft]['timestamp'] > tDeletePlane) {
       delete(dict[key]['out'][aircraft]);
       delete(dict[key]['proc'][aircraft]);
     }
   }
 
+  const isMultistatic = dict[key]['transmitters'].length > 1;
+
   for (const aircraft of json.aircraft) {
     const isValidAircraft = isValidNumber(aircraft['lat']) &&
                            isValidNumber(aircraft['lon']) &&
@@ -379,143 +809,236 @@ function adsb2dd(key, json) {
     }
 
     const hexCode = aircraft.hex;
-    if (!(hexCode in dict[key]['out'])) {
-      dict[key]['out'][hexCode] = {};
+    if (!(hexCode in dict[key]['proc'])) {
+      dict[key]['out'][hexCode] = Object.create(null);
       dict[key]['proc'][hexCode] = {};
-      dict[key]['proc'][hexCode]['delays'] = [];
-      dict[key]['proc'][hexCode]['timestamps'] = [];
+      dict[key]['proc'][hexCode]['tx'] = Object.create(null);
+      dict[key]['proc'][hexCode]['track'] = { timestamps: [], lat: [], lon: [], alt: [] };
+      for (const tx of dict[key]['transmitters']) {
+        dict[key]['proc'][hexCode]['tx'][tx.id] = {
+          delays: [],
+          timestamps: [],
+          kalman: dict[key]['dopplerFilter'] === 'kalman' ? new BistaticKalman() : null,
+          lastDoppler: null,
+          dopplerRate: null,
+          track: { delay: [], doppler_vel: [], doppler_pos: [] }
+        };
+      }
     }
 
-    if (dict[key]['out'][hexCode]['lat'] === aircraft['lat'] &&
-      dict[key]['out'][hexCode]['lon'] === aircraft['lon'] &&
-      dict[key]['out'][hexCode]['alt'] === aircraft['alt_geom']) {
+    // sources repeat the last position until a new one is decoded, a repeated
+    // sample would add a zero-length step to the range history of doppler_pos
+    if (dict[key]['proc'][hexCode]['lat'] === aircraft['lat'] &&
+      dict[key]['proc'][hexCode]['lon'] === aircraft['lon'] &&
+      dict[key]['proc'][hexCode]['alt'] === aircraft['alt_geom']) {
       continue;
     }
 
-    dict[key]['out'][hexCode]['timestamp'] = json.now - aircraft.seen_pos;
-    dict[key]['out'][hexCode]['flight'] = (aircraft.flight);
+    const timestamp = json.now - aircraft.seen_pos;
+    dict[key]['proc'][hexCode]['timestamp'] = timestamp;
     dict[key]['proc'][hexCode]['lat'] = aircraft['lat'];
     dict[key]['proc'][hexCode]['lon'] = aircraft['lon'];
     dict[key]['proc'][hexCode]['alt'] = aircraft['alt_geom'];
+    dict[key]['proc'][hexCode]['flight'] = aircraft.flight;
+    appendTrack(dict[key]['proc'][hexCode]['track'], { timestamps: timestamp,
+      lat: aircraft['lat'], lon: aircraft['lon'], alt: aircraft['alt_geom'] });
 
     const tar = lla2ecef(aircraft['lat'], aircraft['lon'], ft2m(aircraft['alt_geom']));
 
     const dRxTar = norm([dict[key]['ecefRx'].x-tar.x,
       dict[key]['ecefRx'].y-tar.y,
       dict[key]['ecefRx'].z-tar.z]);
-    const dTxTar = norm([dict[key]['ecefTx'].x-tar.x,
-      dict[key]['ecefTx'].y-tar.y,
-      dict[key]['ecefTx'].z-tar.z]);
-    const delay = dRxTar + dTxTar - dict[key]['dRxTx'];
-
-    dict[key]['proc'][hexCode]['delays'].push(delay);
-    dict[key]['proc'][hexCode]['timestamps'].push(json.now - aircraft.seen_pos);
-
-    const doppler_vel = calculateDopplerFromVelocity(
-      aircraft,
-      tar,
-      dict[key]['ecefRx'],
-      dict[key]['ecefTx'],
-      dRxTar,
-      dTxTar,
-      dict[key]['fc']
-    );
-
-    let doppler_pos = null;
-    if (dict[key]['proc'][hexCode]['delays'].length >= 2) {
-      const doppler_ms_arr = smoothedDerivativeUsingMedian(
-        dict[key]['proc'][hexCode]['delays'],
-        dict[key]['proc'][hexCode]['timestamps'], nDopplerSmooth);
-      const doppler_ms = doppler_ms_arr.at(-1);
-
-      const wavelength = calculateWavelength(dict[key]['fc']);
-      doppler_pos = -doppler_ms / wavelength;
-
-      if (dict[key]['proc'][hexCode]['delays'].length >= nMaxDelayArray) {
-        dict[key]['proc'][hexCode]['delays'].shift();
-        dict[key]['proc'][hexCode]['timestamps'].shift();
+
+    for (const tx of dict[key]['transmitters']) {
+      let entry = dict[key]['out'][hexCode];
+      if (isMultistatic) {
+        entry = dict[key]['out'][hexCode][tx.id] ??= Object.create(null);
+      }
+      entry['timestamp'] = timestamp;
+      entry['flight'] = (aircraft.flight);
+      if (aircraft.source !== undefined) {
+        entry['source'] = aircraft.source;
       }
+      updateTransmitter(key, dict[key]['proc'][hexCode]['tx'][tx.id], entry,
+        aircraft, tar, dRxTar, tx, timestamp);
+      dict[key]['history'].push(hexCode, tx.id, entry);
     }
 
-    dict[key]['out'][hexCode]['delay'] = limit_digits(delay/1000, 5)
+  }
 
-    if (doppler_vel !== null) {
-      dict[key]['out'][hexCode]['doppler'] = limit_digits(doppler_vel, 5);
-      dict[key]['out'][hexCode]['doppler_method'] = 'velocity';
-    } else if (doppler_pos !== null) {
-      dict[key]['out'][hexCode]['doppler'] = limit_digits(doppler_pos, 5);
-      dict[key]['out'][hexCode]['doppler_method'] = 'position';
-    }
+}
 
-    if (doppler_vel !== null) {
-      dict[key]['out'][hexCode]['doppler_vel'] = limit_digits(doppler_vel, 5);
-    }
-    if (doppler_pos !== null) {
-      dict[key]['out'][hexCode]['doppler_pos'] = limit_digits(doppler_pos, 5);
+/// @brief Update the delay-Doppler output of an aircraft for one transmitter.
+/// @param key Current key in dict (API endpoint).
+/// @param state Per-aircraft, per-transmitter processing state.
+/// @param entry Output entry to update.
+/// @param aircraft Aircraft object from the ADS-B source.
+/// @param tar Aircraft position in ECEF.
+/// @param dRxTar Distance from receiver to aircraft (meters).
+/// @param tx Transmitter with ecefTx, dRxTx and fc.
+/// @param timestamp Time of the aircraft position (s).
+function updateTransmitter(key, state, entry, aircraft, tar, dRxTar, tx, timestamp) {
+
+  const dTxTar = norm([tx.ecefTx.x-tar.x,
+    tx.ecefTx.y-tar.y,
+    tx.ecefTx.z-tar.z]);
+  const delay = dRxTar + dTxTar - tx.dRxTx;
+
+  state['delays'].push(delay);
+  state['timestamps'].push(timestamp);
+
+  const doppler_vel = calculateDopplerFromVelocity(
+    aircraft,
+    tar,
+    dict[key]['ecefRx'],
+    tx.ecefTx,
+    dRxTar,
+    dTxTar,
+    tx.fc
+  );
+
+  const wavelength = calculateWavelength(tx.fc);
+  let doppler_pos = null;
+  let kalman = null;
+  if (dict[key]['dopplerFilter'] === 'kalman') {
+    kalman = state['kalman'].update(delay, timestamp);
+    if (state['kalman'].count >= 2) {
+      doppler_pos = -kalman.rangeRate / wavelength;
     }
+  } else if (state['delays'].length >= 2) {
+    const doppler_ms_arr = smoothedDerivativeUsingMedian(
+      state['delays'], state['timestamps'], nDopplerSmooth);
+    const doppler_ms = doppler_ms_arr.at(-1);
 
+    doppler_pos = -doppler_ms / wavelength;
   }
 
-}
+  let doppler_sg = null;
+  const doppler_sg_ms = savitzkyGolayDerivative(
+    state['delays'], state['timestamps'],
+    dict[key]['sgWindow'], dict[key]['sgOrder']);
+  if (doppler_sg_ms !== null) {
+    doppler_sg = -doppler_sg_ms / wavelength;
+  }
 
+  // rate of change of Doppler for time alignment, only between samples of one method
+  const doppler = doppler_vel ?? doppler_pos;
+  const method = doppler_vel !== null ? 'velocity' : 'position';
+  const last = state['lastDoppler'];
+  state['dopplerRate'] = (doppler !== null && last !== null &&
+    last.method === method && timestamp > last.timestamp) ?
+    (doppler - last.value) / (timestamp - last.timestamp) : null;
+  state['lastDoppler'] = doppler === null ? null : { value: doppler, method, timestamp };
+
+  appendTrack(state['track'], { delay: delay/1000, doppler_vel: doppler_vel,
+    doppler_pos: doppler_pos });
+
+  if (state['delays'].length >= nMaxDelayArray) {
+    state['delays'].shift();
+    state['timestamps'].shift();
+  }
 
-function limit_digits(number, digits) {
-  if (Number.isInteger(number)) {
-    return number;
-  } else {
-    return number.toFixed(digits);
+  entry['delay'] = limit_digits(delay/1000, 5);
+
+  if (doppler_vel !== null) {
+    entry['doppler'] = limit_digits(doppler_vel, 5);
+    entry['doppler_method'] = 'velocity';
+  } else if (doppler_pos !== null) {
+    entry['doppler'] = limit_digits(doppler_pos, 5);
+    entry['doppler_method'] = 'position';
   }
-}
 
-/// @brief Computes a smoothed derivative of delays with respect to timestamps.
-/// @details Using a moving median method on the last k samples.
-/// If fewer than k samples are given for delays and timestamps, it will use all available samples.
-/// Just a hunch and probably not optimum.
-/// @param delays Array to diff.
-/// @param timestamps Array to diff with respect to.
-/// @param k Maximum number of samples to compute median on.
-/// @return Array containing a smoothed derivative.
-function smoothedDerivativeUsingMedian(delays, timestamps, k) {
-  if (delays.length !== timestamps.length || delays.length < 2 || k < 2) {
-    throw new Error('Invalid input data for computing the derivative.');
+  if (doppler_vel !== null) {
+    entry['doppler_vel'] = limit_digits(doppler_vel, 5);
+  }
+  if (doppler_pos !== null) {
+    entry['doppler_pos'] = limit_digits(doppler_pos, 5);
+    entry['doppler_estimator'] = dict[key]['dopplerFilter'];
+  }
+  if (doppler_sg !== null) {
+    entry['doppler_sg'] = limit_digits(doppler_sg, 5);
   }
 
-  const result = [];
+  const derived = geometryFields(dict[key]['fields'], aircraft, tar, dict[key],
+    tx.ecefTx, dRxTar, dTxTar);
+  for (const field in derived) {
+    if (derived[field] !== null) {
+      entry[field] = limit_digits(derived[field], 5);
+    } else {
+      delete(entry[field]);
+    }
+  }
 
-  for (let i = 0; i < delays.length; i++) {
-    const startIdx = Math.max(0, i - k + 1);
-    const endIdx = i + 1;
+  const sigma = bistaticSigma(aircraft, tar, dict[key]['ecefRx'], tx.ecefTx,
+    dRxTar, dTxTar, tx.fc);
+  if (sigma.delay !== null) {
+    entry['delay_sigma'] = limit_digits(sigma.delay/1000, 5);
+  } else {
+    delete(entry['delay_sigma']);
+  }
+  if (sigma.doppler !== null) {
+    entry['doppler_sigma'] = limit_digits(sigma.doppler, 5);
+  } else {
+    delete(entry['doppler_sigma']);
+  }
+  if (kalman !== null) {
+    entry['delay_filtered'] = limit_digits(kalman.range/1000, 5);
+    entry['delay_var'] = limit_digits(kalman.rangeVar/1e6, 8);
+    if (doppler_pos !== null) {
+      entry['doppler_var'] =
+        limit_digits(kalman.rangeRateVar/(wavelength*wavelength), 5);
+    }
+  }
 
-    const lastKDelays = delays.slice(startIdx, endIdx);
-    const lastKTimestamps = timestamps.slice(startIdx, endIdx);
+}
 
-    const deltaDelays = lastKDelays.map((delay, idx) => {
-      if (idx > 0) {
-        const deltaTime = lastKTimestamps[idx] - lastKTimestamps[idx - 1];
-        return (delay - lastKDelays[idx - 1]) / deltaTime;
-      }
-      return 0;
-    });
+/// @brief Output of a session as returned to a client.
+/// @param key Current key in dict (API endpoint).
+/// @param align Alignment from parseAlignParams, or null for the raw output.
+/// @return The session output, or a copy with every entry aligned to the
+/// reference time, leaving out entries too far from it to align.
+function viewOutput(key, align) {
 
-    const movingMedianDerivative = calculateMovingMedian(deltaDelays);
+  if (align === null) {
+    return dict[key]['out'];
+  }
 
-    result.push(movingMedianDerivative);
+  const tRef = alignTime(align, Date.now()/1000);
+  const isMultistatic = dict[key]['transmitters'].length > 1;
+  const aligned = Object.create(null);
+  for (const hexCode in dict[key]['out']) {
+    aligned[hexCode] = Object.create(null);
+    for (const tx of dict[key]['transmitters']) {
+      const entry = isMultistatic ?
+        dict[key]['out'][hexCode][tx.id] : dict[key]['out'][hexCode];
+      if (entry?.timestamp === undefined) {
+        continue;
+      }
+      const state = dict[key]['proc'][hexCode]['tx'][tx.id];
+      const alignedEntry = alignEntry(entry, tRef, calculateWavelength(tx.fc),
+        state['dopplerRate'], state['kalman']);
+      if (alignedEntry === null) {
+        continue;
+      }
+      if (isMultistatic) {
+        aligned[hexCode][tx.id] = alignedEntry;
+      } else {
+        aligned[hexCode] = alignedEntry;
+      }
+    }
+    if (Object.keys(aligned[hexCode]).length === 0) {
+      delete aligned[hexCode];
+    }
   }
+  return aligned;
 
-  return result;
 }
 
-/// @brief Helper function to calculate the moving median of an array
-/// @param arr Array to calculate moving median on.
-/// @return Array of moving median.
-function calculateMovingMedian(arr) {
-  const sortedArr = [...arr].sort((a, b) => a - b);
-  const middle = Math.floor(sortedArr.length / 2);
-
-  if (sortedArr.length % 2 === 0) {
-    return (sortedArr[middle - 1] + sortedArr[middle]) / 2;
+function limit_digits(number, digits) {
+  if (Number.isInteger(number)) {
+    return number;
   } else {
-    return sortedArr[middle];
+    return number.toFixed(digits);
   }
 }
 
@@ -0,0 +1,114 @@
+import {parseAlignParams, alignTime, alignEntry, MAX_ALIGN_EXTRAPOLATION} from '../src/node/align.js';
+import {BistaticKalman} from '../src/node/kalman.js';
+
+describe('Time Alignment', () => {
+  describe('parseAlignParams', () => {
+    test('no alignment by default', () => {
+      expect(parseAlignParams({})).toEqual({ align: null });
+    });
+
+    test('parses a reference time', () => {
+      expect(parseAlignParams({ t_ref: '1700000000.5' }))
+        .toEqual({ align: { time: 1700000000.5 } });
+    });
+
+    test('parses a CPI period with default epoch', () => {
+      expect(parseAlignParams({ cpi: '0.5' })).toEqual({ align: { period: 0.5, epoch: 0 } });
+      expect(parseAlignParams({ cpi: '0.5', epoch: '100.25' }))
+        .toEqual({ align: { period: 0.5, epoch: 100.25 } });
+    });
+
+    test('rejects invalid combinations and values', () => {
+      expect(parseAlignParams({ t_ref: '1', cpi: '1' }).error).toMatch(/either t_ref/);
+      expect(parseAlignParams({ epoch: '1' }).error).toMatch(/epoch requires cpi/);
+      expect(parseAlignParams({ t_ref: 'abc' }).error).toMatch(/Invalid t_ref/);
+      expect(parseAlignParams({ cpi: '0' }).error).toMatch(/Invalid cpi/);
+      expect(parseAlignParams({ cpi: '1', epoch: 'x' }).error).toMatch(/Invalid epoch/);
+    });
+
+    test('rejects empty, non-finite and non-numeric values', () => {
+      for (const value of ['', ' ', null, true, [], {}, 'Infinity', NaN]) {
+        expect(parseAlignParams({ t_ref: value }).error).toMatch(/Invalid t_ref/);
+        expect(parseAlignParams({ cpi: '1', epoch: value }).error).toMatch(/Invalid epoch/);
+      }
+      expect(parseAlignParams({ cpi: '' }).error).toMatch(/Invalid cpi/);
+    });
+
+    test('accepts JSON numbers from WebSocket messages', () => {
+      expect(parseAlignParams({ t_ref: 1700000000.5 }))
+        .toEqual({ align: { time: 1700000000.5 } });
+      expect(parseAlignParams({ cpi: 0.5, epoch: 0 }))
+        .toEqual({ align: { period: 0.5, epoch: 0 } });
+    });
+  });
+
+  describe('alignTime', () => {
+    test('returns a fixed reference time', () => {
+      expect(alignTime({ time: 123 }, 456)).toBe(123);
+    });
+
+    test('returns the start of the latest CPI', () => {
+      expect(alignTime({ period: 0.5, epoch: 100.25 }, 110.6)).toBeCloseTo(110.25, 9);
+      expect(alignTime({ period: 0.5, epoch: 100.25 }, 110.75)).toBeCloseTo(110.75, 9);
+      expect(alignTime({ period: 2, epoch: 200 }, 197)).toBe(196);
+    });
+  });
+
+  describe('alignEntry', () => {
+    // 200 MHz, wavelength 1.5 m
+    const wavelength = 1.5;
+    const entry = { timestamp: 100, flight: 'TEST1', delay: '10.00000', doppler: '-100.00000',
+      doppler_method: 'velocity', doppler_vel: '-100.00000' };
+
+    test('extrapolates delay with the Doppler range rate', () => {
+      const aligned = alignEntry(entry, 102, wavelength, null, null);
+
+      // range rate 150 m/s for 2 s
+      expect(aligned.delay).toBe('10.30000');
+      expect(aligned.doppler).toBe('-100.00000');
+      expect(aligned.timestamp).toBe(102);
+      expect(aligned.extrapolation).toBe(2);
+      expect(aligned.flight).toBe('TEST1');
+      expect(entry.timestamp).toBe(100);
+    });
+
+    test('interpolates backwards with the Doppler rate', () => {
+      const aligned = alignEntry(entry, 99, wavelength, -4, null);
+
+      expect(aligned.extrapolation).toBe(-1);
+      expect(aligned.doppler).toBe('-96.00000');
+      expect(aligned.doppler_vel).toBe('-96.00000');
+      // -1.5 * (-100 * -1 + -4 * 1 / 2) = -147 m
+      expect(aligned.delay).toBe('9.85300');
+    });
+
+    test('does not align further than MAX_ALIGN_EXTRAPOLATION', () => {
+      expect(alignEntry(entry, 100 + MAX_ALIGN_EXTRAPOLATION, wavelength, null, null))
+        .not.toBeNull();
+      expect(alignEntry(entry, 100 + MAX_ALIGN_EXTRAPOLATION + 1, wavelength, null, null))
+        .toBeNull();
+      expect(alignEntry(entry, 0, wavelength, null, null)).toBeNull();
+    });
+
+    test('only moves the timestamp without Doppler', () => {
+      const aligned = alignEntry({ timestamp: 100, delay: '10.00000' }, 100.5, wavelength, null, null);
+      expect(aligned).toEqual({ timestamp: 100.5, delay: '10.00000', extrapolation: 0.5 });
+    });
+
+    test('predicts the Kalman state to the reference time', () => {
+      const kalman = new BistaticKalman();
+      for (let i = 0; i <= 20; i++) {
+        kalman.update(10000 + 150 * i, 80 + i);
+      }
+      const current = kalman.estimate();
+      const kalmanEntry = { ...entry, doppler_var: '1.00000' };
+      const aligned = alignEntry(kalmanEntry, 103, wavelength, null, kalman);
+
+      expect(parseFloat(aligned.delay_filtered)).toBeCloseTo(10 + 0.15 * 23, 2);
+      expect(parseFloat(aligned.delay_var)).toBeGreaterThan(current.rangeVar / 1e6);
+      expect(parseFloat(aligned.doppler_var))
+        .toBeGreaterThan(current.rangeRateVar / (wavelength * wavelength));
+      expect(kalman.estimate()).toEqual(current);
+    });
+  });
+});
@@ -0,0 +1,469 @@
+import fs from 'fs';
+import http from 'http';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import {spawn} from 'child_process';
+import {jest} from '@jest/globals';
+import {WebSocket} from 'ws';
+
+jest.setTimeout(30000);
+
+const RX = '-34.9,138.6,110';
+const TX = '-34.98,138.7,750';
+const FC = '204.64';
+
+/// Fake tar1090 server with two moving aircraft and one repeating its position
+function aircraftJson() {
+  const now = Date.now() / 1000;
+  const dt = now % 1000;
+  const decoded = Math.floor(now / 3) * 3;
+  return {
+    now: now,
+    messages: 1,
+    aircraft: [
+      { hex: 'abc123', flight: 'TEST1', lat: -34.9 + dt * 0.001, lon: 138.65, alt_geom: 20000,
+        gs: 300, track: 10, geom_rate: 0, seen_pos: 0.2 },
+      { hex: 'def456', flight: 'TEST2', lat: -34.8, lon: 138.5 + dt * 0.001, alt_geom: 30000,
+        gs: 400, track: 90, geom_rate: 0, seen_pos: 0.5 },
+      // a new position every 3 s, repeated in between as tar1090 does
+      { hex: 'aaa111', flight: 'TEST3', lat: -34.85 - decoded * 1e-6, lon: 138.6,
+        alt_geom: 10000, gs: 200, track: 180, geom_rate: 0, seen_pos: now - decoded }
+    ]
+  };
+}
+
+function freePort() {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/// @brief Read an event stream until a predicate holds on the text so far.
+/// @return Object with the response status and the text received.
+function readStream(url, until) {
+  return new Promise((resolve, reject) => {
+    const req = http.get(url, (res) => {
+      let text = '';
+      const done = () => {
+        req.destroy();
+        resolve({ status: res.statusCode, text: text });
+      };
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        text += chunk;
+        if (until(text)) {
+          done();
+        }
+      });
+      res.on('end', done);
+    });
+    req.on('error', reject);
+  });
+}
+
+/// @brief Collect WebSocket messages, resolving with the next one received.
+function messageQueue(ws) {
+  const queue = [];
+  const waiting = [];
+  ws.on('message', (raw) => {
+    const msg = JSON.parse(raw);
+    const next = waiting.shift();
+    next ? next(msg) : queue.push(msg);
+  });
+  return () => queue.length > 0 ? Promise.resolve(queue.shift()) :
+    new Promise(resolve => waiting.push(resolve));
+}
+
+describe('HTTP and WebSocket API', () => {
+  let feed;
+  let child;
+  let base;
+  let server;
+  let recordDir;
+
+  const query = (extra = '') =>
+    `rx=${RX}&tx=${TX}&fc=${FC}&server=${encodeURIComponent(server)}${extra}`;
+
+  const get = async (endpoint, extra) => {
+    const res = await fetch(`${base}${endpoint}?${query(extra)}`);
+    return { status: res.status, body: await res.json() };
+  };
+
+  const waitForAircraft = async (hex) => {
+    for (let i = 0; i < 50; i++) {
+      const { body } = await get('/api/dd');
+      if (hex in body) {
+        return body;
+      }
+      await sleep(200);
+    }
+    throw new Error(`Aircraft ${hex} not seen`);
+  };
+
+  beforeAll(async () => {
+    feed = http.createServer((req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(aircraftJson()));
+    });
+    await new Promise(resolve => feed.listen(0, '127.0.0.1', resolve));
+    server = `http://127.0.0.1:${feed.address().port}`;
+
+    recordDir = fs.mkdtempSync(path.join(os.tmpdir(), 'adsb2dd-api-'));
+    const port = await freePort();
+    base = `http://127.0.0.1:${port}`;
+    child = spawn(process.execPath, ['server.js'], {
+      cwd: path.join(process.cwd(), 'src'),
+      env: { ...process.env, PORT: String(port), HOST: '127.0.0.1', RECORD_DIR: recordDir },
+      stdio: 'ignore'
+    });
+
+    for (let i = 0; i < 100; i++) {
+      try {
+        await fetch(`${base}/api/status`);
+        return;
+      } catch (e) {
+        await sleep(100);
+      }
+    }
+    throw new Error('Server did not start');
+  });
+
+  afterAll(async () => {
+    if (child && child.exitCode === null) {
+      await new Promise((resolve) => {
+        child.on('exit', resolve);
+        child.kill();
+      });
+    }
+    await new Promise(resolve => feed.close(resolve));
+    fs.rmSync(recordDir, { recursive: true, force: true });
+  });
+
+  describe('/api/dd', () => {
+    test('rejects malformed parameters', async () => {
+      const cases = [
+        [`&rx=${RX}`, 'Invalid rx. Expected a single value'],
+        ['&tx_id=__proto__', 'Invalid tx_id. Expected letters, digits, _ or - (at most 32)'],
+        ['&fields=bistatic_velocity', 'Invalid fields']
+      ];
+      for (const [extra, error] of cases) {
+        const { status, body } = await get('/api/dd', extra);
+        expect(status).toBe(400);
+        expect(body.error.startsWith(error)).toBe(true);
+      }
+
+      const res = await fetch(`${base}/api/dd?rx=${RX}&tx=${TX}&fc=${FC}&server=` +
+        encodeURIComponent(`${server};${server}/data/aircraft.json`));
+      expect(res.status).toBe(400);
+      expect((await res.json()).error).toBe('Invalid server. Each server may only be given once');
+
+      const area = await fetch(`${base}/api/dd?rx=200,0,0&tx=200,0.1,0&fc=${FC}` +
+        `&server=${encodeURIComponent(server + '/v2')}&source=readsb-v2`);
+      expect(area.status).toBe(400);
+      expect((await area.json()).error).toBe('Invalid readsb v2 query latitude');
+
+      expect((await fetch(`${base}/api/dd`)).status).toBe(400);
+      expect((await get('/api/dd', '&cpi=-1')).status).toBe(400);
+      expect((await get('/api/dd', '&t_ref=')).status).toBe(400);
+      expect((await get('/api/dd', '&cpi=1&epoch=')).status).toBe(400);
+    });
+
+    test('returns delay and Doppler for the feed aircraft', async () => {
+      const body = await waitForAircraft('abc123');
+
+      expect(body.abc123.flight).toBe('TEST1');
+      expect(Number(body.abc123.delay)).toBeGreaterThan(0);
+      expect(Number.isFinite(Number(body.abc123.doppler))).toBe(true);
+    });
+
+    test('leaves out entries too far from the alignment time', async () => {
+      await waitForAircraft('abc123');
+
+      const near = await get('/api/dd', `&t_ref=${Date.now() / 1000}`);
+      expect(Math.abs(near.body.abc123.extrapolation)).toBeLessThan(15);
+      expect(await get('/api/dd', '&t_ref=1')).toEqual({ status: 200, body: {} });
+    });
+
+    test('concurrent first requests share one session', async () => {
+      const extra = '&fields=rx_range';
+      const stream = readStream(`${base}/api/dd/stream?${query(extra)}`,
+        text => text.includes('data: {"abc123"') || text.includes('"def456"'));
+      const [first, second] = await Promise.all([get('/api/dd', extra), get('/api/dd', extra)]);
+      expect(first.status).toBe(200);
+      expect(second.status).toBe(200);
+
+      // the stream listener must survive the other registrations
+      const { text } = await stream;
+      expect(text).toContain('rx_range');
+    });
+  });
+
+  describe('/api/dd/stream', () => {
+    test('rejects malformed parameters before streaming', async () => {
+      const { status, text } = await readStream(
+        `${base}/api/dd/stream?${query(`&tx=${TX}`)}`, () => false);
+
+      expect(status).toBe(400);
+      expect(JSON.parse(text).error).toBe('Invalid tx. Expected a single value');
+    });
+
+    test('streams the session output as events', async () => {
+      const { status, text } = await readStream(`${base}/api/dd/stream?${query()}`,
+        text => text.includes('abc123'));
+
+      expect(status).toBe(200);
+      const event = text.split('\n\n').find(e => e.includes('abc123'));
+      expect(event.startsWith('data: ')).toBe(true);
+      expect(JSON.parse(event.slice(6)).abc123.flight).toBe('TEST1');
+    });
+  });
+
+  describe('/api/dd/history', () => {
+    test('rejects an invalid time window', async () => {
+      for (const extra of ['&from=10&to=5', '&from=a', '&from=1&from=2']) {
+        const { status } = await get('/api/dd/history', extra);
+        expect(status).toBe(400);
+      }
+    });
+
+    test('returns stored samples per aircraft', async () => {
+      await waitForAircraft('abc123');
+      const { status, body } = await get('/api/dd/history', `&from=0&to=${Date.now()}`);
+
+      expect(status).toBe(200);
+      expect(body.abc123.length).toBeGreaterThan(0);
+    });
+
+    test('does not store a repeated position as a new sample', async () => {
+      await waitForAircraft('aaa111');
+      await sleep(3500);
+      const { body } = await get('/api/dd/history');
+      const timestamps = body.aaa111.map(sample => sample.timestamp);
+
+      // polled every second, so each position was fetched up to three times
+      expect(body.abc123.length).toBeGreaterThan(3);
+      expect(timestamps.length).toBeGreaterThan(0);
+      expect(new Set(timestamps).size).toBe(timestamps.length);
+    });
+  });
+
+  describe('/api/dd/track', () => {
+    test('returns 404 for an unknown session or aircraft', async () => {
+      const session = await get('/api/dd/track/abc123', '&fc=1');
+      expect(session).toEqual({ status: 404, body: { error: 'Session not found.' } });
+
+      await waitForAircraft('abc123');
+      for (const hex of ['ffffff', '__proto__']) {
+        const aircraft = await get(`/api/dd/track/${hex}`);
+        expect(aircraft).toEqual({ status: 404, body: { error: 'Aircraft not found in session.' } });
+      }
+    });
+
+    test('returns the position and delay-Doppler series of an aircraft', async () => {
+      await waitForAircraft('abc123');
+      const { status, body } = await get('/api/dd/track/ABC123');
+
+      expect(status).toBe(200);
+      expect(body.hex).toBe('abc123');
+      expect(body.flight).toBe('TEST1');
+      expect(body.timestamps.length).toBeGreaterThan(0);
+      for (const name of ['lat', 'lon', 'alt', 'delay', 'doppler_vel', 'doppler_pos']) {
+        expect(body[name]).toHaveLength(body.timestamps.length);
+      }
+      expect(body.tx).toBeUndefined();
+    });
+
+    test('keys the series of a multistatic session by transmitter id', async () => {
+      const extra = `&tx=${TX};-34.8,138.5,500&fc=${FC}&tx_id=north;south`;
+      const multistatic = (endpoint) => fetch(`${base}${endpoint}?rx=${RX}${extra}` +
+        `&server=${encodeURIComponent(server)}`).then(async res => res.json());
+
+      let out = await multistatic('/api/dd');
+      for (let i = 0; i < 50 && !('abc123' in out); i++) {
+        await sleep(200);
+        out = await multistatic('/api/dd');
+      }
+      const track = await multistatic('/api/dd/track/abc123');
+
+      expect(track.delay).toBeUndefined();
+      expect(Object.keys(track.tx)).toEqual(['north', 'south']);
+      for (const id of ['north', 'south']) {
+        expect(track.tx[id].delay).toHaveLength(track.timestamps.length);
+      }
+      expect(track.tx.north.delay).not.toEqual(track.tx.south.delay);
+    });
+  });
+
+  describe('/api/dd/record', () => {
+    const post = (endpoint, body) => fetch(`${base}${endpoint}?${query()}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: body
+    });
+
+    test('rejects invalid options and malformed bodies', async () => {
+      for (const body of ['{"max_bytes":-1}', '{"max_files":1.5}', '{"max_duration":"1"}']) {
+        expect((await post('/api/dd/record/start', body)).status).toBe(400);
+      }
+      for (const body of ['not json', 'null']) {
+        const res = await post('/api/dd/record/start', body);
+        expect(res.status).toBe(400);
+        expect(await res.json()).toEqual({ error: 'Invalid JSON body' });
+      }
+    });
+
+    test('starts and stops a recording', async () => {
+      const start = await post('/api/dd/record/start', '{"max_duration":60}');
+      expect(start.status).toBe(200);
+      const status = await start.json();
+      expect(status.expires - status.started).toBe(60);
+
+      await sleep(1500);
+      const stop = await post('/api/dd/record/stop', '{}');
+      expect(stop.status).toBe(200);
+      expect((await stop.json()).records).toBeGreaterThan(0);
+      expect(fs.readdirSync(recordDir).length).toBeGreaterThan(0);
+
+      expect((await post('/api/dd/record/stop', '{}')).status).toBe(404);
+    });
+  });
+
+  describe('/api/dd/compute', () => {
+    const compute = (body) => fetch(`${base}/api/dd/compute`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: body
+    });
+
+    test('rejects a malformed JSON body without a stack trace', async () => {
+      for (const body of ['{"rx":', 'not json', 'null']) {
+        const res = await compute(body);
+        expect(res.status).toBe(400);
+        expect(res.headers.get('content-type')).toMatch(/application\/json/);
+        expect(await res.json()).toEqual({ error: 'Invalid JSON body' });
+      }
+    });
+
+    test('rejects missing parameters', async () => {
+      for (const body of [{}, { rx: RX, tx: TX, fc: FC }, { rx: RX, tx: TX, fc: FC, aircraft: {} }]) {
+        const res = await compute(JSON.stringify(body));
+        expect(res.status).toBe(400);
+        expect((await res.json()).error).toBe('Invalid parameters. Required: rx, tx, fc, aircraft');
+      }
+    });
+
+    test('computes each aircraft and rejects non-numeric fields', async () => {
+      const aircraft = { hex: 'abc123', lat: -34.9, lon: 138.65, alt_geom: 20000, gs: 300,
+        track: 10 };
+      const res = await compute(JSON.stringify({ rx: RX, tx: TX, fc: 204.64, aircraft: [
+        aircraft, { ...aircraft, lat: true }, { ...aircraft, gs: '300' }, null] }));
+      expect(res.status).toBe(200);
+      const [valid, position, velocity, missing] = await res.json();
+
+      expect(valid.valid).toBe(true);
+      expect(valid.delay).toBeGreaterThan(0);
+      expect(position.delay).toBeNull();
+      expect(position.reasons).toEqual(['missing lat, lon or alt_geom']);
+      expect(velocity.delay).toBe(valid.delay);
+      expect(velocity.doppler).toBeNull();
+      expect(velocity.reasons).toEqual(['missing gs or track']);
+      expect(missing).toEqual({ valid: false, reasons: ['not an aircraft object'] });
+    });
+  });
+
+  describe('/api/ws', () => {
+    let ws;
+    let next;
+
+    beforeEach(async () => {
+      ws = new WebSocket(`${base.replace('http', 'ws')}/api/ws`);
+      next = messageQueue(ws);
+      await new Promise(resolve => ws.on('open', resolve));
+    });
+
+    afterEach(() => {
+      ws.close();
+    });
+
+    test('replies with errors to malformed messages and stays open', async () => {
+      const cases = [
+        ['not json', 'Invalid JSON message'],
+        ['null', 'Expected a JSON object with an action'],
+        ['[1]', 'Expected a JSON object with an action'],
+        ['"subscribe"', 'Expected a JSON object with an action'],
+        ['{"action":1}', 'Expected a JSON object with an action'],
+        ['{"action":"ping","id":1}', 'Unknown action'],
+        ['{"action":"unsubscribe","id":"none"}', 'Unknown subscription id'],
+        [JSON.stringify({ action: 'subscribe', id: 2, server: server, rx: { lat: 1 }, tx: TX,
+          fc: FC }), 'Invalid parameters. Required: server, rx, tx, fc'],
+        [JSON.stringify({ action: 'subscribe', id: 3, server: server, rx: RX, tx: TX, fc: FC,
+          tx_id: '__proto__' }), 'Invalid tx_id. Expected letters, digits, _ or - (at most 32)'],
+        [JSON.stringify({ action: 'subscribe', id: 4, server: server, rx: RX, tx: TX, fc: FC,
+          cpi: -1 }), 'Invalid cpi. Expected a positive period in seconds'],
+        [JSON.stringify({ action: 'subscribe', id: 5, server: server, rx: RX, tx: TX, fc: FC,
+          t_ref: null }), 'Invalid t_ref. Expected a time in seconds']
+      ];
+      for (const [raw, error] of cases) {
+        ws.send(raw);
+        const msg = await next();
+        expect(msg.type).toBe('error');
+        expect(msg.error).toBe(error);
+      }
+      expect(ws.readyState).toBe(WebSocket.OPEN);
+    });
+
+    test('subscribes, updates and unsubscribes', async () => {
+      ws.send(JSON.stringify({ action: 'subscribe', id: 'a', server: server, rx: RX, tx: TX,
+        fc: FC }));
+      expect(await next()).toEqual({ type: 'subscribed', id: 'a' });
+
+      let update = await next();
+      while (!('abc123' in update.data)) {
+        expect(update).toMatchObject({ type: 'update', id: 'a' });
+        update = await next();
+      }
+      expect(update.data.abc123.flight).toBe('TEST1');
+
+      ws.send(JSON.stringify({ action: 'unsubscribe', id: 'a' }));
+      let msg = await next();
+      while (msg.type === 'update') {
+        msg = await next();
+      }
+      expect(msg).toEqual({ type: 'unsubscribed', id: 'a' });
+    });
+  });
+
+  describe('/api/synthetic-detections', () => {
+    const synthetic = (endpoint, extra) =>
+      fetch(`${base}${endpoint}?${query(extra)}`);
+
+    test('rejects malformed parameters', async () => {
+      for (const extra of ['&clutter_points=1,', '&clutter_points=1,2&clutter_points=3,4',
+        `&rx=${RX}`, '&duration=0', '&source=tar1090&source=tar1090']) {
+        const res = await synthetic('/api/synthetic-detections/stream', extra);
+        expect(res.status).toBe(400);
+        expect((await res.json()).error).toBeDefined();
+      }
+    });
+
+    test('streams paced frames and ends the stream', async () => {
+      const { status, text } = await readStream(
+        `${base}/api/synthetic-detections/stream?${query('&frame_interval=100&duration=0.3')}`,
+        () => false);
+
+      expect(status).toBe(200);
+      const events = text.split('\n\n').filter(e => e !== '');
+      const frames = events.filter(e => e.startsWith('data: '));
+      expect(frames).toHaveLength(3);
+      expect(JSON.parse(frames[0].slice(6)).timestamp).toBeGreaterThan(0);
+      expect(events.at(-1)).toBe('event: end\ndata: {}');
+    });
+  });
+});
@@ -0,0 +1,238 @@
+import net from 'net';
+import {
+  parseBeastUrl,
+  BeastParser,
+  modesCrc,
+  decodeModeS,
+  cprNL,
+  cprGlobal,
+  cprLocal,
+  BeastState,
+  checkBeast,
+  fetchBeast
+} from '../src/node/beast.js';
+import {closeAllFeeds} from '../src/node/tcpfeed.js';
+
+// Test vectors from "The 1090 Megahertz Riddle" (mode-s.org)
+const IDENT = '8D4840D6202CC371C32CE0576098';
+const POS_EVEN = '8D40621D58C382D690C8AC2863A7';
+const POS_ODD = '8D40621D58C386435CC412692AD6';
+// POS_EVEN as TC 20 with a GNSS height of 3000 m, CRC recomputed
+const POS_GNSS = '8D40621DA0BB82D690C8ACB4CA74';
+const VELOCITY = '8D485020994409940838175B284F';
+const AIRSPEED = '8DA05F219B06B6AF189400CBC33F';
+
+const bytes = (hex) => Uint8Array.from(Buffer.from(hex, 'hex'));
+
+/// Encode a Mode S long message as a Beast frame, escaping 0x1a
+function beastFrame(hex, timestamp = 0x1a0000001a1a, signal = 0x80) {
+  const body = [];
+  for (let i = 5; i >= 0; i--) {
+    body.push(Math.floor(timestamp / 256 ** i) % 256);
+  }
+  body.push(signal, ...bytes(hex));
+  return Buffer.from([0x1a, 0x33, ...body.flatMap(b => b === 0x1a ? [b, b] : [b])]);
+}
+
+describe('Beast Input Source', () => {
+  describe('parseBeastUrl', () => {
+    test('defaults to port 30005', () => {
+      expect(parseBeastUrl('beast://receiver.local')).toEqual({ host: 'receiver.local', port: 30005 });
+      expect(parseBeastUrl('beast://10.0.0.2:31005')).toEqual({ host: '10.0.0.2', port: 31005 });
+    });
+
+    test('rejects other protocols', () => {
+      expect(parseBeastUrl('sbs://receiver.local')).toBeNull();
+    });
+  });
+
+  describe('BeastParser', () => {
+    test('extracts frames and unescapes 0x1a', () => {
+      const frames = new BeastParser().push(beastFrame(IDENT));
+
+      expect(frames).toHaveLength(1);
+      expect(frames[0].type).toBe(0x33);
+      expect(frames[0].timestamp).toBe(0x1a0000001a1a);
+      expect(frames[0].signal).toBe(0x80);
+      expect(Buffer.from(frames[0].message).toString('hex').toUpperCase()).toBe(IDENT);
+    });
+
+    test('reassembles frames split across chunks', () => {
+      const stream = Buffer.concat([beastFrame(IDENT), beastFrame(VELOCITY)]);
+      const parser = new BeastParser();
+      const frames = [];
+      for (let i = 0; i < stream.length; i += 5) {
+        frames.push(...parser.push(stream.subarray(i, i + 5)));
+      }
+
+      expect(frames.map(f => Buffer.from(f.message).toString('hex').toUpperCase()))
+        .toEqual([IDENT, VELOCITY]);
+    });
+
+    test('skips garbage and unknown frame types', () => {
+      const stream = Buffer.concat([
+        Buffer.from([0x00, 0xff, 0x1a, 0x35, 0x01, 0x02]),
+        beastFrame(IDENT)
+      ]);
+      expect(new BeastParser().push(stream)).toHaveLength(1);
+    });
+  });
+
+  describe('decodeModeS', () => {
+    test('CRC of a valid message matches its parity', () => {
+      const message = bytes(IDENT);
+      expect(modesCrc(message)).toBe(0x576098);
+    });
+
+    test('rejects a corrupted message', () => {
+      const message = bytes(IDENT);
+      message[5] ^= 0x01;
+      expect(decodeModeS(message)).toBeNull();
+    });
+
+    test('identification', () => {
+      expect(decodeModeS(bytes(IDENT))).toEqual({
+        hex: '4840d6', kind: 'identification', flight: 'KLM1023', category: undefined
+      });
+    });
+
+    test('airborne position', () => {
+      const even = decodeModeS(bytes(POS_EVEN));
+
+      expect(even.hex).toBe('40621d');
+      expect(even.altitude).toBe(38000);
+      expect(even.altitudeGnss).toBe(false);
+      expect(even.cprOdd).toBe(false);
+      expect(even.cprLat).toBeCloseTo(93000 / 131072, 10);
+      expect(decodeModeS(bytes(POS_ODD)).cprOdd).toBe(true);
+    });
+
+    test('airborne position with GNSS height', () => {
+      const gnss = decodeModeS(bytes(POS_GNSS));
+
+      expect(gnss.altitudeGnss).toBe(true);
+      expect(gnss.altitude).toBe(Math.round(3000 / 0.3048));
+      expect(gnss.cprLat).toBeCloseTo(93000 / 131072, 10);
+    });
+
+    test('airborne velocity over ground', () => {
+      const velocity = decodeModeS(bytes(VELOCITY));
+
+      expect(velocity.gs).toBeCloseTo(159.20, 2);
+      expect(velocity.track).toBeCloseTo(182.88, 2);
+      expect(velocity.vertRate).toBe(-832);
+      expect(velocity.geomDelta).toBe(550);
+    });
+
+    test('airspeed velocity gives vertical rate only', () => {
+      const velocity = decodeModeS(bytes(AIRSPEED));
+
+      expect(velocity.gs).toBeUndefined();
+      expect(velocity.vertRate).toBe(-2304);
+      expect(velocity.vertRateGnss).toBe(false);
+    });
+  });
+
+  describe('CPR', () => {
+    const even = decodeModeS(bytes(POS_EVEN));
+    const odd = decodeModeS(bytes(POS_ODD));
+
+    test('number of longitude zones', () => {
+      expect(cprNL(0)).toBe(59);
+      expect(cprNL(52.2572)).toBe(36);
+      expect(cprNL(87)).toBe(2);
+      expect(cprNL(-88)).toBe(1);
+    });
+
+    test('global decoding with the even frame latest', () => {
+      const position = cprGlobal(even, odd, false);
+      expect(position.lat).toBeCloseTo(52.25720, 5);
+      expect(position.lon).toBeCloseTo(3.91937, 5);
+    });
+
+    test('local decoding relative to a nearby reference', () => {
+      const position = cprLocal(even, 52.258, 3.918);
+      expect(position.lat).toBeCloseTo(52.25720, 5);
+      expect(position.lon).toBeCloseTo(3.91937, 5);
+    });
+  });
+
+  describe('BeastState', () => {
+    test('decodes a recorded stream into a tar1090-style aircraft', () => {
+      const state = new BeastState();
+      state.receive(beastFrame(POS_ODD), 1000);
+      state.receive(beastFrame(POS_EVEN), 1002);
+
+      const [aircraft] = state.snapshot(1003).aircraft;
+
+      expect(aircraft.hex).toBe('40621d');
+      expect(aircraft.lat).toBeCloseTo(52.25720, 5);
+      expect(aircraft.lon).toBeCloseTo(3.91937, 5);
+      expect(aircraft.alt_baro).toBe(38000);
+      expect(aircraft.alt_geom).toBe(38000);
+      expect(aircraft.seen_pos).toBe(1);
+    });
+
+    test('does not decode a position from a single frame', () => {
+      const state = new BeastState();
+      state.receive(beastFrame(POS_EVEN), 1000);
+
+      expect(state.snapshot(1000).aircraft[0].lat).toBeUndefined();
+    });
+
+    test('does not pair frames too far apart in time', () => {
+      const state = new BeastState();
+      state.receive(beastFrame(POS_ODD), 1000);
+      state.receive(beastFrame(POS_EVEN), 1011);
+
+      expect(state.snapshot(1011).aircraft[0].lat).toBeUndefined();
+    });
+
+    test('applies velocity and GNSS altitude difference', () => {
+      const state = new BeastState();
+      state.update({ hex: 'abc123', kind: 'position', altitude: 10000, altitudeGnss: false,
+        cprOdd: false, cprLat: 0, cprLon: 0 }, 1000);
+      state.update({ ...decodeModeS(bytes(VELOCITY)), hex: 'abc123' }, 1000);
+
+      const [aircraft] = state.snapshot(1000).aircraft;
+
+      expect(aircraft.alt_geom).toBe(10550);
+      expect(aircraft.gs).toBeCloseTo(159.20, 2);
+      expect(aircraft.geom_rate).toBe(-832);
+    });
+  });
+
+  describe('TCP feed', () => {
+    let server;
+    let port;
+
+    beforeAll(async () => {
+      server = net.createServer((socket) => {
+        socket.write(Buffer.concat([beastFrame(POS_ODD), beastFrame(IDENT)]));
+        setTimeout(() => socket.write(beastFrame(POS_EVEN)), 20);
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      port = server.address().port;
+    });
+
+    afterAll(async () => {
+      closeAllFeeds();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('connects and decodes aircraft from the stream', async () => {
+      const url = `beast://127.0.0.1:${port}`;
+      expect(await checkBeast(url)).toBe(true);
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      const json = await fetchBeast(url);
+
+      const position = json.aircraft.find(a => a.hex === '40621d');
+      const ident = json.aircraft.find(a => a.hex === '4840d6');
+
+      expect(json.aircraft).toHaveLength(2);
+      expect(position.lat).toBeCloseTo(52.2572, 4);
+      expect(ident.flight).toBe('KLM1023');
+    });
+  });
+});
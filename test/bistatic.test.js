@@ -0,0 +1,145 @@
+import {bistaticGeometry, bistaticAngle, computeBistatic, geometryFields,
+  GEOMETRY_FIELDS} from '../src/node/bistatic.js';
+import {lla2ecef, ecef2enu, norm, ft2m} from '../src/node/geometry.js';
+import {calculateDopplerFromVelocity, calculateWavelength} from '../src/node/doppler.js';
+
+describe('Stateless Bistatic Computation', () => {
+  const geometry = bistaticGeometry(37.7644, -122.3954, 23, 37.49917, -121.87222, 783);
+
+  test('baseline is the rx-tx distance', () => {
+    expect(geometry.dRxTx).toBeGreaterThan(50000);
+    expect(geometry.dRxTx).toBeLessThan(60000);
+  });
+
+  test('bistatic angle is near 180 degrees on the baseline', () => {
+    const ecefRx = lla2ecef(0, 0, 0);
+    const ecefTx = lla2ecef(0, 1, 0);
+    const tar = lla2ecef(0, 0.5, 0);
+    const dRxTar = norm([ecefRx.x - tar.x, ecefRx.y - tar.y, ecefRx.z - tar.z]);
+    const dTxTar = norm([ecefTx.x - tar.x, ecefTx.y - tar.y, ecefTx.z - tar.z]);
+
+    expect(bistaticAngle(tar, ecefRx, ecefTx, dRxTar, dTxTar)).toBeCloseTo(180, 0);
+  });
+
+  test('bistatic angle is small far from the baseline', () => {
+    const ecefRx = lla2ecef(0, 0, 0);
+    const ecefTx = lla2ecef(0, 0.01, 0);
+    const tar = lla2ecef(2, 0.005, 10000);
+    const dRxTar = norm([ecefRx.x - tar.x, ecefRx.y - tar.y, ecefRx.z - tar.z]);
+    const dTxTar = norm([ecefTx.x - tar.x, ecefTx.y - tar.y, ecefTx.z - tar.z]);
+
+    expect(bistaticAngle(tar, ecefRx, ecefTx, dRxTar, dTxTar)).toBeLessThan(1);
+  });
+
+  test('computes delay, Doppler and angle for a valid aircraft', () => {
+    const result = computeBistatic({
+      hex: 'abc123', flight: 'UAL123', lat: 37.63, lon: -122.19,
+      alt_geom: 35000, gs: 450, track: 90, geom_rate: 0
+    }, geometry, 503);
+
+    expect(result.valid).toBe(true);
+    expect(result.reasons).toEqual([]);
+    expect(result.hex).toBe('abc123');
+    expect(result.delay).toBeGreaterThan(0);
+    expect(Math.abs(result.doppler)).toBeGreaterThan(10);
+    expect(result.bistatic_angle).toBeGreaterThan(0);
+    expect(result.bistatic_angle).toBeLessThan(180);
+  });
+
+  test('reports missing position', () => {
+    const result = computeBistatic({ hex: 'abc123', gs: 450, track: 90 }, geometry, 503);
+
+    expect(result.valid).toBe(false);
+    expect(result.delay).toBeNull();
+    expect(result.reasons).toEqual(['missing lat, lon or alt_geom']);
+  });
+
+  test('only accepts finite numbers as position and velocity', () => {
+    for (const position of [{ lat: true, lon: -122.19, alt_geom: 35000 },
+      { lat: 37.63, lon: [], alt_geom: 35000 }, { lat: 37.63, lon: -122.19, alt_geom: '5' },
+      { lat: 37.63, lon: -122.19, alt_geom: Infinity }]) {
+      const result = computeBistatic({ hex: 'abc123', gs: 450, track: 90, ...position },
+        geometry, 503);
+      expect(result.delay).toBeNull();
+      expect(result.reasons).toEqual(['missing lat, lon or alt_geom']);
+    }
+
+    const result = computeBistatic({ hex: 'abc123', lat: 37.63, lon: -122.19,
+      alt_geom: 35000, gs: '450', track: [90] }, geometry, 503);
+    expect(result.delay).toBeGreaterThan(0);
+    expect(result.doppler).toBeNull();
+    expect(result.reasons).toEqual(['missing gs or track']);
+
+    const climbing = computeBistatic({ hex: 'abc123', lat: 37.63, lon: -122.19,
+      alt_geom: 35000, gs: 450, track: 90, geom_rate: '6000' }, geometry, 503);
+    const level = computeBistatic({ hex: 'abc123', lat: 37.63, lon: -122.19,
+      alt_geom: 35000, gs: 450, track: 90 }, geometry, 503);
+    expect(climbing.doppler).toBe(level.doppler);
+  });
+
+  test('reports unusable velocity but still computes delay', () => {
+    const result = computeBistatic({
+      hex: 'abc123', lat: 37.63, lon: -122.19, alt_geom: 35000, gs: 1500, track: 400
+    }, geometry, 503);
+
+    expect(result.valid).toBe(false);
+    expect(result.delay).toBeGreaterThan(0);
+    expect(result.doppler).toBeNull();
+    expect(result.reasons).toEqual(['gs out of range', 'track out of range']);
+  });
+
+  test('reports delay and Doppler std from NACp and NACv', () => {
+    const aircraft = { hex: 'abc123', lat: 37.63, lon: -122.19, alt_geom: 35000,
+      gs: 450, track: 90, geom_rate: 0 };
+    const unknown = computeBistatic(aircraft, geometry, 503);
+    const result = computeBistatic({ ...aircraft, nac_p: 9, nac_v: 2 }, geometry, 503);
+
+    expect(unknown.delay_sigma).toBeNull();
+    expect(unknown.doppler_sigma).toBeNull();
+    expect(result.delay_sigma).toBeGreaterThan(0);
+    expect(result.delay_sigma).toBeLessThan(0.03 * 2);
+    expect(result.doppler_sigma).toBeGreaterThan(0);
+  });
+
+  test('ECEF to ENU rotation gives local axes', () => {
+    const up = ecef2enu({ x: 0, y: 0, z: 1 }, 90, 0);
+    const east = ecef2enu({ x: 0, y: 1, z: 0 }, 0, 0);
+
+    expect(up.up).toBeCloseTo(1, 9);
+    expect(east.east).toBeCloseTo(1, 9);
+    expect(east.north).toBeCloseTo(0, 9);
+  });
+
+  test('computes requested geometry fields', () => {
+    const rx = { ecefRx: lla2ecef(0, 0, 0), rxLat: 0, rxLon: 0 };
+    const ecefTx = lla2ecef(0, 0.5, 0);
+    const aircraft = { lat: 0.5, lon: 0, alt_geom: 0, gs: 400, track: 0, geom_rate: 0 };
+    const tar = lla2ecef(aircraft.lat, aircraft.lon, ft2m(aircraft.alt_geom));
+    const dRxTar = norm([rx.ecefRx.x - tar.x, rx.ecefRx.y - tar.y, rx.ecefRx.z - tar.z]);
+    const dTxTar = norm([ecefTx.x - tar.x, ecefTx.y - tar.y, ecefTx.z - tar.z]);
+
+    const result = geometryFields(GEOMETRY_FIELDS, aircraft, tar, rx, ecefTx, dRxTar, dTxTar);
+    const doppler = calculateDopplerFromVelocity(aircraft, tar, rx.ecefRx, ecefTx,
+      dRxTar, dTxTar, 503);
+
+    expect(Object.keys(result)).toEqual(GEOMETRY_FIELDS);
+    expect(result.rx_range).toBeCloseTo(dRxTar / 1000, 9);
+    expect(result.tx_range).toBeCloseTo(dTxTar / 1000, 9);
+    expect(result.bistatic_angle).toBeCloseTo(45, 0);
+    expect(result.bistatic_range_rate).toBeCloseTo(-doppler * calculateWavelength(503), 6);
+    expect(result.bistatic_range_rate).toBeGreaterThan(0);
+    expect(result.azimuth).toBeCloseTo(0, 6);
+    expect(result.elevation).toBeLessThan(0);
+    expect(geometryFields(['azimuth'], aircraft, tar, rx, ecefTx, dRxTar, dTxTar))
+      .toEqual({ azimuth: result.azimuth });
+  });
+
+  test('bistatic range rate is null without usable velocity', () => {
+    const rx = { ecefRx: lla2ecef(0, 0, 0), rxLat: 0, rxLon: 0 };
+    const ecefTx = lla2ecef(0, 0.5, 0);
+    const tar = lla2ecef(0.5, 0, 0);
+
+    expect(geometryFields(['bistatic_range_rate'], { lat: 0.5, lon: 0 }, tar, rx, ecefTx,
+      55000, 78000)).toEqual({ bistatic_range_rate: null });
+  });
+});
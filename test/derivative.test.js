@@ -0,0 +1,104 @@
+import {
+  smoothedDerivativeUsingMedian,
+  calculateMovingMedian,
+  polyfit,
+  savitzkyGolayDerivative
+} from '../src/node/derivative.js';
+import {SyntheticRNG} from '../src/node/synthetic.js';
+
+/// Recorded track with constant acceleration and range noise
+function recordTrack(n, v0, accel, noise, seed) {
+  const rng = new SyntheticRNG(seed);
+  const timestamps = [];
+  const delays = [];
+  for (let i = 0; i < n; i++) {
+    const t = 1700000000 + i;
+    timestamps.push(t);
+    delays.push(60000 + v0 * i + 0.5 * accel * i * i + rng.gaussian(0, noise));
+  }
+  return { timestamps, delays, rate: (i) => v0 + accel * i };
+}
+
+describe('Derivative Estimators', () => {
+  describe('Moving median', () => {
+    test('median of odd and even length arrays', () => {
+      expect(calculateMovingMedian([3, 1, 2])).toBe(2);
+      expect(calculateMovingMedian([4, 1, 3, 2])).toBe(2.5);
+    });
+
+    test('derivative of a linear ramp is its slope', () => {
+      const result = smoothedDerivativeUsingMedian([0, 100, 200, 300], [0, 1, 2, 3], 10);
+      expect(result.at(-1)).toBe(100);
+    });
+
+    test('rejects mismatched input', () => {
+      expect(() => smoothedDerivativeUsingMedian([0, 1], [0], 10)).toThrow();
+    });
+  });
+
+  describe('polyfit', () => {
+    test('recovers quadratic coefficients', () => {
+      const x = [-2, -1, 0, 1, 2, 3];
+      const y = x.map(v => 5 - 3 * v + 0.5 * v * v);
+      const coeffs = polyfit(x, y, 2);
+
+      expect(coeffs[0]).toBeCloseTo(5, 8);
+      expect(coeffs[1]).toBeCloseTo(-3, 8);
+      expect(coeffs[2]).toBeCloseTo(0.5, 8);
+    });
+  });
+
+  describe('Pseudo-causal Savitzky-Golay', () => {
+    test('exact for constant range rate', () => {
+      const { delays, timestamps } = recordTrack(10, -150, 0, 0, 1);
+      expect(savitzkyGolayDerivative(delays, timestamps, 9, 2)).toBeCloseTo(-150, 6);
+    });
+
+    test('exact for constant acceleration at the latest sample', () => {
+      const { delays, timestamps, rate } = recordTrack(10, 100, 4, 0, 1);
+      expect(savitzkyGolayDerivative(delays, timestamps, 9, 2)).toBeCloseTo(rate(9), 6);
+    });
+
+    test('returns null until half a window is available', () => {
+      const { delays, timestamps } = recordTrack(4, 100, 0, 0, 1);
+      expect(savitzkyGolayDerivative(delays, timestamps, 9, 2)).toBeNull();
+      expect(savitzkyGolayDerivative([...delays, 500], [...timestamps, timestamps.at(-1) + 1],
+        9, 2)).not.toBeNull();
+    });
+
+    test('returns null for repeated timestamps', () => {
+      expect(savitzkyGolayDerivative([1, 1, 1, 1, 1], [5, 5, 5, 5, 5], 9, 2)).toBeNull();
+    });
+
+    test('returns null for a degenerate window instead of throwing', () => {
+      const delays = [1, 1, 1, 1, 1];
+      const timestamps = [0, 0, 0, 0, 1e-300];
+      expect(savitzkyGolayDerivative(delays, timestamps, 9, 2)).toBeNull();
+      expect(savitzkyGolayDerivative(delays, timestamps, 5, 3)).toBeNull();
+    });
+
+    test('rejects even window and order not below window', () => {
+      expect(() => savitzkyGolayDerivative([1, 2, 3], [1, 2, 3], 8, 2)).toThrow();
+      expect(() => savitzkyGolayDerivative([1, 2, 3], [1, 2, 3], 5, 5)).toThrow();
+    });
+
+    test('lags less than the moving median on an accelerating track', () => {
+      let errMedian = 0;
+      let errSg = 0;
+      let count = 0;
+      for (let seed = 0; seed < 20; seed++) {
+        const track = recordTrack(40, -200, 3, 15, seed);
+        for (let i = 10; i < track.delays.length; i++) {
+          const delays = track.delays.slice(i - 9, i + 1);
+          const timestamps = track.timestamps.slice(i - 9, i + 1);
+          const truth = track.rate(i);
+          errMedian += (smoothedDerivativeUsingMedian(delays, timestamps, 10).at(-1) - truth) ** 2;
+          errSg += (savitzkyGolayDerivative(delays, timestamps, 9, 2) - truth) ** 2;
+          count++;
+        }
+      }
+
+      expect(Math.sqrt(errSg / count)).toBeLessThan(Math.sqrt(errMedian / count));
+    });
+  });
+});
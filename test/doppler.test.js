@@ -1,5 +1,5 @@
 import {lla2ecef, norm} from '../src/node/geometry.js';
-import {enuToEcef, calculateDopplerFromVelocity, calculateWavelength, SPEED_OF_LIGHT} from '../src/node/doppler.js';
+import {enuToEcef, calculateDopplerFromVelocity, calculateWavelength, checkVelocityData, SPEED_OF_LIGHT} from '../src/node/doppler.js';
 
 describe('Velocity-Based Doppler', () => {
   describe('Wavelength calculation', () => {
@@ -350,4 +350,26 @@ describe('Velocity-Based Doppler', () => {
       expect(doppler).not.toBeNull();
     });
   });
+
+  describe('Velocity data checks', () => {
+    test('valid velocity data has no reasons', () => {
+      const aircraft = {lat: 0, lon: 0, alt_geom: 10000, gs: 250, track: 90, geom_rate: 0};
+      expect(checkVelocityData(aircraft, 10000, 10000)).toEqual([]);
+    });
+
+    test('reports missing track', () => {
+      const aircraft = {lat: 0, lon: 0, gs: 250};
+      expect(checkVelocityData(aircraft, 10000, 10000)).toEqual(['missing gs or track']);
+    });
+
+    test('reports every failing check', () => {
+      const aircraft = {lat: 0, lon: 0, alt_geom: 200000, gs: -1, track: 90, geom_rate: 30000};
+      expect(checkVelocityData(aircraft, 50, 10000)).toEqual([
+        'gs out of range',
+        'too close to receiver or transmitter',
+        'alt_geom out of range',
+        'geom_rate out of range'
+      ]);
+    });
+  });
 });
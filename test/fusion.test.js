@@ -0,0 +1,66 @@
+import {fuseSnapshots} from '../src/node/fusion.js';
+
+describe('Multi-Source Fusion', () => {
+  test('the freshest position wins', () => {
+    const json = fuseSnapshots([
+      { source: 'http://rx1', json: { now: 100, messages: 10, aircraft: [
+        { hex: 'abc123', flight: 'TEST1', lat: 51.0, lon: 0.0, seen_pos: 3 }
+      ] } },
+      { source: 'http://rx2', json: { now: 101, messages: 5, aircraft: [
+        { hex: 'abc123', flight: 'TEST1', lat: 51.1, lon: 0.1, seen_pos: 1 }
+      ] } }
+    ]);
+
+    expect(json.now).toBe(101);
+    expect(json.messages).toBe(15);
+    expect(json.aircraft).toEqual([
+      { hex: 'abc123', flight: 'TEST1', lat: 51.1, lon: 0.1, seen_pos: 1, source: 'http://rx2' }
+    ]);
+  });
+
+  test('positions are compared relative to the latest snapshot', () => {
+    const json = fuseSnapshots([
+      { source: 'http://rx1', json: { now: 100, aircraft: [
+        { hex: 'abc123', lat: 51.0, lon: 0.0, seen_pos: 0.5, seen: 0.5 }
+      ] } },
+      { source: 'https://api.adsb.lol', json: { now: 102, aircraft: [
+        { hex: 'abc123', lat: 51.1, lon: 0.1, seen_pos: 3 }
+      ] } }
+    ]);
+
+    const [aircraft] = json.aircraft;
+    expect(aircraft.source).toBe('http://rx1');
+    expect(aircraft.seen_pos).toBe(2.5);
+    expect(aircraft.seen).toBe(2.5);
+  });
+
+  test('keeps the first source on a tie and prefers any position', () => {
+    const json = fuseSnapshots([
+      { source: 'a', json: { now: 100, aircraft: [
+        { hex: 'one', lat: 51.0, lon: 0.0, seen_pos: 1 },
+        { hex: 'two', flight: 'TWO' }
+      ] } },
+      { source: 'b', json: { now: 100, aircraft: [
+        { hex: 'one', lat: 51.2, lon: 0.2, seen_pos: 1 },
+        { hex: 'two', lat: 51.3, lon: 0.3, seen_pos: 4 }
+      ] } }
+    ]);
+
+    const byHex = Object.fromEntries(json.aircraft.map(a => [a.hex, a]));
+    expect(byHex.one.source).toBe('a');
+    expect(byHex.two.source).toBe('b');
+    expect(byHex.two.flight).toBe('TWO');
+  });
+
+  test('an empty snapshot from a source that is down loses no other aircraft', () => {
+    const json = fuseSnapshots([
+      { source: 'http://rx1', json: { now: 100, aircraft: [
+        { hex: 'abc123', lat: 51.0, lon: 0.0, seen_pos: 1 }
+      ] } },
+      { source: 'http://rx2', json: { now: 101, messages: 0, aircraft: [] } }
+    ]);
+
+    expect(json.aircraft.map(a => a.hex)).toEqual(['abc123']);
+    expect(json.aircraft[0].seen_pos).toBe(2);
+  });
+});
@@ -0,0 +1,61 @@
+import {HistoryBuffer} from '../src/node/history.js';
+
+describe('History Buffer', () => {
+  test('returns samples within the window sorted by timestamp', () => {
+    const history = new HistoryBuffer(10);
+    history.push('abc123', 'tx0', { timestamp: 12, delay: 2 });
+    history.push('abc123', 'tx0', { timestamp: 10, delay: 1 });
+    history.push('def456', 'tx0', { timestamp: 11, delay: 5 });
+    history.push('abc123', 'tx0', { timestamp: 20, delay: 3 });
+
+    expect(history.query(10, 12, false)).toEqual({
+      abc123: [{ timestamp: 10, delay: 1 }, { timestamp: 12, delay: 2 }],
+      def456: [{ timestamp: 11, delay: 5 }]
+    });
+    expect(history.query(13, 19, false)).toEqual({});
+  });
+
+  test('copies samples so later updates do not change history', () => {
+    const history = new HistoryBuffer(10);
+    const entry = { timestamp: 1, delay: 1 };
+    history.push('abc123', 'tx0', entry);
+    entry.timestamp = 2;
+    entry.delay = 2;
+    history.push('abc123', 'tx0', entry);
+
+    expect(history.query(-Infinity, Infinity, false).abc123.map(s => s.delay)).toEqual([1, 2]);
+  });
+
+  test('overwrites the oldest samples when full', () => {
+    const history = new HistoryBuffer(3);
+    for (let i = 0; i < 5; i++) {
+      history.push('abc123', 'tx0', { timestamp: i });
+    }
+
+    expect(history.size).toBe(3);
+    expect(history.query(-Infinity, Infinity, false).abc123.map(s => s.timestamp))
+      .toEqual([2, 3, 4]);
+  });
+
+  test('keys multistatic samples by transmitter', () => {
+    const history = new HistoryBuffer(10);
+    history.push('abc123', 'tx0', { timestamp: 1, delay: 1 });
+    history.push('abc123', 'tx1', { timestamp: 1, delay: 4 });
+
+    expect(history.query(0, 2, true)).toEqual({
+      abc123: {
+        tx0: [{ timestamp: 1, delay: 1 }],
+        tx1: [{ timestamp: 1, delay: 4 }]
+      }
+    });
+  });
+
+  test('keeps prototype property names as plain keys', () => {
+    const history = new HistoryBuffer(10);
+    history.push('__proto__', 'constructor', { timestamp: 1, delay: 1 });
+
+    const result = history.query(0, 2, true);
+    expect(result['__proto__']['constructor']).toEqual([{ timestamp: 1, delay: 1 }]);
+    expect({}.constructor).toBe(Object);
+  });
+});
@@ -0,0 +1,86 @@
+import {BistaticKalman, KALMAN_MEASUREMENT_NOISE} from '../src/node/kalman.js';
+import {SyntheticRNG} from '../src/node/synthetic.js';
+
+describe('Bistatic Kalman Filter', () => {
+  test('first measurement initialises range with zero rate', () => {
+    const kf = new BistaticKalman();
+    const est = kf.update(50000, 1700000000);
+
+    expect(est.range).toBe(50000);
+    expect(est.rangeRate).toBe(0);
+    expect(est.rangeVar).toBeCloseTo(KALMAN_MEASUREMENT_NOISE ** 2, 6);
+    expect(kf.count).toBe(1);
+  });
+
+  test('converges to true range rate on a noiseless track', () => {
+    const kf = new BistaticKalman();
+    let est;
+    for (let i = 0; i < 30; i++) {
+      est = kf.update(50000 + 150 * i, 1700000000 + i);
+    }
+
+    expect(est.rangeRate).toBeCloseTo(150, 0);
+    expect(est.range).toBeCloseTo(50000 + 150 * 29, 0);
+  });
+
+  test('tracks range rate through measurement noise', () => {
+    const rng = new SyntheticRNG(42);
+    const kf = new BistaticKalman();
+    let est;
+    for (let i = 0; i < 60; i++) {
+      const range = 80000 - 200 * i + rng.gaussian(0, KALMAN_MEASUREMENT_NOISE);
+      est = kf.update(range, 1700000000 + i);
+    }
+
+    expect(Math.abs(est.rangeRate + 200)).toBeLessThan(10);
+  });
+
+  test('variance decreases as measurements accumulate', () => {
+    const kf = new BistaticKalman();
+    kf.update(50000, 0);
+    const early = kf.update(50100, 1);
+    for (let i = 2; i < 20; i++) {
+      kf.update(50000 + 100 * i, i);
+    }
+    const late = kf.estimate();
+
+    expect(late.rangeRateVar).toBeLessThan(early.rangeRateVar);
+    expect(late.rangeVar).toBeLessThan(KALMAN_MEASUREMENT_NOISE ** 2);
+  });
+
+  test('ignores out-of-order measurements', () => {
+    const kf = new BistaticKalman();
+    kf.update(50000, 10);
+    const before = kf.update(50100, 11);
+    const after = kf.update(99999, 5);
+
+    expect(after).toEqual(before);
+    expect(kf.count).toBe(2);
+  });
+
+  test('handles repeated timestamps without prediction', () => {
+    const kf = new BistaticKalman();
+    kf.update(50000, 10);
+    const est = kf.update(50010, 10);
+
+    expect(Number.isFinite(est.range)).toBe(true);
+    expect(est.range).toBeGreaterThan(50000);
+    expect(est.range).toBeLessThan(50010);
+  });
+
+  test('predicts to another time without changing the state', () => {
+    const kf = new BistaticKalman();
+    for (let i = 0; i < 30; i++) {
+      kf.update(50000 + 150 * i, 1700000000 + i);
+    }
+    const current = kf.estimate();
+    const ahead = kf.estimateAt(1700000000 + 31);
+    const behind = kf.estimateAt(1700000000 + 27);
+
+    expect(ahead.range).toBeCloseTo(current.range + 2 * current.rangeRate, 6);
+    expect(behind.range).toBeCloseTo(current.range - 2 * current.rangeRate, 6);
+    expect(ahead.rangeVar).toBeGreaterThan(current.rangeVar);
+    expect(behind.rangeRateVar).toBeGreaterThan(current.rangeRateVar);
+    expect(kf.estimate()).toEqual(current);
+  });
+});
@@ -0,0 +1,127 @@
+import http from 'http';
+import {jest} from '@jest/globals';
+import {boundingBox, normalizeOpenSky, openSkyUrl, fetchOpenSkyStates, openSkyApiUrl}
+  from '../src/node/opensky.js';
+import {getSource, validateSourceArea} from '../src/node/sources.js';
+
+const STATE = ['4b1814', 'SWR123  ', 'Switzerland', 1700000008, 1700000009,
+  8.55, 47.45, 3048, false, 200, 270.5, -5.08, null, 3100, '1000', false, 0, 4];
+
+describe('OpenSky Network Source', () => {
+  describe('boundingBox', () => {
+    test('encloses the query circle', () => {
+      const box = boundingBox(60, 10, 30);
+      expect(box.lamin).toBeCloseTo(59.5, 6);
+      expect(box.lamax).toBeCloseTo(60.5, 6);
+      expect(box.lomin).toBeCloseTo(9, 6);
+      expect(box.lomax).toBeCloseTo(11, 6);
+    });
+
+    test('is clamped to valid coordinates', () => {
+      const box = boundingBox(89.9, 179.9, 40);
+      expect(box.lamax).toBe(90);
+      expect(box.lomax).toBe(180);
+    });
+  });
+
+  describe('normalizeOpenSky', () => {
+    test('converts a state vector to tar1090 fields and units', () => {
+      const json = normalizeOpenSky({ time: 1700000010, states: [STATE] });
+
+      expect(json.now).toBe(1700000010);
+      expect(json.aircraft).toHaveLength(1);
+      const aircraft = json.aircraft[0];
+      expect(aircraft.hex).toBe('4b1814');
+      expect(aircraft.flight).toBe('SWR123');
+      expect(aircraft.lat).toBe(47.45);
+      expect(aircraft.lon).toBe(8.55);
+      expect(aircraft.seen_pos).toBe(2);
+      expect(aircraft.seen).toBe(1);
+      expect(aircraft.alt_baro).toBeCloseTo(10000, 6);
+      expect(aircraft.alt_geom).toBeCloseTo(10170.6, 1);
+      expect(aircraft.gs).toBeCloseTo(388.77, 2);
+      expect(aircraft.track).toBe(270.5);
+      expect(aircraft.geom_rate).toBeCloseTo(-1000, 0);
+      expect(aircraft.squawk).toBe('1000');
+      expect(aircraft.category).toBe('A3');
+    });
+
+    test('falls back to barometric altitude and omits missing fields', () => {
+      const state = [...STATE];
+      state[1] = null;
+      state[9] = null;
+      state[13] = null;
+      state[17] = 0;
+      const [aircraft] = normalizeOpenSky({ time: 1700000010, states: [state] }).aircraft;
+
+      expect(aircraft.alt_geom).toBeCloseTo(10000, 6);
+      expect(aircraft.flight).toBeUndefined();
+      expect(aircraft.gs).toBeUndefined();
+      expect(aircraft.category).toBeUndefined();
+    });
+
+    test('handles no states', () => {
+      expect(normalizeOpenSky({ time: 1700000010, states: null }).aircraft).toEqual([]);
+    });
+  });
+
+  describe('stand-in server', () => {
+    let server;
+    let apiUrl;
+    let lastUrl;
+    let status = 200;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        lastUrl = new URL(req.url, 'http://localhost');
+        res.statusCode = status;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ time: 1700000010, states: [STATE] }));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      apiUrl = `http://127.0.0.1:${server.address().port}/api`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('fetches /states/all with a bounding box', async () => {
+      status = 200;
+      const json = await fetchOpenSkyStates(openSkyUrl(apiUrl, 47.5, 8.5, 40));
+
+      expect(lastUrl.pathname).toBe('/api/states/all');
+      expect(Number(lastUrl.searchParams.get('lamin'))).toBeCloseTo(46.8333, 3);
+      expect(Number(lastUrl.searchParams.get('lamax'))).toBeCloseTo(48.1667, 3);
+      expect(json.aircraft[0].hex).toBe('4b1814');
+    });
+
+    test('check fails on an HTTP error', async () => {
+      status = 429;
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const url = openSkyUrl(apiUrl, 47.5, 8.5, 40);
+      const isValid = await getSource('opensky').check(url);
+      errorSpy.mockRestore();
+
+      expect(isValid).toBe(false);
+      await expect(fetchOpenSkyStates(url)).rejects.toThrow('Status: 429');
+    });
+
+    test('rejects invalid query parameters', () => {
+      expect(validateSourceArea('opensky', 91, 8.5, 40)).toMatch(/Invalid/);
+      expect(validateSourceArea('opensky', 47.5, 8.5, 300)).toMatch(/Invalid/);
+      expect(validateSourceArea('opensky', 47.5, 8.5, 40)).toBeNull();
+    });
+
+    test('base URL can be set from the environment', () => {
+      const previous = process.env.OPENSKY_API_URL;
+      process.env.OPENSKY_API_URL = apiUrl + '/';
+      expect(openSkyApiUrl()).toBe(apiUrl);
+      delete process.env.OPENSKY_API_URL;
+      expect(openSkyApiUrl()).toBe('https://opensky-network.org/api');
+      if (previous !== undefined) {
+        process.env.OPENSKY_API_URL = previous;
+      }
+    });
+  });
+});
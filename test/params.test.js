@@ -0,0 +1,341 @@
+import {parseDdParams, sessionKey, sessionKeyFromQuery} from '../src/node/params.js';
+
+describe('Session Parameters', () => {
+  describe('parseDdParams', () => {
+    test('parses valid tar1090 parameters', () => {
+      const { params, error } = parseDdParams({
+        server: 'http://localhost:8080',
+        rx: '51.5,-0.1,0',
+        tx: '51.6,-0.2,100',
+        fc: '204.64'
+      });
+
+      expect(error).toBeUndefined();
+      expect(params.rxLat).toBe(51.5);
+      expect(params.transmitters).toEqual([
+        { id: 'tx0', txLat: 51.6, txLon: -0.2, txAlt: 100, fc: 204.64 }
+      ]);
+      expect(params.sources).toEqual([{ server: params.server, source: 'tar1090' }]);
+    });
+
+    test('parses several transmitters with their own fc', () => {
+      const { params, error } = parseDdParams({
+        server: 'http://localhost:8080',
+        rx: '51.5,-0.1,0',
+        tx: '51.6,-0.2,100;51.4,0.1,50',
+        fc: '204.64;503',
+        tx_id: 'dab;dvbt'
+      });
+
+      expect(error).toBeUndefined();
+      expect(params.transmitters.map(tx => tx.id)).toEqual(['dab', 'dvbt']);
+      expect(params.transmitters[1].txLon).toBe(0.1);
+      expect(params.transmitters[1].fc).toBe(503);
+    });
+
+    test('shares a single fc between transmitters', () => {
+      const { params } = parseDdParams({
+        server: 'http://localhost:8080',
+        rx: '51.5,-0.1,0',
+        tx: '51.6,-0.2,100;51.4,0.1,50',
+        fc: '98.5'
+      });
+
+      expect(params.transmitters.map(tx => tx.id)).toEqual(['tx0', 'tx1']);
+      expect(params.transmitters.map(tx => tx.fc)).toEqual([98.5, 98.5]);
+    });
+
+    test('rejects mismatched fc count', () => {
+      const { error } = parseDdParams({
+        server: 'http://localhost:8080',
+        rx: '51.5,-0.1,0',
+        tx: '51.6,-0.2,100;51.4,0.1,50;51.3,0,0',
+        fc: '204.64;503'
+      });
+
+      expect(error).toBe('Invalid parameters. Required: server, rx, tx, fc');
+    });
+
+    test('rejects duplicate tx_id', () => {
+      const { error } = parseDdParams({
+        server: 'http://localhost:8080',
+        rx: '51.5,-0.1,0',
+        tx: '51.6,-0.2,100;51.4,0.1,50',
+        fc: '204.64;503',
+        tx_id: 'dab;dab'
+      });
+
+      expect(error).toMatch(/tx_id/);
+    });
+
+    test.each(['__proto__;b', 'constructor;b', 'a b;c', ';b', 'x'.repeat(33) + ';b'])(
+      'rejects unsafe tx_id %s', (txId) => {
+        const { error } = parseDdParams({
+          server: 'http://localhost:8080',
+          rx: '51.5,-0.1,0',
+          tx: '51.6,-0.2,100;51.4,0.1,50',
+          fc: '204.64',
+          tx_id: txId
+        });
+
+        expect(error).toMatch(/tx_id/);
+      });
+
+    test('rejects repeated tx_id parameters', () => {
+      const { error } = parseDdParams({
+        server: 'http://localhost:8080',
+        rx: '51.5,-0.1,0',
+        tx: '51.6,-0.2,100',
+        fc: '204.64',
+        tx_id: ['a', 'b']
+      });
+
+      expect(error).toMatch(/tx_id/);
+    });
+
+    test('detects adsb.lol server', () => {
+      const { params } = parseDdParams({
+        server: 'https://api.adsb.lol',
+        rx: '51.5,-0.1,0',
+        tx: '51.6,-0.2,100',
+        fc: '204.64'
+      });
+
+      expect(params.sources).toEqual([{ server: params.server, source: 'adsblol' }]);
+    });
+
+    test('parses several servers with an optional source each', () => {
+      const { params, error } = parseDdParams({
+        server: 'http://rx1:8080;https://api.airplanes.live/v2/point;https://api.adsb.lol',
+        source: ';readsb-v2;',
+        rx: '51.5,-0.1,0',
+        tx: '51.6,-0.2,100',
+        fc: '204.64'
+      });
+
+      expect(error).toBeUndefined();
+      expect(params.sources).toEqual([
+        { server: 'http://rx1:8080', source: 'tar1090' },
+        { server: 'https://api.airplanes.live/v2/point', source: 'readsb-v2' },
+        { server: 'https://api.adsb.lol', source: 'adsblol' }
+      ]);
+    });
+
+    test('rejects a source count not matching the servers', () => {
+      const { error } = parseDdParams({
+        server: 'http://rx1:8080;http://rx2:8080',
+        source: 'tar1090',
+        rx: '51.5,-0.1,0',
+        tx: '51.6,-0.2,100',
+        fc: '204.64'
+      });
+
+      expect(error).toBe('Invalid source. Expected one source per server');
+    });
+
+    test('rejects a repeated server', () => {
+      const { error } = parseDdParams({
+        server: 'http://rx1:8080;http://rx1:8080',
+        rx: '51.5,-0.1,0',
+        tx: '51.6,-0.2,100',
+        fc: '204.64'
+      });
+
+      expect(error).toBe('Invalid server. Each server may only be given once');
+    });
+
+    test('rejects servers that normalise to the same query', () => {
+      for (const server of ['http://rx1:8080;http://rx1:8080/',
+        'http://rx1:8080;http://rx1:8080/data/aircraft.json']) {
+        const { error } = parseDdParams({
+          server: server,
+          rx: '51.5,-0.1,0',
+          tx: '51.6,-0.2,100',
+          fc: '204.64'
+        });
+
+        expect(error).toBe('Invalid server. Each server may only be given once');
+      }
+    });
+
+    test('rejects missing rx', () => {
+      const { error } = parseDdParams({
+        server: 'http://localhost:8080',
+        tx: '51.6,-0.2,100',
+        fc: '204.64'
+      });
+
+      expect(error).toBe('Invalid parameters. Required: server, rx, tx, fc');
+    });
+
+    test('rejects non-positive fc', () => {
+      const { error } = parseDdParams({
+        server: 'http://localhost:8080',
+        rx: '51.5,-0.1,0',
+        tx: '51.6,-0.2,100',
+        fc: '0'
+      });
+
+      expect(error).toBeDefined();
+    });
+
+    test('rejects malformed server URL', () => {
+      const { error } = parseDdParams({
+        server: 'not a url',
+        rx: '51.5,-0.1,0',
+        tx: '51.6,-0.2,100',
+        fc: '204.64'
+      });
+
+      expect(error).toBe('Invalid server URL format');
+    });
+
+    test('rejects non-http protocol', () => {
+      const { error } = parseDdParams({
+        server: 'ftp://localhost',
+        rx: '51.5,-0.1,0',
+        tx: '51.6,-0.2,100',
+        fc: '204.64'
+      });
+
+      expect(error).toBe('Server URL must use http, https, sbs or beast protocol');
+    });
+
+    test('accepts an SBS feed', () => {
+      const { params, error } = parseDdParams({
+        server: 'sbs://192.168.1.10:30003',
+        rx: '51.5,-0.1,0',
+        tx: '51.6,-0.2,100',
+        fc: '204.64'
+      });
+
+      expect(error).toBeUndefined();
+      expect(params.sources).toEqual([{ server: params.server, source: 'sbs' }]);
+    });
+
+    test('rejects an SBS URL with a path', () => {
+      const { error } = parseDdParams({
+        server: 'sbs://192.168.1.10:30003/feed',
+        rx: '51.5,-0.1,0',
+        tx: '51.6,-0.2,100',
+        fc: '204.64'
+      });
+
+      expect(error).toBe('Invalid SBS URL. Expected sbs://host[:port]');
+    });
+
+    test('defaults doppler_filter to median', () => {
+      const { params } = parseDdParams({
+        server: 'http://localhost:8080',
+        rx: '51.5,-0.1,0',
+        tx: '51.6,-0.2,100',
+        fc: '204.64'
+      });
+
+      expect(params.dopplerFilter).toBe('median');
+    });
+
+    test('rejects unknown doppler_filter', () => {
+      const { error } = parseDdParams({
+        server: 'http://localhost:8080',
+        rx: '51.5,-0.1,0',
+        tx: '51.6,-0.2,100',
+        fc: '204.64',
+        doppler_filter: 'lowpass'
+      });
+
+      expect(error).toMatch(/doppler_filter/);
+    });
+
+    test('detects OpenSky server', () => {
+      const { params } = parseDdParams({
+        server: 'https://opensky-network.org',
+        rx: '51.5,-0.1,0',
+        tx: '51.6,-0.2,100',
+        fc: '204.64'
+      });
+
+      expect(params.sources).toEqual([{ server: params.server, source: 'opensky' }]);
+    });
+
+    test('rejects OpenSky URL with a path', () => {
+      const { error } = parseDdParams({
+        server: 'https://opensky-network.org/api',
+        rx: '51.5,-0.1,0',
+        tx: '51.6,-0.2,100',
+        fc: '204.64'
+      });
+
+      expect(error).toBe('Invalid OpenSky URL');
+    });
+
+    test('rejects adsb.lol URL with a path', () => {
+      const { error } = parseDdParams({
+        server: 'https://api.adsb.lol/v2',
+        rx: '51.5,-0.1,0',
+        tx: '51.6,-0.2,100',
+        fc: '204.64'
+      });
+
+      expect(error).toBe('Invalid adsb.lol URL');
+    });
+
+    test('parses geometry fields', () => {
+      const query = {
+        server: 'http://localhost:8080',
+        rx: '51.5,-0.1,0',
+        tx: '51.6,-0.2,100',
+        fc: '204.64'
+      };
+
+      expect(parseDdParams(query).params.fields).toEqual([]);
+      expect(parseDdParams({ ...query, fields: 'rx_range,azimuth' }).params.fields)
+        .toEqual(['rx_range', 'azimuth']);
+      expect(parseDdParams({ ...query, fields: 'rx_range,range' }).error).toMatch(/Invalid fields/);
+      expect(parseDdParams({ ...query, fields: 'azimuth,azimuth' }).error).toMatch(/Invalid fields/);
+    });
+  });
+
+  describe('sessionKey', () => {
+    test('maps stream URL onto the /api/dd session', () => {
+      const query = '?server=http%3A%2F%2Flocalhost&rx=1,2,3&tx=4,5,6&fc=100';
+      expect(sessionKey('/api/dd/stream' + query)).toBe('/api/dd' + query);
+    });
+
+    test('leaves /api/dd URL unchanged', () => {
+      const url = '/api/dd?server=http%3A%2F%2Flocalhost&rx=1,2,3&tx=4,5,6&fc=100';
+      expect(sessionKey(url)).toBe(url);
+    });
+
+    test('drops view parameters', () => {
+      const query = '?server=http%3A%2F%2Flocalhost&rx=1,2,3&tx=4,5,6&fc=100';
+      expect(sessionKey('/api/dd/history' + query + '&from=1700000000&to=1700000060'))
+        .toBe('/api/dd' + query);
+      expect(sessionKey('/api/dd/history?from=1&server=x')).toBe('/api/dd?server=x');
+    });
+  });
+
+  describe('sessionKeyFromQuery', () => {
+    test('matches the URL generated by the web front-end', () => {
+      const key = sessionKeyFromQuery({
+        server: 'http://localhost:8080',
+        rx: '51.5,-0.1,0',
+        tx: '51.6,-0.2,100',
+        fc: '204.64'
+      });
+      expect(key).toBe('/api/dd?rx=51.5%2C-0.1%2C0&tx=51.6%2C-0.2%2C100' +
+        '&fc=204.64&server=http%3A%2F%2Flocalhost%3A8080');
+    });
+
+    test('appends optional parameters', () => {
+      const key = sessionKeyFromQuery({
+        server: 'http://localhost:8080',
+        rx: '51.5,-0.1,0',
+        tx: '51.6,-0.2,100',
+        fc: '204.64',
+        doppler_filter: 'kalman'
+      });
+      expect(key.endsWith('&doppler_filter=kalman')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,313 @@
+import {jest} from '@jest/globals';
+import {groupSessionsBySource, filterByDistance, sessionArea, SourceScheduler}
+  from '../src/node/poller.js';
+import {haversine} from '../src/node/geometry.js';
+
+const ADSB_LOL = 'https://api.adsb.lol/v2';
+const OPENSKY = 'https://opensky-network.org/api';
+
+const tar1090Session = (apiUrl) => ({ sources: [{ source: 'tar1090', apiUrl }] });
+const adsbLolSession = (midLat, midLon) =>
+  ({ sources: [{ source: 'adsblol', apiUrl: ADSB_LOL }], midLat, midLon });
+const openSkySession = (midLat, midLon) =>
+  ({ sources: [{ source: 'opensky', apiUrl: OPENSKY }], midLat, midLon });
+const readsbV2Session = (apiUrl, midLat, midLon) =>
+  ({ sources: [{ source: 'readsb-v2', apiUrl }], midLat, midLon });
+
+describe('Shared Source Poller', () => {
+  describe('haversine', () => {
+    test('one degree of latitude is about 111 km', () => {
+      expect(haversine(0, 0, 1, 0)).toBeCloseTo(111195, -1);
+    });
+
+    test('zero for identical points', () => {
+      expect(haversine(51.5, -0.1, 51.5, -0.1)).toBe(0);
+    });
+  });
+
+  describe('groupSessionsBySource', () => {
+    test('sessions on the same tar1090 share one source', () => {
+      const groups = groupSessionsBySource({
+        a: tar1090Session('http://one/data/aircraft.json'),
+        b: tar1090Session('http://two/data/aircraft.json'),
+        c: tar1090Session('http://one/data/aircraft.json')
+      }, 40);
+
+      expect(groups).toEqual([
+        { source: { type: 'tar1090', apiUrl: 'http://one/data/aircraft.json' }, keys: ['a', 'c'] },
+        { source: { type: 'tar1090', apiUrl: 'http://two/data/aircraft.json' }, keys: ['b'] }
+      ]);
+    });
+
+    test('overlapping adsb.lol circles are merged into one query', () => {
+      const groups = groupSessionsBySource({
+        a: adsbLolSession(51.5, -0.1),
+        b: adsbLolSession(51.6, -0.3)
+      }, 40);
+
+      expect(groups).toHaveLength(1);
+      expect(groups[0].keys).toEqual(['a', 'b']);
+      const { lat, lon, radius } = groups[0].source;
+      for (const [mLat, mLon] of [[51.5, -0.1], [51.6, -0.3]]) {
+        expect(haversine(lat, lon, mLat, mLon) / 1852 + 40).toBeLessThanOrEqual(radius);
+      }
+    });
+
+    test('OpenSky and adsb.lol sessions are never merged', () => {
+      const groups = groupSessionsBySource({
+        a: adsbLolSession(51.5, -0.1),
+        b: openSkySession(51.5, -0.1),
+        c: openSkySession(51.6, -0.2)
+      }, 40);
+
+      expect(groups.map(g => [g.source.type, g.keys])).toEqual([
+        ['adsblol', ['a']],
+        ['opensky', ['b', 'c']]
+      ]);
+    });
+
+    test('readsb v2 sessions on different hosts are never merged', () => {
+      const groups = groupSessionsBySource({
+        a: readsbV2Session('https://api.airplanes.live/v2/point', 51.5, -0.1),
+        b: readsbV2Session('https://opendata.adsb.fi/api/v2', 51.5, -0.1),
+        c: readsbV2Session('https://api.airplanes.live/v2/point', 51.6, -0.2)
+      }, 40);
+
+      expect(groups.map(g => [g.source.apiUrl, g.keys])).toEqual([
+        ['https://api.airplanes.live/v2/point', ['a', 'c']],
+        ['https://opendata.adsb.fi/api/v2', ['b']]
+      ]);
+    });
+
+    test('a session with several sources joins the group of each', () => {
+      const groups = groupSessionsBySource({
+        a: tar1090Session('http://one/data/aircraft.json'),
+        b: {
+          sources: [
+            { source: 'tar1090', apiUrl: 'http://one/data/aircraft.json' },
+            { source: 'tar1090', apiUrl: 'http://two/data/aircraft.json' },
+            { source: 'adsblol', apiUrl: ADSB_LOL }
+          ],
+          midLat: 51.5,
+          midLon: -0.1
+        }
+      }, 40);
+
+      expect(groups.map(g => [g.source.type, g.keys])).toEqual([
+        ['tar1090', ['a', 'b']],
+        ['tar1090', ['b']],
+        ['adsblol', ['b']]
+      ]);
+    });
+
+    test('distant adsb.lol circles are queried separately', () => {
+      const groups = groupSessionsBySource({
+        a: adsbLolSession(51.5, -0.1),
+        b: adsbLolSession(-34.9, 138.6)
+      }, 40);
+
+      expect(groups).toHaveLength(2);
+      expect(groups[0].source).toEqual(
+        { type: 'adsblol', apiUrl: ADSB_LOL, lat: 51.5, lon: -0.1, radius: 40 });
+    });
+  });
+
+  describe('sessionArea', () => {
+    test('is the circle around the rx-tx midpoint for one transmitter', () => {
+      const area = sessionArea(51.5, -0.1, [{ txLat: 51.7, txLon: 0.3 }], 40);
+
+      expect(area.lat).toBeCloseTo(51.6, 10);
+      expect(area.lon).toBeCloseTo(0.1, 10);
+      expect(area.radius).toBe(40);
+    });
+
+    test('covers the midpoint circle of every transmitter', () => {
+      const transmitters = [{ txLat: 51.5, txLon: 0.5 }, { txLat: 52.5, txLon: -0.1 }];
+      const area = sessionArea(51.5, -0.1, transmitters, 40);
+
+      expect(area.lat).toBeCloseTo(52.0, 10);
+      expect(area.lon).toBeCloseTo(0.2, 10);
+      for (const tx of transmitters) {
+        const dist = haversine(area.lat, area.lon, (51.5 + tx.txLat) / 2, (-0.1 + tx.txLon) / 2);
+        expect(dist / 1852 + 40).toBeLessThanOrEqual(area.radius);
+      }
+    });
+
+    test('sessions with their own radius are queried with it', () => {
+      const groups = groupSessionsBySource({
+        a: { ...adsbLolSession(51.5, -0.1), radius: 70 }
+      }, 40);
+
+      expect(groups[0].source.radius).toBe(70);
+    });
+  });
+
+  describe('filterByDistance', () => {
+    test('keeps aircraft inside the circle only', () => {
+      const json = {
+        now: 1700000000,
+        aircraft: [
+          { hex: 'near', lat: 51.55, lon: -0.1 },
+          { hex: 'far', lat: 53.5, lon: -0.1 },
+          { hex: 'nopos' }
+        ]
+      };
+      const result = filterByDistance(json, 51.5, -0.1, 40);
+
+      expect(result.now).toBe(1700000000);
+      expect(result.aircraft.map(a => a.hex)).toEqual(['near']);
+      expect(json.aircraft).toHaveLength(3);
+    });
+  });
+
+  describe('SourceScheduler', () => {
+    /// Fetcher whose responses are resolved by the test
+    function manualFetcher() {
+      const pending = [];
+      const fetch = (url) => new Promise((resolve, reject) => {
+        pending.push({ url, resolve, reject });
+      });
+      return { fetch, pending };
+    }
+
+    test('fetches each source once per interval', async () => {
+      const calls = { tar1090: 0, adsblol: 0 };
+      const fetchers = {
+        tar1090: async () => {
+          calls.tar1090++;
+          return { now: 1, aircraft: [] };
+        },
+        adsblol: async () => {
+          calls.adsblol++;
+          return { now: 2, aircraft: [{ hex: 'abc', lat: 51.5, lon: -0.1 }] };
+        }
+      };
+      const sessions = {};
+      for (let i = 0; i < 10; i++) {
+        sessions[`t${i}`] = tar1090Session('http://one/data/aircraft.json');
+      }
+      sessions.l1 = adsbLolSession(51.5, -0.1);
+      sessions.l2 = adsbLolSession(51.6, -0.2);
+      const snapshots = new Map();
+      const scheduler = new SourceScheduler(() => sessions,
+        (key, json) => snapshots.set(key, json), { interval: 1000, fetchers });
+
+      scheduler.tick(0);
+      scheduler.tick(500);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(calls).toEqual({ tar1090: 1, adsblol: 1 });
+      expect(snapshots.size).toBe(12);
+      expect(snapshots.get('t9').now).toBe(1);
+      expect(snapshots.get('l2').aircraft.map(a => a.hex)).toEqual(['abc']);
+
+      scheduler.tick(1000);
+      expect(calls).toEqual({ tar1090: 2, adsblol: 2 });
+    });
+
+    test('a slow source does not block other sources', async () => {
+      const { fetch, pending } = manualFetcher();
+      const sessions = {
+        slow: tar1090Session('http://slow/data/aircraft.json'),
+        fast: tar1090Session('http://fast/data/aircraft.json')
+      };
+      const updates = [];
+      const scheduler = new SourceScheduler(() => sessions, (key) => updates.push(key),
+        { interval: 1000, fetchers: { tar1090: fetch } });
+
+      scheduler.tick(0);
+      pending.find(p => p.url.includes('fast')).resolve({ now: 1, aircraft: [] });
+      await new Promise(resolve => setImmediate(resolve));
+      scheduler.tick(1000);
+
+      expect(updates).toEqual(['fast']);
+      expect(pending.filter(p => p.url.includes('slow'))).toHaveLength(1);
+      expect(pending.filter(p => p.url.includes('fast'))).toHaveLength(2);
+    });
+
+    test('uses a longer interval for source types that need one', async () => {
+      let calls = 0;
+      const sessions = { a: openSkySession(51.5, -0.1) };
+      const scheduler = new SourceScheduler(() => sessions, () => {}, {
+        interval: 1000,
+        intervals: { opensky: 10000 },
+        fetchers: { opensky: async () => { calls++; return { now: 1, aircraft: [] }; } }
+      });
+
+      scheduler.tick(0);
+      await new Promise(resolve => setImmediate(resolve));
+      scheduler.tick(1000);
+      scheduler.tick(9000);
+      expect(calls).toBe(1);
+      scheduler.tick(10000);
+      expect(calls).toBe(2);
+    });
+
+    test('uses the adapter interval and fetches the query URL', async () => {
+      const urls = [];
+      const sessions = { a: openSkySession(51.5, -0.1) };
+      const scheduler = new SourceScheduler(() => sessions, () => {}, {
+        interval: 1000,
+        fetchers: { opensky: async (url) => { urls.push(url); return { now: 1, aircraft: [] }; } }
+      });
+
+      scheduler.tick(0);
+      await new Promise(resolve => setImmediate(resolve));
+      scheduler.tick(9000);
+
+      expect(urls).toHaveLength(1);
+      expect(urls[0]).toMatch(/^https:\/\/opensky-network\.org\/api\/states\/all\?lamin=/);
+      expect(scheduler.status()[0].id).toBe(urls[0]);
+    });
+
+    test('limits the number of concurrent fetches', () => {
+      const { fetch, pending } = manualFetcher();
+      const sessions = {
+        a: tar1090Session('http://a/data/aircraft.json'),
+        b: tar1090Session('http://b/data/aircraft.json'),
+        c: tar1090Session('http://c/data/aircraft.json')
+      };
+      const scheduler = new SourceScheduler(() => sessions, () => {},
+        { maxConcurrent: 2, fetchers: { tar1090: fetch } });
+
+      scheduler.tick(0);
+
+      expect(pending).toHaveLength(2);
+      expect(scheduler.status().filter(s => s.inFlight)).toHaveLength(2);
+    });
+
+    test('tracks latency and errors per source', async () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const sessions = { a: tar1090Session('http://a/data/aircraft.json') };
+      const snapshots = [];
+      const scheduler = new SourceScheduler(() => sessions, (key, json) => snapshots.push(json), {
+        fetchers: { tar1090: async () => { throw new Error('Failed to fetch data. Status: 502'); } }
+      });
+
+      scheduler.tick(0);
+      await new Promise(resolve => setImmediate(resolve));
+      const [status] = scheduler.status();
+      errorSpy.mockRestore();
+
+      expect(status.id).toBe('http://a/data/aircraft.json');
+      expect(status.sessions).toEqual(['a']);
+      expect(status.errors).toBe(1);
+      expect(status.lastError).toBe('Failed to fetch data. Status: 502');
+      expect(status.latency).toBeGreaterThanOrEqual(0);
+      expect(snapshots.at(-1).aircraft).toEqual([]);
+    });
+
+    test('forgets sources with no sessions left', async () => {
+      const sessions = { a: tar1090Session('http://a/data/aircraft.json') };
+      const scheduler = new SourceScheduler(() => sessions, () => {},
+        { fetchers: { tar1090: async () => ({ now: 1, aircraft: [] }) } });
+
+      scheduler.tick(0);
+      delete sessions.a;
+      await new Promise(resolve => setImmediate(resolve));
+      scheduler.tick(1000);
+
+      expect(scheduler.status()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+import {bistaticSnr, detectionProbability, erfc, db2lin, lin2db} from '../src/node/radar.js';
+
+describe('Bistatic Radar Equation', () => {
+  const radar = { erp: 10000, rx_gain: 0, noise_figure: 5, bandwidth: 1536000,
+    integration_time: 0.5 };
+
+  test('converts between dB and linear', () => {
+    expect(db2lin(20)).toBeCloseTo(100, 9);
+    expect(lin2db(1000)).toBeCloseTo(30, 9);
+  });
+
+  test('erfc matches known values', () => {
+    expect(erfc(0)).toBeCloseTo(1, 7);
+    expect(erfc(0.5)).toBeCloseTo(0.4795001222, 6);
+    expect(erfc(-1)).toBeCloseTo(1.8427007929, 6);
+    expect(erfc(3)).toBeCloseTo(2.209049699858544e-5, 9);
+  });
+
+  test('SNR falls 40 dB per decade of both ranges', () => {
+    const near = bistaticSnr(radar, 10, 10000, 10000, 204.64);
+    const far = bistaticSnr(radar, 10, 100000, 100000, 204.64);
+    const rxFar = bistaticSnr(radar, 10, 100000, 10000, 204.64);
+
+    expect(near - far).toBeCloseTo(40, 9);
+    expect(near - rxFar).toBeCloseTo(20, 9);
+  });
+
+  test('SNR scales with ERP, RCS and integration time but not bandwidth', () => {
+    const base = bistaticSnr(radar, 10, 50000, 50000, 204.64);
+
+    expect(base).toBeCloseTo(28.35, 1);
+    expect(bistaticSnr({ ...radar, erp: 100000 }, 10, 50000, 50000, 204.64) - base).toBeCloseTo(10, 9);
+    expect(bistaticSnr(radar, 1, 50000, 50000, 204.64) - base).toBeCloseTo(-10, 9);
+    expect(bistaticSnr({ ...radar, integration_time: 1 }, 10, 50000, 50000, 204.64) - base)
+      .toBeCloseTo(3.0103, 3);
+    expect(bistaticSnr({ ...radar, noise_figure: 8 }, 10, 50000, 50000, 204.64) - base)
+      .toBeCloseTo(-3, 9);
+    expect(bistaticSnr({ ...radar, bandwidth: 200000 }, 10, 50000, 50000, 204.64))
+      .toBeCloseTo(base, 9);
+  });
+
+  test('detection probability follows the SNR and threshold', () => {
+    // Pfa = 1e-6 needs about 13.2 dB for Pd = 0.9 on a steady target
+    const threshold = lin2db(Math.log(1e6));
+
+    expect(detectionProbability(13.2, threshold)).toBeCloseTo(0.9, 2);
+    expect(detectionProbability(25, threshold)).toBeCloseTo(1, 6);
+    expect(detectionProbability(0, threshold)).toBeLessThan(0.01);
+    expect(detectionProbability(13.2, threshold + 3)).toBeLessThan(0.9);
+  });
+});
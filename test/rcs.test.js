@@ -0,0 +1,84 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {CATEGORY_RCS, loadAircraftDb, aircraftDb, aircraftRcs,
+  rcsFluctuation} from '../src/node/rcs.js';
+import {SyntheticRNG} from '../src/node/synthetic.js';
+
+describe('Aircraft RCS', () => {
+  let dir;
+  let file;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'adsb2dd-rcs-'));
+    file = path.join(dir, 'aircraft.json');
+    fs.writeFileSync(file, JSON.stringify({
+      '7C6B2D': { type: 'B738', category: 'A3' },
+      'abc123': { rcs: 2.5 }
+    }));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('looks up RCS by ADS-B category', () => {
+    expect(aircraftRcs({ hex: 'aaaaaa', category: 'A1' }, {}, 10)).toBe(CATEGORY_RCS.A1);
+    expect(aircraftRcs({ hex: 'aaaaaa', category: 'A5' }, {}, 10)).toBe(CATEGORY_RCS.A5);
+    expect(CATEGORY_RCS.A5).toBeGreaterThan(CATEGORY_RCS.A1);
+  });
+
+  test('falls back to the default RCS', () => {
+    expect(aircraftRcs({ hex: 'aaaaaa' }, {}, 10)).toBe(10);
+    expect(aircraftRcs({ hex: 'aaaaaa', category: 'B2' }, {}, 7)).toBe(7);
+  });
+
+  test('database entries take precedence over ADS-B', () => {
+    const db = loadAircraftDb(file);
+
+    expect(Object.keys(db)).toEqual(['7c6b2d', 'abc123']);
+    expect(aircraftRcs({ hex: '7c6b2d', category: 'A1' }, db, 10)).toBe(CATEGORY_RCS.A3);
+    expect(aircraftRcs({ hex: 'ABC123', category: 'A5' }, db, 10)).toBe(2.5);
+  });
+
+  test('rejects a database that is not keyed by hex', () => {
+    const bad = path.join(dir, 'bad.json');
+    fs.writeFileSync(bad, '[]');
+    expect(() => loadAircraftDb(bad)).toThrow(/keyed by hex/);
+  });
+
+  test('database is loaded from the environment', () => {
+    const previous = process.env.AIRCRAFT_DB;
+    process.env.AIRCRAFT_DB = file;
+    expect(aircraftDb()['abc123']).toEqual({ rcs: 2.5 });
+    delete process.env.AIRCRAFT_DB;
+    expect(aircraftDb()).toEqual({});
+    if (previous !== undefined) {
+      process.env.AIRCRAFT_DB = previous;
+    }
+  });
+
+  test('Swerling fluctuations have unit mean and the expected spread', () => {
+    const rng = new SyntheticRNG(11);
+    const n = 20000;
+    const stats = (swerling) => {
+      let sum = 0;
+      let sumSq = 0;
+      for (let i = 0; i < n; i++) {
+        const x = rcsFluctuation(swerling, rng);
+        sum += x;
+        sumSq += x * x;
+      }
+      const mean = sum / n;
+      return { mean, variance: sumSq / n - mean * mean };
+    };
+
+    expect(rcsFluctuation(0, rng)).toBe(1);
+    const one = stats(1);
+    const three = stats(3);
+    expect(one.mean).toBeCloseTo(1, 1);
+    expect(one.variance).toBeCloseTo(1, 1);
+    expect(three.mean).toBeCloseTo(1, 1);
+    expect(three.variance).toBeCloseTo(0.5, 1);
+  });
+});
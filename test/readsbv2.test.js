@@ -0,0 +1,101 @@
+import http from 'http';
+import {readsbV2Url, normalizeReadsbV2, fetchReadsbV2, readsbV2Headers} from '../src/node/readsbv2.js';
+
+describe('readsb v2 Input Source', () => {
+  describe('readsbV2Url', () => {
+    test('lat/lon/dist form by default', () => {
+      expect(readsbV2Url('https://api.adsb.lol/v2', 51.5, -0.1, 40))
+        .toBe('https://api.adsb.lol/v2/lat/51.5/lon/-0.1/dist/40');
+      expect(readsbV2Url('https://opendata.adsb.fi/api/v2/', 51.5, -0.1, 40))
+        .toBe('https://opendata.adsb.fi/api/v2/lat/51.5/lon/-0.1/dist/40');
+    });
+
+    test('point form for a base URL ending in /point', () => {
+      expect(readsbV2Url('https://api.airplanes.live/v2/point', 51.5, -0.1, 40))
+        .toBe('https://api.airplanes.live/v2/point/51.5/-0.1/40');
+    });
+  });
+
+  describe('normalizeReadsbV2', () => {
+    test('converts to tar1090 format with the timestamp in seconds', () => {
+      const now = Date.now();
+      const json = normalizeReadsbV2({ now: now, total: 1, ac: [{ hex: 'abc123' }] });
+
+      expect(json).toEqual({ now: now / 1000, messages: 1, aircraft: [{ hex: 'abc123' }] });
+    });
+
+    test('rejects a missing or implausible timestamp', () => {
+      expect(() => normalizeReadsbV2({ ac: [] })).toThrow(/"now"/);
+      expect(() => normalizeReadsbV2({ now: 1000, ac: [] })).toThrow(/range/);
+    });
+  });
+
+  describe('stand-in server', () => {
+    let server;
+    let baseUrl;
+    let lastRequest;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        lastRequest = req;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ now: Date.now(), total: 7, ac: [{ hex: '4b1814' }] }));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}/v2/point`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    const withEnv = async (env, callback) => {
+      const previous = {};
+      for (const name of Object.keys(env)) {
+        previous[name] = process.env[name];
+        process.env[name] = env[name];
+      }
+      try {
+        return await callback();
+      } finally {
+        for (const name of Object.keys(env)) {
+          if (previous[name] === undefined) {
+            delete process.env[name];
+          } else {
+            process.env[name] = previous[name];
+          }
+        }
+      }
+    };
+
+    test('fetches a circle query and sends the API key to the configured host', async () => {
+      const host = new URL(baseUrl).host;
+      const json = await withEnv({ READSB_V2_API_KEY: 'secret', READSB_V2_API_HOST: host },
+        () => fetchReadsbV2(readsbV2Url(baseUrl, 47.5, 8.5, 40)));
+
+      expect(lastRequest.url).toBe('/v2/point/47.5/8.5/40');
+      expect(lastRequest.headers['api-auth']).toBe('secret');
+      expect(json.messages).toBe(7);
+      expect(json.aircraft[0].hex).toBe('4b1814');
+    });
+
+    test('does not send the API key to any other host', async () => {
+      await withEnv({ READSB_V2_API_KEY: 'secret', READSB_V2_API_HOST: 'adsbexchange.com' },
+        () => fetchReadsbV2(readsbV2Url(baseUrl, 47.5, 8.5, 40)));
+      expect(lastRequest.headers['api-auth']).toBeUndefined();
+
+      await withEnv({ READSB_V2_API_KEY: 'secret' },
+        () => fetchReadsbV2(readsbV2Url(baseUrl, 47.5, 8.5, 40)));
+      expect(lastRequest.headers['api-auth']).toBeUndefined();
+    });
+
+    test('readsbV2Headers matches the host including the port', async () => {
+      await withEnv({ READSB_V2_API_KEY: 'secret', READSB_V2_API_HOST: 'adsbexchange.com' }, () => {
+        expect(readsbV2Headers('https://adsbexchange.com/api/aircraft/v2/lat/1/lon/2/dist/3'))
+          .toEqual({ 'api-auth': 'secret' });
+        expect(readsbV2Headers('https://adsbexchange.com:8443/v2/lat/1/lon/2/dist/3')).toEqual({});
+        expect(readsbV2Headers('https://adsbexchange.com.evil/v2/lat/1/lon/2/dist/3')).toEqual({});
+      });
+    });
+  });
+});
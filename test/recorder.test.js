@@ -0,0 +1,84 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {SessionRecorder, recordDir, recordLimits, RECORD_MAX_BYTES,
+        RECORD_MAX_FILES, RECORD_MAX_DURATION} from '../src/node/recorder.js';
+
+/// Read the NDJSON records of a file
+const readRecords = (file) => fs.readFileSync(file, 'utf8').trim().split('\n').map(JSON.parse);
+
+describe('Session Recorder', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'adsb2dd-record-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writes a header and one record per line', () => {
+    const recorder = new SessionRecorder(dir, '/api/dd?rx=1,2,3');
+    recorder.write({ type: 'snapshot', json: { now: 1, aircraft: [] } });
+    recorder.write({ type: 'out', now: 1, out: {} });
+    recorder.close();
+
+    const status = recorder.status();
+    expect(status.records).toBe(2);
+    expect(status.files).toHaveLength(1);
+    expect(path.basename(status.file)).toMatch(/^session_[0-9a-f]{12}_\d+_0000\.ndjson$/);
+    expect(readRecords(status.file).map(r => r.type)).toEqual(['session', 'snapshot', 'out']);
+    expect(readRecords(status.file)[0].key).toBe('/api/dd?rx=1,2,3');
+  });
+
+  test('rotates files and keeps at most maxFiles', () => {
+    const recorder = new SessionRecorder(dir, 'key', { maxBytes: 200, maxFiles: 2 });
+    for (let i = 0; i < 10; i++) {
+      recorder.write({ type: 'out', now: i, out: { abc123: { delay: 'x'.repeat(60) } } });
+    }
+    recorder.close();
+
+    const { files } = recorder.status();
+    expect(files).toHaveLength(2);
+    expect(fs.readdirSync(dir).sort()).toEqual(files.map(f => path.basename(f)).sort());
+    for (const file of files) {
+      expect(fs.statSync(file).size).toBeLessThanOrEqual(200);
+      expect(readRecords(file)[0].type).toBe('session');
+    }
+    expect(readRecords(files[1]).at(-1).now).toBe(9);
+  });
+
+  test('expires after the maximum duration', () => {
+    const recorder = new SessionRecorder(dir, 'key', { maxDuration: 60 });
+
+    expect(recorder.expired(recorder.started + 59)).toBe(false);
+    expect(recorder.expired(recorder.started + 60)).toBe(true);
+    expect(recorder.status().expires).toBe(recorder.started + 60);
+  });
+
+  test('limits can be set from the environment', () => {
+    expect(recordLimits()).toEqual({ maxBytes: RECORD_MAX_BYTES,
+      maxFiles: RECORD_MAX_FILES, maxDuration: RECORD_MAX_DURATION });
+
+    process.env.RECORD_LIMIT_BYTES = '1000';
+    process.env.RECORD_LIMIT_FILES = 'many';
+    process.env.RECORD_LIMIT_DURATION = '30';
+    expect(recordLimits()).toEqual({ maxBytes: 1000, maxFiles: RECORD_MAX_FILES,
+      maxDuration: 30 });
+    delete process.env.RECORD_LIMIT_BYTES;
+    delete process.env.RECORD_LIMIT_FILES;
+    delete process.env.RECORD_LIMIT_DURATION;
+  });
+
+  test('directory can be set from the environment', () => {
+    const previous = process.env.RECORD_DIR;
+    process.env.RECORD_DIR = dir;
+    expect(recordDir()).toBe(dir);
+    delete process.env.RECORD_DIR;
+    expect(recordDir()).toBe('./recordings');
+    if (previous !== undefined) {
+      process.env.RECORD_DIR = previous;
+    }
+  });
+});
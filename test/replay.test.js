@@ -0,0 +1,97 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {listSnapshots, SnapshotReplay, createReplayServer} from '../src/node/replay.js';
+
+describe('Snapshot Replay', () => {
+  let dir;
+  let snapshots;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'adsb2dd-replay-'));
+    for (const [time, hex] of [[1700000002000, 'bbb'], [1700000000000, 'aaa'], [1700000004000, 'ccc']]) {
+      fs.writeFileSync(path.join(dir, `aircraft_${time}.json`), JSON.stringify({
+        now: time / 1000,
+        messages: 1,
+        aircraft: [{ hex: hex, seen_pos: 0.5 }]
+      }));
+    }
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a snapshot');
+    snapshots = listSnapshots(dir);
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('lists snapshots sorted by capture time', () => {
+    expect(snapshots.map(s => s.time)).toEqual([1700000000000, 1700000002000, 1700000004000]);
+  });
+
+  test('advances in real time and holds the last snapshot', () => {
+    const replay = new SnapshotReplay(snapshots, {}, 0);
+
+    expect(replay.index(1999)).toBe(0);
+    expect(replay.index(2000)).toBe(1);
+    expect(replay.index(60000)).toBe(2);
+    expect(replay.status(60000).offset).toBe(4);
+  });
+
+  test('scales with the replay speed', () => {
+    const replay = new SnapshotReplay(snapshots, { speed: 2 }, 0);
+
+    expect(replay.index(1000)).toBe(1);
+    replay.setSpeed(0.5, 1000);
+    expect(replay.index(4999)).toBe(1);
+    expect(replay.index(5000)).toBe(2);
+  });
+
+  test('loops back to the first snapshot', () => {
+    const replay = new SnapshotReplay(snapshots, { loop: true }, 0);
+
+    expect(replay.index(5000)).toBe(2);
+    expect(replay.index(6000)).toBe(0);
+    expect(replay.index(8500)).toBe(1);
+  });
+
+  test('seeks within the recording', () => {
+    const replay = new SnapshotReplay(snapshots, { start: 2 }, 0);
+    expect(replay.index(0)).toBe(1);
+
+    replay.seek(0, 1000);
+    expect(replay.index(1000)).toBe(0);
+    replay.seek(99, 1000);
+    expect(replay.status(1000).offset).toBe(4);
+  });
+
+  test('moves the snapshot time to the wall clock', () => {
+    const replay = new SnapshotReplay(snapshots, {}, 1800000000000);
+    const first = replay.snapshot(1800000000500);
+    const again = replay.snapshot(1800000001500);
+    const next = replay.snapshot(1800000002500);
+
+    expect(first.now).toBe(1800000000);
+    expect(again.now).toBe(1800000000);
+    expect(next.now).toBe(1800000002);
+    expect(next.aircraft[0]).toEqual({ hex: 'bbb', seen_pos: 0.5 });
+  });
+
+  test('serves aircraft.json and seek over HTTP', async () => {
+    const server = createReplayServer(new SnapshotReplay(snapshots));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      const seek = await fetch(`${base}/replay/seek?t=4`).then(r => r.json());
+      const json = await fetch(`${base}/data/aircraft.json`).then(r => r.json());
+      const invalid = await fetch(`${base}/replay/speed?x=-1`);
+
+      expect(seek.index).toBe(2);
+      expect(json.aircraft[0].hex).toBe('ccc');
+      expect(json.now).toBeCloseTo(Date.now() / 1000, 0);
+      expect(invalid.status).toBe(400);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,153 @@
+import net from 'net';
+import {jest} from '@jest/globals';
+import {parseSbsUrl, parseSbsLine, SbsState, SBS_MAX_LINE, checkSbs, fetchSbs} from '../src/node/sbs.js';
+import {closeAllFeeds, closeIdleFeeds} from '../src/node/tcpfeed.js';
+
+const MSG1 = 'MSG,1,1,1,4CA2D6,1,2024/01/15,12:00:00.000,2024/01/15,12:00:00.000,RYR4TC,,,,,,,,,,,0';
+const MSG3 = 'MSG,3,1,1,4CA2D6,1,2024/01/15,12:00:01.000,2024/01/15,12:00:01.000,,35000,,,51.51234,-0.12345,,,0,0,0,0';
+const MSG4 = 'MSG,4,1,1,4CA2D6,1,2024/01/15,12:00:02.000,2024/01/15,12:00:02.000,,,450,90.5,,,-64,,,,,0';
+
+describe('SBS-1 BaseStation Source', () => {
+  describe('parseSbsUrl', () => {
+    test('parses host and port', () => {
+      expect(parseSbsUrl('sbs://192.168.1.10:30103')).toEqual({ host: '192.168.1.10', port: 30103 });
+    });
+
+    test('defaults to port 30003', () => {
+      expect(parseSbsUrl('sbs://receiver.local')).toEqual({ host: 'receiver.local', port: 30003 });
+    });
+
+    test('rejects other protocols and paths', () => {
+      expect(parseSbsUrl('http://receiver.local')).toBeNull();
+      expect(parseSbsUrl('sbs://receiver.local/data')).toBeNull();
+      expect(parseSbsUrl('not a url')).toBeNull();
+    });
+  });
+
+  describe('parseSbsLine', () => {
+    test('identification message gives callsign', () => {
+      expect(parseSbsLine(MSG1)).toEqual({ type: 1, hex: '4ca2d6', flight: 'RYR4TC' });
+    });
+
+    test('position message gives altitude and position', () => {
+      expect(parseSbsLine(MSG3 + '\r')).toEqual({
+        type: 3, hex: '4ca2d6', altitude: 35000, lat: 51.51234, lon: -0.12345
+      });
+    });
+
+    test('velocity message gives speed, track and vertical rate', () => {
+      expect(parseSbsLine(MSG4)).toEqual({
+        type: 4, hex: '4ca2d6', gs: 450, track: 90.5, vertRate: -64
+      });
+    });
+
+    test('ignores other message types and malformed lines', () => {
+      expect(parseSbsLine(MSG1.replace('MSG,1', 'MSG,8'))).toBeNull();
+      expect(parseSbsLine('STA,,1,1,4CA2D6,1,,,,,,,')).toBeNull();
+      expect(parseSbsLine('MSG,3,1,1')).toBeNull();
+      expect(parseSbsLine('')).toBeNull();
+    });
+  });
+
+  describe('SbsState', () => {
+    test('assembles a tar1090-style aircraft from MSG 1, 3 and 4', () => {
+      const state = new SbsState();
+      state.update(parseSbsLine(MSG1), 1000);
+      state.update(parseSbsLine(MSG3), 1001);
+      state.update(parseSbsLine(MSG4), 1002);
+
+      const snapshot = state.snapshot(1003);
+
+      expect(snapshot.now).toBe(1003);
+      expect(snapshot.messages).toBe(3);
+      expect(snapshot.aircraft).toEqual([{
+        hex: '4ca2d6', seen: 1, flight: 'RYR4TC',
+        alt_baro: 35000, alt_geom: 35000, lat: 51.51234, lon: -0.12345, seen_pos: 2,
+        gs: 450, track: 90.5, baro_rate: -64, geom_rate: -64
+      }]);
+    });
+
+    test('drops aircraft that are no longer heard', () => {
+      const state = new SbsState();
+      state.update(parseSbsLine(MSG3), 1000);
+
+      expect(state.snapshot(1030).aircraft).toHaveLength(1);
+      expect(state.snapshot(1061).aircraft).toHaveLength(0);
+    });
+
+    test('does not buffer a feed that never ends its line', () => {
+      const state = new SbsState();
+      state.receive(Buffer.from(MSG1.slice(0, 20)), 1000);
+      expect(state.buffer).toBe(MSG1.slice(0, 20));
+
+      for (let i = 0; i < 100; i++) {
+        state.receive(Buffer.alloc(10000, 'x'), 1000);
+        expect(state.buffer.length).toBeLessThanOrEqual(SBS_MAX_LINE);
+      }
+
+      // the rest of the dropped line is ignored and the feed recovers
+      state.receive(Buffer.from('xxx\r\n' + MSG3 + '\r\n'), 1001);
+      expect(state.snapshot(1001).aircraft.map(a => a.hex)).toEqual(['4ca2d6']);
+    });
+  });
+
+  describe('TCP feed', () => {
+    let server;
+    let port;
+
+    beforeAll(async () => {
+      server = net.createServer((socket) => {
+        socket.on('error', () => {});
+        // Split a line across writes to exercise reassembly
+        socket.write(MSG1 + '\r\n' + MSG3.slice(0, 20));
+        setTimeout(() => socket.write(MSG3.slice(20) + '\r\n' + MSG4 + '\r\n'), 20);
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      port = server.address().port;
+    });
+
+    afterAll(async () => {
+      closeAllFeeds();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('connects and reports aircraft from the stream', async () => {
+      const url = `sbs://127.0.0.1:${port}`;
+      expect(await checkSbs(url)).toBe(true);
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      const json = await fetchSbs(url);
+
+      expect(json.aircraft).toHaveLength(1);
+      expect(json.aircraft[0].flight).toBe('RYR4TC');
+      expect(json.aircraft[0].lat).toBe(51.51234);
+      expect(json.aircraft[0].gs).toBe(450);
+    });
+
+    test('idle feeds are closed', async () => {
+      const url = `sbs://127.0.0.1:${port}`;
+      expect(await checkSbs(url)).toBe(true);
+
+      closeIdleFeeds(Date.now() / 1000 + 30);
+      await expect(fetchSbs(url)).resolves.toHaveProperty('aircraft');
+
+      closeIdleFeeds(Date.now() / 1000 + 61);
+      await expect(fetchSbs(url)).rejects.toThrow(/Not connected/);
+    });
+
+    test('fetch throws when the feed is unreachable', async () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const closed = net.createServer();
+      await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+      const closedPort = closed.address().port;
+      await new Promise(resolve => closed.close(resolve));
+
+      const url = `sbs://127.0.0.1:${closedPort}`;
+      const isValid = await checkSbs(url);
+      await expect(fetchSbs(url)).rejects.toThrow(/Not connected/);
+      errorSpy.mockRestore();
+
+      expect(isValid).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import {registerSource, getSource, sourceNames, sourceUrl, resolveSource} from '../src/node/sources.js';
+
+describe('Source Registry', () => {
+  describe('resolveSource', () => {
+    test('detects the source from the server URL', () => {
+      expect(resolveSource('http://localhost:8080')).toEqual({ source: 'tar1090' });
+      expect(resolveSource('https://api.adsb.lol')).toEqual({ source: 'adsblol' });
+      expect(resolveSource('https://opensky-network.org')).toEqual({ source: 'opensky' });
+      expect(resolveSource('sbs://10.0.0.2')).toEqual({ source: 'sbs' });
+      expect(resolveSource('beast://10.0.0.2:30005')).toEqual({ source: 'beast' });
+    });
+
+    test('uses an explicit source', () => {
+      expect(resolveSource('https://api.airplanes.live/v2/point', 'readsb-v2'))
+        .toEqual({ source: 'readsb-v2' });
+      expect(resolveSource('https://api.adsb.lol/v2', 'readsb-v2'))
+        .toEqual({ source: 'readsb-v2' });
+    });
+
+    test('rejects an unknown source', () => {
+      expect(resolveSource('http://localhost:8080', 'dump978').error)
+        .toMatch(/^Invalid source. Expected one of: .*readsb-v2/);
+    });
+
+    test('applies the validation of the selected adapter', () => {
+      expect(resolveSource('sbs://10.0.0.2', 'readsb-v2').error)
+        .toBe('Invalid readsb-v2 URL. Expected http(s)://host/path/to/v2');
+      expect(resolveSource('https://api.adsb.lol/v2').error).toBe('Invalid adsb.lol URL');
+      expect(resolveSource('ftp://localhost').error)
+        .toBe('Server URL must use http, https, sbs or beast protocol');
+      expect(resolveSource('not a url').error).toBe('Invalid server URL format');
+    });
+  });
+
+  describe('sourceUrl', () => {
+    test('area sources build a circle query', () => {
+      const apiUrl = getSource('adsblol').apiUrl('https://api.adsb.lol');
+      expect(sourceUrl('adsblol', apiUrl, 51.5, -0.1, 40))
+        .toBe('https://api.adsb.lol/v2/lat/51.5/lon/-0.1/dist/40');
+    });
+
+    test('URL sources are fetched as is', () => {
+      const apiUrl = getSource('tar1090').apiUrl('http://localhost:8080');
+      expect(sourceUrl('tar1090', apiUrl)).toBe('http://localhost:8080/data/aircraft.json');
+    });
+  });
+
+  describe('registerSource', () => {
+    test('a new adapter is selectable and detected by protocol', async () => {
+      registerSource('test-feed', {
+        area: false,
+        detect: (serverUrl) => serverUrl.protocol === 'test:',
+        validate: () => null,
+        apiUrl: (server) => server,
+        fetch: async () => ({ now: 1, messages: 0, aircraft: [] }),
+        check: async () => true
+      });
+
+      expect(sourceNames()).toContain('test-feed');
+      expect(resolveSource('test://feed')).toEqual({ source: 'test-feed' });
+      expect(await getSource('test-feed').fetch('test://feed')).toEqual(
+        { now: 1, messages: 0, aircraft: [] });
+    });
+  });
+});
@@ -4,6 +4,11 @@ import {
   parseSyntheticConfig,
   validateSyntheticConfig,
   generateSyntheticFrame,
+  streamSyntheticDataset,
+  emptyFrame,
+  generateClutter,
+  resolutionCell,
+  mergeDetections,
   convertToFrameFormat,
   generateMach5Trajectory,
   trajectoryToDelayDoppler
@@ -140,6 +145,53 @@ describe('Synthetic Detection Generation', () => {
       const config = parseSyntheticConfig({seed: 'test-seed-123'});
       expect(config.seed).toBe('test-seed-123');
     });
+
+    test('parses radar model parameters', () => {
+      const config = parseSyntheticConfig({
+        snr_model: 'radar',
+        erp: '5000',
+        noise_figure: '3',
+        bandwidth: '200000',
+        integration_time: '1',
+        rcs: '20',
+        threshold: '12'
+      });
+      expect(config.snr_model).toBe('radar');
+      expect(config.erp).toBe(5000);
+      expect(config.noise_figure).toBe(3);
+      expect(config.bandwidth).toBe(200000);
+      expect(config.integration_time).toBe(1);
+      expect(config.rcs).toBe(20);
+      expect(config.threshold).toBe(12);
+      expect(config.rx_gain).toBe(DEFAULT_SYNTHETIC_CONFIG.rx_gain);
+    });
+
+    test('parses clutter parameters', () => {
+      const config = parseSyntheticConfig({
+        ridge_rate: '3',
+        ridge_delay: '10',
+        range_clutter_rate: '2',
+        direct_prob: '0.5',
+        clutter_points: '12.5,40;80,-3'
+      });
+      expect(config.ridge_rate).toBe(3);
+      expect(config.ridge_delay).toBe(10);
+      expect(config.range_clutter_rate).toBe(2);
+      expect(config.direct_prob).toBe(0.5);
+      expect(config.clutter_points).toEqual([{delay: 12.5, doppler: 40}, {delay: 80, doppler: -3}]);
+      expect(parseSyntheticConfig({clutter_points: ''}).clutter_points).toEqual([]);
+      expect(parseSyntheticConfig({clutter_points: '1,2,3'}).clutter_points).toBeNull();
+      expect(parseSyntheticConfig({clutter_points: '1,'}).clutter_points).toBeNull();
+      expect(parseSyntheticConfig({clutter_points: '1,2; ,3'}).clutter_points).toBeNull();
+      expect(parseSyntheticConfig({clutter_points: ['1,2', '3,4']}).clutter_points).toBeNull();
+    });
+
+    test('parses RCS model and Swerling case', () => {
+      const config = parseSyntheticConfig({rcs_model: 'category', swerling: '3'});
+      expect(config.rcs_model).toBe('category');
+      expect(config.swerling).toBe(3);
+      expect(DEFAULT_SYNTHETIC_CONFIG.swerling).toBe(0);
+    });
   });
 
   describe('Configuration validation', () => {
@@ -228,6 +280,41 @@ describe('Synthetic Detection Generation', () => {
       expect(result.valid).toBe(false);
       expect(result.errors.length).toBeGreaterThanOrEqual(3);
     });
+
+    test('rejects invalid radar model parameters', () => {
+      const config = {
+        ...DEFAULT_SYNTHETIC_CONFIG,
+        snr_model: 'swerling',
+        erp: 0,
+        bandwidth: -1,
+        integration_time: 0,
+        rcs: 0
+      };
+      const result = validateSyntheticConfig(config);
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('snr_model must be one of: uniform, radar');
+      expect(result.errors).toContain('erp must be positive');
+      expect(result.errors).toContain('bandwidth must be positive');
+      expect(result.errors).toContain('integration_time must be positive');
+      expect(result.errors).toContain('rcs must be positive');
+    });
+
+    test('rejects invalid clutter parameters', () => {
+      const config = {...DEFAULT_SYNTHETIC_CONFIG, ridge_rate: -1, ridge_delay: 0,
+        direct_prob: 1.5, clutter_points: null};
+      const result = validateSyntheticConfig(config);
+      expect(result.errors).toContain('ridge_rate and range_clutter_rate must be non-negative');
+      expect(result.errors).toContain('ridge_delay and range_clutter_scale must be positive');
+      expect(result.errors).toContain('direct_prob and point_prob must be in [0, 1]');
+      expect(result.errors).toContain('clutter_points must be delay,doppler pairs separated by ;');
+    });
+
+    test('rejects unknown RCS model and Swerling case', () => {
+      const config = {...DEFAULT_SYNTHETIC_CONFIG, rcs_model: 'type', swerling: 2};
+      const result = validateSyntheticConfig(config);
+      expect(result.errors).toContain('rcs_model must be one of: fixed, category');
+      expect(result.errors).toContain('swerling must be one of: 0, 1, 3');
+    });
   });
 
   describe('Frame generation', () => {
@@ -395,6 +482,266 @@ describe('Synthetic Detection Generation', () => {
         flight: 'UAL123'
       });
     });
+
+    test('radar model detects by SNR and reports it', () => {
+      const aircraftDict = {
+        'strong': { delay: 50.0, doppler: 10.0, snr: 30, flight: 'STRONG' },
+        'weak': { delay: 300.0, doppler: -10.0, snr: -10, flight: 'WEAK' }
+      };
+
+      const config = {...DEFAULT_SYNTHETIC_CONFIG, snr_model: 'radar', detection_prob: 0,
+        false_alarm_rate: 0};
+      const rng = new SyntheticRNG(42);
+      let strong = 0;
+      let weak = 0;
+      for (let i = 0; i < 100; i++) {
+        const frame = generateSyntheticFrame(aircraftDict, Date.now(), config, rng);
+        strong += frame.adsb.filter(a => a.hex === 'strong').length;
+        weak += frame.adsb.filter(a => a.hex === 'weak').length;
+        frame.adsb.forEach((a, j) => expect(frame.snr[j]).toBe(aircraftDict[a.hex].snr));
+      }
+
+      expect(strong).toBe(100);
+      expect(weak).toBe(0);
+    });
+
+    test('Swerling I fluctuation varies the SNR and causes fades', () => {
+      const aircraftDict = {
+        'abc123': { delay: 50.0, doppler: 10.0, snr: 20, flight: 'UAL123' }
+      };
+
+      const config = {...DEFAULT_SYNTHETIC_CONFIG, snr_model: 'radar', swerling: 1,
+        false_alarm_rate: 0};
+      const rng = new SyntheticRNG(42);
+      const snrs = [];
+      for (let i = 0; i < 200; i++) {
+        snrs.push(...generateSyntheticFrame(aircraftDict, Date.now(), config, rng).snr);
+      }
+
+      expect(snrs.length).toBeLessThan(200);
+      expect(snrs.length).toBeGreaterThan(150);
+      expect(new Set(snrs).size).toBe(snrs.length);
+      expect(Math.max(...snrs)).toBeGreaterThan(21);
+    });
+  });
+
+  describe('Clutter generation', () => {
+    const noClutter = {...DEFAULT_SYNTHETIC_CONFIG, false_alarm_rate: 0};
+
+    /// Clutter of several frames
+    const generateFrames = (config, nFrames) => {
+      const rng = new SyntheticRNG(9);
+      return Array.from({length: nFrames}, () => generateClutter(config, rng)).flat();
+    };
+
+    test('labels aircraft and false alarms in the frame', () => {
+      const aircraftDict = { 'abc123': { delay: 100.0, doppler: 50.0, flight: 'UAL123' } };
+      const config = {...DEFAULT_SYNTHETIC_CONFIG, detection_prob: 1.0, false_alarm_rate: 5};
+      const frame = generateSyntheticFrame(aircraftDict, Date.now(), config, new SyntheticRNG(3));
+
+      expect(frame.clutter.length).toBe(frame.adsb.length);
+      expect(frame.clutter[0]).toBeNull();
+      frame.adsb.slice(1).forEach((a, i) => {
+        expect(a).toBeNull();
+        expect(frame.clutter[i + 1]).toBe('noise');
+      });
+    });
+
+    test('disabled models leave seeded output unchanged', () => {
+      const rng1 = new SyntheticRNG(5);
+      const rng2 = new SyntheticRNG(5);
+      const clutter = generateClutter(DEFAULT_SYNTHETIC_CONFIG, rng1);
+
+      expect(clutter.every(c => c.type === 'noise')).toBe(true);
+      const nFalseAlarms = rng2.poisson(DEFAULT_SYNTHETIC_CONFIG.false_alarm_rate);
+      expect(clutter.length).toBe(nFalseAlarms);
+      if (nFalseAlarms > 0) {
+        expect(clutter[0].delay).toBe(rng2.uniform(0, 400));
+      }
+    });
+
+    test('zero-Doppler ridge is concentrated at short delay', () => {
+      const config = {...noClutter, ridge_rate: 200, ridge_delay: 20, ridge_doppler: 1};
+      const clutter = generateFrames(config, 10);
+      const delays = clutter.map(c => c.delay);
+      const meanDelay = delays.reduce((a, b) => a + b, 0) / delays.length;
+
+      expect(clutter.every(c => c.type === 'ridge')).toBe(true);
+      expect(clutter.length).toBeGreaterThan(1800);
+      expect(Math.max(...clutter.map(c => Math.abs(c.doppler)))).toBeLessThan(6);
+      expect(Math.min(...delays)).toBeGreaterThanOrEqual(config.delay_min);
+      expect(Math.max(...delays)).toBeLessThanOrEqual(config.delay_max);
+      expect(meanDelay).toBeCloseTo(20, -1);
+    });
+
+    test('range-dependent clutter spreads in Doppler with density falling in delay', () => {
+      const config = {...noClutter, range_clutter_rate: 200, range_clutter_scale: 50};
+      const clutter = generateFrames(config, 10);
+      const near = clutter.filter(c => c.delay < 50).length;
+      const far = clutter.filter(c => c.delay >= 50 && c.delay < 100).length;
+
+      expect(clutter.every(c => c.type === 'range')).toBe(true);
+      expect(near / far).toBeCloseTo(Math.E, 0);
+      expect(Math.max(...clutter.map(c => Math.abs(c.doppler)))).toBeGreaterThan(150);
+    });
+
+    test('direct-signal residue and point clutter sit at fixed locations', () => {
+      const config = {...noClutter, direct_prob: 1, point_prob: 1, noise_delay: 0.1,
+        noise_doppler: 0.5, clutter_points: [{delay: 80, doppler: -3}]};
+      const clutter = generateClutter(config, new SyntheticRNG(9));
+
+      expect(clutter.map(c => c.type)).toEqual(['direct', 'point']);
+      expect(clutter[0].delay).toBeCloseTo(0, 0);
+      expect(clutter[0].doppler).toBeCloseTo(0, -1);
+      expect(clutter[1].delay).toBeCloseTo(80, 0);
+      expect(clutter[1].doppler).toBeCloseTo(-3, -1);
+    });
+  });
+
+  describe('Resolution cells', () => {
+    const target = (hex, delay, doppler, snr) => ({ delay, doppler, snr, adsb: { hex } });
+
+    test('derives auto resolution from bandwidth and integration time', () => {
+      const config = {...DEFAULT_SYNTHETIC_CONFIG, range_resolution: 'auto',
+        doppler_resolution: 'auto', bandwidth: 1e6, integration_time: 0.25};
+      const cell = resolutionCell(config);
+
+      expect(cell.delay).toBeCloseTo(0.299792458, 9);
+      expect(cell.doppler).toBe(4);
+      expect(resolutionCell(DEFAULT_SYNTHETIC_CONFIG)).toEqual({ delay: 0, doppler: 0 });
+    });
+
+    test('parses and validates resolution parameters', () => {
+      const config = parseSyntheticConfig({ range_resolution: 'auto', doppler_resolution: '2' });
+      expect(config.range_resolution).toBe('auto');
+      expect(config.doppler_resolution).toBe(2);
+      expect(validateSyntheticConfig(config).valid).toBe(true);
+
+      const invalid = {...DEFAULT_SYNTHETIC_CONFIG, range_resolution: -1};
+      expect(validateSyntheticConfig(invalid).errors)
+        .toContain('range_resolution must be non-negative or auto');
+    });
+
+    test('snaps detections to bin centres', () => {
+      const merged = mergeDetections([target('abc123', 10.26, -3.4, 12)],
+        { delay: 0.5, doppler: 2 });
+
+      expect(merged).toEqual([{ delay: 10.5, doppler: -4, snr: 12, adsb: { hex: 'abc123' } }]);
+    });
+
+    test('merges targets in the same cell with summed power', () => {
+      const merged = mergeDetections([
+        target('abc123', 10.1, 5.2, 10),
+        target('def456', 9.9, 5.9, 13),
+        target('aaa111', 20, 5, 15)
+      ], { delay: 1, doppler: 2 });
+
+      expect(merged.length).toBe(2);
+      expect(merged[0].adsb).toEqual({ hex: 'def456', hexes: ['def456', 'abc123'] });
+      expect(merged[0].snr).toBeCloseTo(10 * Math.log10(10 + 10 ** 1.3), 9);
+      expect(merged[1].adsb).toEqual({ hex: 'aaa111' });
+    });
+
+    test('only merges targets matching on the quantized axes', () => {
+      const targets = [target('abc123', 10.1, 5, 10), target('def456', 9.9, 40, 13)];
+
+      expect(mergeDetections(targets, { delay: 1, doppler: 0 }).length).toBe(2);
+      expect(mergeDetections(targets, { delay: 1, doppler: 100 }).length).toBe(1);
+    });
+
+    test('quantizes aircraft and clutter without changing the random draws', () => {
+      const aircraftDict = {
+        'abc123': { delay: 100.0, doppler: 50.0 },
+        'def456': { delay: 100.1, doppler: 50.5 }
+      };
+      const config = {...DEFAULT_SYNTHETIC_CONFIG, detection_prob: 1.0, false_alarm_rate: 3};
+      const binned = {...config, range_resolution: 5, doppler_resolution: 10};
+      const frame = generateSyntheticFrame(aircraftDict, 0, config, new SyntheticRNG(4));
+      const binnedFrame = generateSyntheticFrame(aircraftDict, 0, binned, new SyntheticRNG(4));
+
+      expect(binnedFrame.adsb[0].hexes.sort()).toEqual(['abc123', 'def456']);
+      expect(binnedFrame.delay.length).toBe(frame.delay.length - 1);
+      binnedFrame.delay.slice(1).forEach((delay, i) => {
+        expect(delay).toBeCloseTo(Math.round(frame.delay[i + 2] / 5) * 5, 9);
+      });
+      binnedFrame.doppler.forEach(doppler => {
+        expect(Math.abs(doppler / 10 - Math.round(doppler / 10))).toBeLessThan(1e-9);
+      });
+    });
+  });
+
+  describe('Real-time stream', () => {
+    /// Clock that advances only when slept, recording each sleep
+    const fakeClock = (start) => {
+      const clock = { time: start, sleeps: [] };
+      clock.now = () => clock.time;
+      clock.sleep = async (ms) => {
+        clock.sleeps.push(ms);
+        clock.time += ms;
+      };
+      return clock;
+    };
+
+    const collect = async (iterator) => {
+      const frames = [];
+      for await (const frame of iterator) {
+        frames.push(frame);
+      }
+      return frames;
+    };
+
+    test('emits one frame per interval with live data and wall-clock timestamps', async () => {
+      const clock = fakeClock(1000);
+      const config = {...DEFAULT_SYNTHETIC_CONFIG, duration: 2, frame_interval: 500,
+        detection_prob: 1.0, false_alarm_rate: 0, noise_delay: 0, seed: 1};
+      let nFetches = 0;
+      const getAircraftData = async () => {
+        nFetches++;
+        return { 'abc123': { delay: 10 * nFetches, doppler: 0 } };
+      };
+
+      const frames = await collect(streamSyntheticDataset(getAircraftData, config, clock));
+
+      expect(frames.map(f => f.timestamp)).toEqual([1000, 1500, 2000, 2500]);
+      expect(frames.map(f => f.delay[0])).toEqual([10, 20, 30, 40]);
+      expect(clock.sleeps).toEqual([500, 500, 500]);
+    });
+
+    test('does not drift when fetches are slow', async () => {
+      const clock = fakeClock(0);
+      const config = {...DEFAULT_SYNTHETIC_CONFIG, duration: 1.5, frame_interval: 500};
+      const getAircraftData = async () => {
+        clock.time += 700;
+        return {};
+      };
+
+      const frames = await collect(streamSyntheticDataset(getAircraftData, config, clock));
+
+      expect(frames.map(f => f.timestamp)).toEqual([0, 700, 1400]);
+      expect(clock.sleeps).toEqual([]);
+    });
+
+    test('emits an empty frame when no aircraft data is available', async () => {
+      const clock = fakeClock(0);
+      const config = {...DEFAULT_SYNTHETIC_CONFIG, duration: 0.5, frame_interval: 500};
+
+      const frames = await collect(streamSyntheticDataset(async () => null, config, clock));
+
+      expect(frames).toEqual([emptyFrame(0)]);
+    });
+
+    test('matches batch generation for the same seed and truth', async () => {
+      const aircraftDict = { 'abc123': { delay: 100.0, doppler: 50.0 } };
+      const config = {...DEFAULT_SYNTHETIC_CONFIG, duration: 1, frame_interval: 250,
+        false_alarm_rate: 2, seed: 'stream'};
+      const clock = fakeClock(0);
+
+      const frames = await collect(streamSyntheticDataset(async () => aircraftDict, config, clock));
+      const rng = new SyntheticRNG(config.seed);
+      frames.forEach(frame => {
+        expect(frame).toEqual(generateSyntheticFrame(aircraftDict, frame.timestamp, config, rng));
+      });
+    });
   });
 
   describe('Frame format conversion', () => {
@@ -0,0 +1,66 @@
+import {appendTrack, trackView, TRACK_MAX} from '../src/node/track.js';
+
+describe('Aircraft Track', () => {
+  describe('appendTrack', () => {
+    test('appends one value to each series', () => {
+      const track = { timestamps: [], lat: [], lon: [], alt: [] };
+      appendTrack(track, { timestamps: 100, lat: 51.5, lon: -0.1, alt: 35000 });
+      appendTrack(track, { timestamps: 101, lat: 51.6, lon: -0.2, alt: 35100 });
+
+      expect(track).toEqual({ timestamps: [100, 101], lat: [51.5, 51.6],
+        lon: [-0.1, -0.2], alt: [35000, 35100] });
+    });
+
+    test('keeps the latest TRACK_MAX samples', () => {
+      const track = { timestamps: [], delay: [] };
+      for (let i = 0; i < TRACK_MAX + 10; i++) {
+        appendTrack(track, { timestamps: i, delay: i / 10 });
+      }
+
+      expect(TRACK_MAX).toBe(600);
+      expect(track.timestamps).toHaveLength(TRACK_MAX);
+      expect(track.delay).toHaveLength(TRACK_MAX);
+      expect(track.timestamps[0]).toBe(10);
+      expect(track.timestamps.at(-1)).toBe(TRACK_MAX + 9);
+      expect(track.delay[0]).toBe(1);
+    });
+
+    test('trims to a given maximum', () => {
+      const track = { delay: [] };
+      for (let i = 0; i < 5; i++) {
+        appendTrack(track, { delay: i }, 3);
+      }
+      expect(track.delay).toEqual([2, 3, 4]);
+    });
+  });
+
+  describe('trackView', () => {
+    const proc = {
+      flight: 'TEST1',
+      track: { timestamps: [100, 101], lat: [51.5, 51.6], lon: [-0.1, -0.2], alt: [35000, 35100] },
+      tx: Object.assign(Object.create(null), {
+        north: { track: { delay: [10, 11], doppler_vel: [-50, -51], doppler_pos: [null, -50] } },
+        south: { track: { delay: [20, 21], doppler_vel: [30, 31], doppler_pos: [null, 30] } }
+      })
+    };
+
+    test('merges the series of a single transmitter', () => {
+      expect(trackView('abc123', proc, [{ id: 'north' }])).toEqual({
+        hex: 'abc123', flight: 'TEST1',
+        timestamps: [100, 101], lat: [51.5, 51.6], lon: [-0.1, -0.2], alt: [35000, 35100],
+        delay: [10, 11], doppler_vel: [-50, -51], doppler_pos: [null, -50]
+      });
+    });
+
+    test('keys the series of several transmitters by id', () => {
+      const track = trackView('abc123', proc, [{ id: 'north' }, { id: 'south' }]);
+
+      expect(track.timestamps).toEqual([100, 101]);
+      expect(track.delay).toBeUndefined();
+      expect(Object.keys(track.tx)).toEqual(['north', 'south']);
+      expect(track.tx.north.delay).toEqual([10, 11]);
+      expect(track.tx.south.doppler_vel).toEqual([30, 31]);
+      expect(Object.getPrototypeOf(track.tx)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import {positionSigma, velocitySigma, bistaticSigma} from '../src/node/uncertainty.js';
+import {enuToEcef, calculateDopplerFromVelocity} from '../src/node/doppler.js';
+import {bistaticGeometry} from '../src/node/bistatic.js';
+import {lla2ecef, norm, ft2m} from '../src/node/geometry.js';
+import {SyntheticRNG} from '../src/node/synthetic.js';
+
+describe('Measurement Uncertainty', () => {
+  const fc = 503;
+  const { ecefRx, ecefTx } = bistaticGeometry(37.7644, -122.3954, 23, 37.49917, -121.87222, 783);
+  const aircraft = { hex: 'abc123', lat: 37.63, lon: -122.19, alt_geom: 35000,
+    gs: 450, track: 45, geom_rate: 0, nac_p: 8, nac_v: 1 };
+
+  /// Delay (m) and Doppler (Hz) of an aircraft at an ECEF position
+  const measure = (ac, tar) => {
+    const dRxTar = norm([ecefRx.x - tar.x, ecefRx.y - tar.y, ecefRx.z - tar.z]);
+    const dTxTar = norm([ecefTx.x - tar.x, ecefTx.y - tar.y, ecefTx.z - tar.z]);
+    return {
+      delay: dRxTar + dTxTar,
+      doppler: calculateDopplerFromVelocity(ac, tar, ecefRx, ecefTx, dRxTar, dTxTar, fc),
+      dRxTar,
+      dTxTar
+    };
+  };
+
+  /// Sample std of an array
+  const std = (values) => {
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    return Math.sqrt(values.reduce((a, b) => a + (b - mean) ** 2, 0) / values.length);
+  };
+
+  test('maps NACp and NACv to per-axis std', () => {
+    expect(positionSigma({ nac_p: 8 }).horizontal).toBeCloseTo(92.6 / 2.4477, 2);
+    expect(positionSigma({ nac_p: 8 }).vertical).toBeCloseTo(92.6 / 2.4477, 2);
+    expect(positionSigma({ nac_p: 10, gva: 2 }).vertical).toBeCloseTo(45 / 1.96, 6);
+    expect(velocitySigma({ nac_v: 2 }).horizontal).toBeCloseTo(3 / 2.4477, 3);
+    expect(velocitySigma({ nac_v: 2 }).vertical).toBeCloseTo(4.57 / 1.96, 6);
+  });
+
+  test('unknown categories give no std', () => {
+    expect(positionSigma({})).toBeNull();
+    expect(positionSigma({ nac_p: 0 })).toBeNull();
+    expect(positionSigma({ nac_p: 12 })).toBeNull();
+    expect(velocitySigma({ nac_v: 0 })).toBeNull();
+
+    const tar = lla2ecef(aircraft.lat, aircraft.lon, ft2m(aircraft.alt_geom));
+    const { dRxTar, dTxTar } = measure(aircraft, tar);
+    const sigma = bistaticSigma({ ...aircraft, nac_v: undefined }, tar, ecefRx, ecefTx,
+      dRxTar, dTxTar, fc);
+    expect(sigma.delay).toBeGreaterThan(0);
+    expect(sigma.doppler).toBeNull();
+  });
+
+  test('std grows with the accuracy category', () => {
+    const tar = lla2ecef(aircraft.lat, aircraft.lon, ft2m(aircraft.alt_geom));
+    const { dRxTar, dTxTar } = measure(aircraft, tar);
+    const coarse = bistaticSigma(aircraft, tar, ecefRx, ecefTx, dRxTar, dTxTar, fc);
+    const fine = bistaticSigma({ ...aircraft, nac_p: 10, nac_v: 4 }, tar, ecefRx, ecefTx,
+      dRxTar, dTxTar, fc);
+
+    expect(fine.delay).toBeLessThan(coarse.delay);
+    expect(fine.doppler).toBeLessThan(coarse.doppler);
+  });
+
+  test('matches Monte Carlo propagation', () => {
+    const rng = new SyntheticRNG(7);
+    const tar = lla2ecef(aircraft.lat, aircraft.lon, ft2m(aircraft.alt_geom));
+    const { dRxTar, dTxTar } = measure(aircraft, tar);
+    const sigma = bistaticSigma(aircraft, tar, ecefRx, ecefTx, dRxTar, dTxTar, fc);
+    const sPos = positionSigma(aircraft);
+    const sVel = velocitySigma(aircraft);
+    const lat = aircraft.lat * Math.PI / 180;
+    const lon = aircraft.lon * Math.PI / 180;
+
+    const delays = [];
+    const dopplers = [];
+    for (let i = 0; i < 4000; i++) {
+      const dp = enuToEcef(rng.gaussian(0, sPos.horizontal), rng.gaussian(0, sPos.horizontal),
+        rng.gaussian(0, sPos.vertical), lat, lon);
+      const ve = 450 * 0.514444 * Math.sin(Math.PI / 4) + rng.gaussian(0, sVel.horizontal);
+      const vn = 450 * 0.514444 * Math.cos(Math.PI / 4) + rng.gaussian(0, sVel.horizontal);
+      const vu = rng.gaussian(0, sVel.vertical);
+      const perturbed = { ...aircraft, gs: Math.hypot(ve, vn) / 0.514444,
+        track: (Math.atan2(ve, vn) * 180 / Math.PI + 360) % 360, geom_rate: vu / 0.00508 };
+      const m = measure(perturbed, { x: tar.x + dp.x, y: tar.y + dp.y, z: tar.z + dp.z });
+      delays.push(m.delay);
+      dopplers.push(m.doppler);
+    }
+
+    expect(std(delays) / sigma.delay).toBeCloseTo(1, 1);
+    expect(std(dopplers) / sigma.doppler).toBeCloseTo(1, 1);
+  });
+});